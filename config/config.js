@@ -17,9 +17,32 @@ const config = {
         
         // API endpoints
         baseUrl: 'https://sheets.googleapis.com/v4/spreadsheets',
+        
+        // Local stand-in for the Sheets API - run `node server/mockSheetsServer.js`
+        useMockServer: false,
+        mockBaseUrl: 'http://localhost:4020/v4/spreadsheets',
         scopes: [
             'https://www.googleapis.com/auth/spreadsheets'
-        ]
+        ],
+        
+        // Per-company distribution tabs (Company_COMP-001), added automatically the
+        // first time data is sent to a company
+        companySheets: {
+            prefix: 'Company_',
+            protect: false, // Only the company's HR email and the signed-in coordinator may edit its tab
+            editors: [] // Extra accounts allowed to edit every protected company tab
+        },
+        
+        // OAuth 2.0 sign-in for writes (js/auth.js). For local testing run
+        // `node server/mockOAuth.js` and point the endpoints at http://localhost:4010
+        oauth: {
+            clientId: 'YOUR_OAUTH_CLIENT_ID', // Web client ID from Google Cloud Console
+            authorizationEndpoint: 'https://accounts.google.com/o/oauth2/v2/auth',
+            tokenEndpoint: 'https://oauth2.googleapis.com/token',
+            userInfoEndpoint: 'https://openidconnect.googleapis.com/v1/userinfo',
+            redirectUri: null, // Defaults to the current page; must be registered with the client
+            refreshMargin: 60000 // Refresh access tokens this long before they expire
+        }
     },
     
     // Application Settings
@@ -34,18 +57,46 @@ const config = {
             maxItemsPerPage: 100
         },
         
-        // Cache settings
+        // Cache settings (js/cache.js)
         cache: {
-            ttl: 300000, // 5 minutes in milliseconds
-            maxSize: 1000 // Maximum number of cached items
+            // Milliseconds per resource - a single number applies to everything
+            ttl: {
+                default: 300000, // 5 minutes
+                students: 300000,
+                companies: 600000, // Company details change rarely
+                placements: 120000, // Statuses move during drives
+                headers: 3600000,
+                sheetProperties: 3600000
+            },
+            maxSize: 1000, // Maximum number of cached items
+            staleWhileRevalidate: 600000 // Serve expired data this long while refreshing in the background
         },
         
         // Performance settings
         performance: {
             batchSize: 100, // For bulk operations
-            maxRetries: 3,
-            retryDelay: 1000, // milliseconds
+            maxRetries: 3, // Retries after the first attempt (js/httpClient.js)
+            retryDelay: 1000, // Base backoff in milliseconds, doubled on each retry
+            maxRetryDelay: 30000, // Cap for backoff and Retry-After waits
             requestTimeout: 30000 // 30 seconds
+        },
+        
+        // Company distribution jobs (js/distributionJobs.js)
+        distribution: {
+            concurrency: 3, // Companies sent at the same time
+            maxAttempts: 3, // Tries per company before it is marked failed
+            retryDelay: 2000 // Wait before retrying a company, doubled on each attempt
+        },
+        
+        // Shortlisted/Rejected decisions read back from company tabs (js/companyFeedback.js)
+        companyFeedback: {
+            interval: 300000 // Read the company tabs every 5 minutes
+        },
+        
+        // Offline write queue (js/syncQueue.js)
+        offlineQueue: {
+            replayInterval: 60000, // Retry waiting changes every minute
+            maxAttempts: 10 // Retryable failures before a change needs attention
         }
     },
     
@@ -182,8 +233,14 @@ const config = {
     
     // Data Sources
     dataSources: {
-        primary: 'googleSheets', // 'googleSheets', 'localStorage', 'database'
-        fallback: 'localStorage',
+        primary: 'googleSheets', // 'googleSheets', 'restApi', 'localStorage', 'indexedDB'
+        fallback: 'localStorage', // Offline copy; also serves reads when primary is unavailable
+        
+        // REST API service (node server/apiServer.js) - syncs to Google Sheets itself
+        restApi: {
+            baseUrl: 'http://localhost:4030/api',
+            pageSize: 100 // Records fetched per request when listing a collection
+        },
         
         // Sync settings
         autoSync: true,
@@ -222,6 +279,7 @@ const config = {
         csv: {
             delimiter: ',',
             encoding: 'utf-8',
+            bom: true, // Lets Excel show non-English names correctly
             includeTimestamp: true
         }
     },
@@ -301,8 +359,11 @@ document.addEventListener('DOMContentLoaded', () => {
     
     // Setup validation system configuration
     if (window.validationSystem) {
-        // Apply validation rules from config
-        Object.assign(validationSystem.rules, finalConfig.validation);
+        // Apply validation rules from config, field by field - the settings here
+        // adjust a shared rule (js/validationRules.js) rather than replace it
+        Object.entries(finalConfig.validation).forEach(([field, settings]) => {
+            validationSystem.rules[field] = { ...(validationSystem.rules[field] || {}), ...settings };
+        });
     }
 });
 
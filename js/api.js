@@ -3,13 +3,135 @@
 
 class GoogleSheetsAPI {
     constructor() {
-        this.apiKey = 'YOUR_GOOGLE_SHEETS_API_KEY'; // Configure in config.js
-        this.spreadsheetId = 'YOUR_SPREADSHEET_ID'; // Configure in config.js
-        this.baseUrl = 'https://sheets.googleapis.com/v4/spreadsheets';
+        const sheetsConfig = (window.APP_CONFIG && APP_CONFIG.googleSheets) || {};
+        
+        this.apiKey = sheetsConfig.apiKey || 'YOUR_GOOGLE_SHEETS_API_KEY'; // Configure in config.js
+        this.spreadsheetId = sheetsConfig.spreadsheetId || 'YOUR_SPREADSHEET_ID'; // Configure in config.js
+        this.baseUrl = sheetsConfig.useMockServer ? sheetsConfig.mockBaseUrl :
+            sheetsConfig.baseUrl || 'https://sheets.googleapis.com/v4/spreadsheets';
         this.isInitialized = false;
-        this.cache = new Map();
+        this.cache = new DataCache((window.APP_CONFIG && APP_CONFIG.app.cache) || {});
         this.retryCount = 3;
-        this.retryDelay = 1000;
+        this.http = new HttpClient((window.APP_CONFIG && APP_CONFIG.app.performance) || {});
+        this.http.authorize = (options) => window.googleAuth ? googleAuth.getAccessToken(options) : null;
+        
+        // Per-company distribution tabs, created on first use
+        this.companySheets = { prefix: 'Company_', protect: false, editors: [], ...(sheetsConfig.companySheets || {}) };
+        
+        // Column schemas - records are mapped by header name, so columns may be
+        // reordered or added to the sheets without corrupting data
+        const today = () => new Date().toISOString().split('T')[0];
+        this.sheetSchemas = {
+            students: {
+                sheet: 'Students',
+                idField: 'studentId',
+                columns: [
+                    { field: 'studentId', header: 'Student ID', aliases: ['Roll No', 'ID'], required: true },
+                    { field: 'fullName', header: 'Full Name', aliases: ['Name', 'Student Name'], required: true },
+                    { field: 'email', header: 'Email', aliases: ['Email Address'], required: true },
+                    { field: 'phone', header: 'Phone', aliases: ['Phone Number', 'Mobile'] },
+                    { field: 'department', header: 'Department', aliases: ['Dept'] },
+                    { field: 'year', header: 'Year', aliases: ['Academic Year'] },
+                    { field: 'cgpa', header: 'CGPA', aliases: ['GPA'], type: 'number' },
+                    { field: 'backlogs', header: 'Backlogs', aliases: ['Active Backlogs'], type: 'integer', added: true },
+                    { field: 'skills', header: 'Skills', aliases: ['Technical Skills'] },
+                    { field: 'status', header: 'Status', default: 'Active' },
+                    { field: 'dateAdded', header: 'Date Added', default: today },
+                    { field: 'lastModified', header: 'Last Modified', aliases: ['Updated At'], added: true }
+                ]
+            },
+            companies: {
+                sheet: 'Companies',
+                idField: 'companyId',
+                columns: [
+                    { field: 'companyId', header: 'Company ID', required: true },
+                    { field: 'companyName', header: 'Company Name', aliases: ['Name'], required: true },
+                    { field: 'industry', header: 'Industry' },
+                    { field: 'location', header: 'Location' },
+                    { field: 'hrName', header: 'HR Name', aliases: ['HR Contact Name', 'HR Contact'] },
+                    { field: 'hrEmail', header: 'HR Email' },
+                    { field: 'hrPhone', header: 'HR Phone' },
+                    { field: 'website', header: 'Website', aliases: ['Company Website'] },
+                    { field: 'packageOffered', header: 'Package', aliases: ['Package Offered', 'Package (LPA)'], type: 'number' },
+                    { field: 'positions', header: 'Positions', aliases: ['Available Positions'], type: 'integer' },
+                    { field: 'eligibleDepartments', header: 'Eligible Departments', type: 'list' },
+                    { field: 'minCgpa', header: 'Min CGPA', aliases: ['Minimum CGPA', 'Minimum CGPA Required'], type: 'number' },
+                    { field: 'eligibleYears', header: 'Eligible Years', aliases: ['Graduating Years'], type: 'list', added: true },
+                    { field: 'maxBacklogs', header: 'Max Backlogs', aliases: ['Backlogs Allowed'], added: true },
+                    { field: 'requiredSkills', header: 'Required Skills', type: 'list', added: true },
+                    { field: 'placedPolicy', header: 'Placed Students', default: 'allow', added: true },
+                    { field: 'jobDescription', header: 'Job Description' },
+                    { field: 'requirements', header: 'Requirements', aliases: ['Requirements & Skills'] },
+                    { field: 'status', header: 'Status', default: 'Active' },
+                    { field: 'dateAdded', header: 'Date Added', default: today },
+                    { field: 'lastModified', header: 'Last Modified', aliases: ['Updated At'], added: true }
+                ]
+            },
+            placements: {
+                sheet: 'Placements',
+                idField: 'placementId',
+                columns: [
+                    { field: 'placementId', header: 'Placement ID', required: true },
+                    { field: 'studentId', header: 'Student ID', required: true },
+                    { field: 'companyId', header: 'Company ID', required: true },
+                    { field: 'position', header: 'Position' },
+                    { field: 'applicationDate', header: 'Application Date' },
+                    { field: 'status', header: 'Status', default: 'Applied' },
+                    { field: 'packageOffered', header: 'Package', aliases: ['Package Offered', 'Package (LPA)'] },
+                    { field: 'interviewDate', header: 'Interview Date' },
+                    { field: 'notes', header: 'Notes' },
+                    { field: 'lastModified', header: 'Last Modified', aliases: ['Updated At'], added: true }
+                ]
+            }
+        };
+        
+        // Student and company columns in CSV and Excel exports. type is the Excel
+        // cell type (js/xlsxWriter.js) - text unless given
+        this.studentExportColumns = [
+            { field: 'studentId', header: 'Student ID' },
+            { field: 'fullName', header: 'Full Name' },
+            { field: 'email', header: 'Email' },
+            { field: 'phone', header: 'Phone' },
+            { field: 'department', header: 'Department' },
+            { field: 'year', header: 'Year', type: 'integer' },
+            { field: 'cgpa', header: 'CGPA', type: 'decimal' },
+            { field: 'skills', header: 'Skills' }
+        ];
+        
+        this.companyExportColumns = [
+            { field: 'companyId', header: 'Company ID' },
+            { field: 'companyName', header: 'Company Name' },
+            { field: 'industry', header: 'Industry' },
+            { field: 'location', header: 'Location' },
+            { field: 'hrName', header: 'HR Name' },
+            { field: 'hrEmail', header: 'HR Email' },
+            { field: 'hrPhone', header: 'HR Phone' },
+            { field: 'website', header: 'Website' },
+            { field: 'packageOffered', header: 'Package (LPA)', type: 'decimal' },
+            { field: 'positions', header: 'Positions', type: 'integer' },
+            { field: 'eligibleDepartments', header: 'Eligible Departments' },
+            { field: 'minCgpa', header: 'Min CGPA', type: 'decimal' },
+            { field: 'eligibleYears', header: 'Eligible Years' },
+            { field: 'maxBacklogs', header: 'Max Backlogs', type: 'integer' },
+            { field: 'requiredSkills', header: 'Required Skills' },
+            { field: 'status', header: 'Status' },
+            { field: 'dateAdded', header: 'Date Added', type: 'date' }
+        ];
+        
+        // Columns of a company's distribution tab - one row per student sent
+        this.distributionColumns = [
+            { field: 'studentId', header: 'Student ID' },
+            { field: 'fullName', header: 'Full Name' },
+            { field: 'email', header: 'Email' },
+            { field: 'phone', header: 'Phone' },
+            { field: 'department', header: 'Department' },
+            { field: 'year', header: 'Year' },
+            { field: 'cgpa', header: 'CGPA' },
+            { field: 'skills', header: 'Skills' },
+            { field: 'dateSent', header: 'Date Sent' },
+            { field: 'reviewStatus', header: 'Status' },
+            { field: 'profileVersion', header: 'Profile Version' }
+        ];
     }
 
     // Initialize Google Sheets API
@@ -38,43 +160,28 @@ class GoogleSheetsAPI {
     }
 
     // RESTful API Architecture - GET Students Data
-    async getStudents(range = 'Students!A:Z') {
+    async getStudents(range = 'Students!A:Z', { throwOnError = false } = {}) {
         try {
             this.showLoading(true);
             
-            const cacheKey = `students_${range}`;
-            if (this.cache.has(cacheKey)) {
-                const cachedData = this.cache.get(cacheKey);
-                if (Date.now() - cachedData.timestamp < 300000) { // 5 minutes cache
-                    this.showLoading(false);
-                    return cachedData.data;
+            const students = await this.cache.fetch('students', range, async ({ background }) => {
+                const students = this.parseStudentData(await this.readRange(range));
+                
+                if (!background) {
+                    this.showNotification(`Successfully loaded ${students.length} student records`, 'success');
                 }
-            }
-
-            const url = `${this.baseUrl}/${this.spreadsheetId}/values/${range}?key=${this.apiKey}`;
-            const response = await this.fetchWithRetry(url);
-            
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
-            
-            const data = await response.json();
-            const students = this.parseStudentData(data.values || []);
-            
-            // Cache the results
-            this.cache.set(cacheKey, {
-                data: students,
-                timestamp: Date.now()
+                return students;
             });
             
             this.showLoading(false);
-            this.showNotification(`Successfully loaded ${students.length} student records`, 'success');
             return students;
             
         } catch (error) {
             this.showLoading(false);
             console.error('Error fetching students:', error);
-            this.showNotification('Failed to load student data from Google Sheets', 'error');
+            this.showNotification(error.schemaError ? error.message : 'Failed to load student data from Google Sheets', 'error');
+            
+            if (throwOnError) throw error;
             return [];
         }
     }
@@ -85,11 +192,13 @@ class GoogleSheetsAPI {
             this.showLoading(true);
             
             const range = 'Students!A:Z';
-            const values = [this.formatStudentForSheet(studentData)];
+            const headers = await this.getSheetHeaders('Students');
+            const stamped = this.stampVersion(studentData);
+            const values = [this.formatStudentForSheet(stamped, headers)];
             
             const url = `${this.baseUrl}/${this.spreadsheetId}/values/${range}:append?valueInputOption=RAW&key=${this.apiKey}`;
             
-            const response = await fetch(url, {
+            const response = await this.fetchWithRetry(url, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
@@ -97,29 +206,25 @@ class GoogleSheetsAPI {
                 body: JSON.stringify({
                     values: values
                 })
-            });
+            }, { alreadyApplied: () => this.rowsPresent(range, values) });
             
             if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
+                throw this.httpError(response);
             }
             
             const result = await response.json();
             
-            // Clear cache to force refresh
-            this.clearCache();
+            this.invalidateCache('students');
             
             this.showLoading(false);
             this.showNotification('Student data successfully added to Google Sheets', 'success');
             
-            // Log activity for automated data handling
-            this.logActivity('student_added', studentData.studentId, studentData.fullName);
-            
-            return result;
+            return { ...result, record: stamped };
             
         } catch (error) {
             this.showLoading(false);
             console.error('Error adding student:', error);
-            this.showNotification('Failed to add student data to Google Sheets', 'error');
+            this.notifyWriteFailure('Failed to add student data to Google Sheets', error);
             throw error;
         }
     }
@@ -129,331 +234,1127 @@ class GoogleSheetsAPI {
         try {
             this.showLoading(true);
             
-            const students = await this.getStudents();
-            const rowIndex = students.findIndex(s => s.studentId === studentId);
+            const result = await this.updateRecordRow('students', studentId, studentData);
+            
+            this.invalidateCache('students');
+            
+            this.showLoading(false);
+            this.showNotification('Student data successfully updated in Google Sheets', 'success');
+            
+            return result;
+            
+        } catch (error) {
+            this.showLoading(false);
+            console.error('Error updating student:', error);
+            this.notifyWriteFailure('Failed to update student data in Google Sheets', error);
+            throw error;
+        }
+    }
+
+    // RESTful API Architecture - DELETE Student Data (archive keeps the row)
+    async deleteStudent(studentId, { archive = false } = {}) {
+        try {
+            this.showLoading(true);
+            
+            if (archive) {
+                await this.archiveRecordRow('students', studentId);
+            } else {
+                await this.deleteRecordRow('students', studentId);
+            }
+            
+            this.invalidateCache('students');
+            this.showLoading(false);
+            this.showNotification(`Student ${archive ? 'archived' : 'deleted'} in Google Sheets`, 'success');
+            
+            return true;
+            
+        } catch (error) {
+            this.showLoading(false);
+            console.error(`Error ${archive ? 'archiving' : 'deleting'} student:`, error);
+            this.notifyWriteFailure(`Failed to ${archive ? 'archive' : 'delete'} student in Google Sheets`, error);
+            throw error;
+        }
+    }
+
+    // Company Data Distribution to 10+ Companies
+    async distributeDataToCompanies(studentData, companyIds) {
+        return this.distribute(companyIds.map(companyId => ({ companyId, students: studentData })));
+    }
+
+    // Send each company its list of students - [{ companyId, students }]. Runs as a
+    // resumable job (js/distributionJobs.js); students a company already has unchanged
+    // are skipped, so repeating a distribution is safe
+    async distribute(assignments) {
+        return distributionJobs.run(assignments);
+    }
+
+    // Send student data to specific company. The distribution ledger leaves out
+    // students the company already has; a changed profile overwrites the student's
+    // row rather than adding a second one. Returns { sent, updated, skipped }
+    async sendStudentDataToCompany(studentData, companyId) {
+        try {
+            return await this.writeCompanyRows(studentData, companyId);
+        } catch (error) {
+            if (!error.missingSheet) throw error;
+            
+            // The tab was deleted since the sheet list was cached - create it again, once
+            this.forgetCompanySheet(`${this.companySheets.prefix}${companyId}`);
+            return this.writeCompanyRows(studentData, companyId);
+        }
+    }
+
+    async writeCompanyRows(studentData, companyId) {
+        const { sheetName, headers } = await this.ensureCompanySheet(companyId);
+        const plan = distributionLedger.plan(companyId, studentData, await this.readDistributedRows(sheetName, headers));
+        const dateSent = new Date().toISOString().split('T')[0];
+        
+        const toRow = ({ student, version }) => this.formatDistributionRow(
+            { ...student, dateSent, reviewStatus: 'Pending Review', profileVersion: version }, headers);
+        
+        if (plan.send.length > 0) {
+            const companyRange = `${sheetName}!A:Z`;
+            const formattedData = plan.send.map(toRow);
+            const url = `${this.baseUrl}/${this.spreadsheetId}/values/${companyRange}:append?valueInputOption=RAW&key=${this.apiKey}`;
+            
+            const response = await this.fetchWithRetry(url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({
+                    values: formattedData
+                })
+            }, { alreadyApplied: () => this.rowsPresent(companyRange, formattedData) });
             
-            if (rowIndex === -1) {
-                throw new Error('Student not found');
+            if (!response.ok) {
+                throw await this.sheetsError(response, `Failed to send data to company ${companyId}`);
             }
             
-            const range = `Students!A${rowIndex + 2}:Z${rowIndex + 2}`; // +2 for header and 0-index
-            const values = [this.formatStudentForSheet(studentData)];
+            distributionLedger.record(companyId, plan.send, 'sent');
+        }
+        
+        if (plan.update.length > 0) {
+            // Null cells are left alone, so the company's own review status survives
+            const statusHeader = this.distributionColumns.find(column => column.field === 'reviewStatus').header;
+            const lastColumn = this.columnLetter(headers.length - 1);
+            
+            await this.writeRanges(plan.update.map(entry => ({
+                range: `${sheetName}!A${entry.rowNumber}:${lastColumn}${entry.rowNumber}`,
+                values: [toRow(entry).map((value, index) => headers[index] === statusHeader ? null : value)]
+            })));
+            
+            distributionLedger.record(companyId, plan.update, 'updated');
+        }
+        
+        return { sent: plan.send.length, updated: plan.update.length, skipped: plan.unchanged.length };
+    }
+
+    // Students already on a company tab: studentId -> { version, rowNumber }
+    async readDistributedRows(sheetName, headers) {
+        const headerOf = field => this.distributionColumns.find(column => column.field === field).header;
+        const idIndex = headers.indexOf(headerOf('studentId'));
+        const versionIndex = headers.indexOf(headerOf('profileVersion'));
+        const sentRows = new Map();
+        
+        (await this.readRange(`${sheetName}!A:Z`)).slice(1).forEach((row, index) => {
+            const studentId = row[idIndex];
+            if (studentId) {
+                sentRows.set(String(studentId), { version: row[versionIndex] || '', rowNumber: index + 2 });
+            }
+        });
+        
+        return sentRows;
+    }
+
+    // Review status the company has given each student on its tab -
+    // [{ studentId, fullName, reviewStatus }], read fresh rather than from the cache
+    async readCompanyReviews(sheetName) {
+        const [headers = [], ...rows] = await this.readRange(`${sheetName}!A:Z`);
+        const indexOf = field => headers.indexOf(this.distributionColumns.find(column => column.field === field).header);
+        const idIndex = indexOf('studentId');
+        const nameIndex = indexOf('fullName');
+        const statusIndex = indexOf('reviewStatus');
+        
+        if (idIndex === -1 || statusIndex === -1) return [];
+        
+        return rows
+            .filter(row => row[idIndex])
+            .map(row => ({
+                studentId: String(row[idIndex]).trim(),
+                fullName: nameIndex === -1 ? '' : String(row[nameIndex] || '').trim(),
+                reviewStatus: String(row[statusIndex] || '').trim()
+            }));
+    }
+
+    // Lay out a distributed record in the order of the tab's own header row
+    formatDistributionRow(record, headers) {
+        return headers.map(header => {
+            const column = this.distributionColumns.find(candidate => candidate.header === header);
+            const value = column ? record[column.field] : '';
+            
+            if (Array.isArray(value)) return value.join(', ');
+            return value === undefined || value === null ? '' : value;
+        });
+    }
+
+    // Get Companies Data
+    async getCompanies(range = 'Companies!A:Z', { throwOnError = false } = {}) {
+        try {
+            this.showLoading(true);
+            
+            const companies = await this.cache.fetch('companies', range, async () =>
+                this.parseCompanyData(await this.readRange(range)));
+            
+            this.showLoading(false);
+            return companies;
+            
+        } catch (error) {
+            this.showLoading(false);
+            console.error('Error fetching companies:', error);
+            this.showNotification(error.schemaError ? error.message : 'Failed to load company data', 'error');
+            
+            if (throwOnError) throw error;
+            return [];
+        }
+    }
+
+    // Add Company
+    async addCompany(companyData) {
+        try {
+            this.showLoading(true);
+            
+            const range = 'Companies!A:Z';
+            const headers = await this.getSheetHeaders('Companies');
+            const stamped = this.stampVersion(companyData);
+            const values = [this.formatCompanyForSheet(stamped, headers)];
             
-            const url = `${this.baseUrl}/${this.spreadsheetId}/values/${range}?valueInputOption=RAW&key=${this.apiKey}`;
+            const url = `${this.baseUrl}/${this.spreadsheetId}/values/${range}:append?valueInputOption=RAW&key=${this.apiKey}`;
             
-            const response = await fetch(url, {
-                method: 'PUT',
+            const response = await this.fetchWithRetry(url, {
+                method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
                 },
                 body: JSON.stringify({
                     values: values
                 })
-            });
+            }, { alreadyApplied: () => this.rowsPresent(range, values) });
             
             if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
+                throw this.httpError(response);
             }
             
-            // Clear cache to force refresh
-            this.clearCache();
+            this.invalidateCache('companies');
+            this.showLoading(false);
+            this.showNotification('Company successfully added to Google Sheets', 'success');
+            
+            return { ...(await response.json()), record: stamped };
             
+        } catch (error) {
             this.showLoading(false);
-            this.showNotification('Student data successfully updated in Google Sheets', 'success');
+            console.error('Error adding company:', error);
+            this.notifyWriteFailure('Failed to add company data', error);
+            throw error;
+        }
+    }
+
+    // Update Company
+    async updateCompany(companyId, companyData) {
+        try {
+            this.showLoading(true);
+            
+            const result = await this.updateRecordRow('companies', companyId, companyData);
+            
+            this.invalidateCache('companies');
+            this.showLoading(false);
+            this.showNotification('Company successfully updated in Google Sheets', 'success');
+            
+            return result;
+            
+        } catch (error) {
+            this.showLoading(false);
+            console.error('Error updating company:', error);
+            this.notifyWriteFailure('Failed to update company data', error);
+            throw error;
+        }
+    }
+
+    // Delete Company (archive keeps the row)
+    async deleteCompany(companyId, { archive = false } = {}) {
+        try {
+            this.showLoading(true);
+            
+            if (archive) {
+                await this.archiveRecordRow('companies', companyId);
+            } else {
+                await this.deleteRecordRow('companies', companyId);
+            }
+            
+            this.invalidateCache('companies');
+            this.showLoading(false);
+            this.showNotification(`Company ${archive ? 'archived' : 'deleted'} in Google Sheets`, 'success');
+            
+            return true;
+            
+        } catch (error) {
+            this.showLoading(false);
+            console.error(`Error ${archive ? 'archiving' : 'deleting'} company:`, error);
+            this.notifyWriteFailure(`Failed to ${archive ? 'archive' : 'delete'} company data`, error);
+            throw error;
+        }
+    }
+
+    // Batch operations for handling 500+ records efficiently
+    async batchUpdateStudents(updates) {
+        try {
+            this.showLoading(true);
+            
+            const batchRequests = updates.map(update => ({
+                range: update.range,
+                values: update.values
+            }));
+            
+            const url = `${this.baseUrl}/${this.spreadsheetId}/values:batchUpdate?key=${this.apiKey}`;
+            
+            // Writes fixed ranges, so sending it twice is harmless
+            const response = await this.fetchWithRetry(url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({
+                    valueInputOption: 'RAW',
+                    data: batchRequests
+                })
+            }, { idempotent: true });
+            
+            if (!response.ok) {
+                throw this.httpError(response);
+            }
+            
+            this.invalidateCache('students');
+            this.showLoading(false);
+            this.showNotification(`Successfully updated ${updates.length} records`, 'success');
             
             return await response.json();
             
         } catch (error) {
             this.showLoading(false);
-            console.error('Error updating student:', error);
-            this.showNotification('Failed to update student data in Google Sheets', 'error');
+            console.error('Error in batch update:', error);
+            this.notifyWriteFailure('Failed to perform batch update', error);
+            throw error;
+        }
+    }
+
+    // RESTful API Architecture - GET Placements Data
+    async getPlacements(range = 'Placements!A:Z', { throwOnError = false } = {}) {
+        try {
+            this.showLoading(true);
+            
+            const placements = await this.cache.fetch('placements', range, async () =>
+                this.parsePlacementData(await this.readRange(range)));
+            
+            this.showLoading(false);
+            return placements;
+            
+        } catch (error) {
+            this.showLoading(false);
+            console.error('Error fetching placements:', error);
+            this.showNotification(error.schemaError ? error.message : 'Failed to load placement data from Google Sheets', 'error');
+            
+            // Callers that reconcile against the sheet must not mistake a failure for an empty sheet
+            if (throwOnError) throw error;
+            return [];
+        }
+    }
+
+    // RESTful API Architecture - POST Placement Data
+    async addPlacement(placementData) {
+        const result = await this.addPlacements([placementData]);
+
+        // A write waiting in the offline outbox has no sheet result yet - it is saved as given
+        return result.records ? { ...result, record: result.records[0] } : { ...result, record: placementData };
+    }
+
+    // Append several placement records in a single request
+    async addPlacements(placements) {
+        try {
+            this.showLoading(true);
+            
+            const range = 'Placements!A:Z';
+            const headers = await this.getSheetHeaders('Placements');
+            const stamped = placements.map(placement => this.stampVersion(placement));
+            const values = stamped.map(placement => this.formatPlacementForSheet(placement, headers));
+            
+            const url = `${this.baseUrl}/${this.spreadsheetId}/values/${range}:append?valueInputOption=RAW&key=${this.apiKey}`;
+            
+            const response = await this.fetchWithRetry(url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({
+                    values: values
+                })
+            }, { alreadyApplied: () => this.rowsPresent(range, values) });
+            
+            if (!response.ok) {
+                throw this.httpError(response);
+            }
+            
+            this.invalidateCache('placements');
+            this.showLoading(false);
+            this.showNotification(
+                placements.length === 1 ?
+                    'Placement record successfully added to Google Sheets' :
+                    `${placements.length} placement records added to Google Sheets`,
+                'success'
+            );
+            
+            return { ...(await response.json()), records: stamped };
+            
+        } catch (error) {
+            this.showLoading(false);
+            console.error('Error adding placement:', error);
+            this.notifyWriteFailure('Failed to add placement data to Google Sheets', error);
+            throw error;
+        }
+    }
+
+    // RESTful API Architecture - PUT Placement Data
+    async updatePlacement(placementId, placementData) {
+        try {
+            this.showLoading(true);
+            
+            const result = await this.updateRecordRow('placements', placementId, placementData);
+            
+            this.invalidateCache('placements');
+            this.showLoading(false);
+            this.showNotification('Placement record successfully updated in Google Sheets', 'success');
+            
+            return result;
+            
+        } catch (error) {
+            this.showLoading(false);
+            console.error('Error updating placement:', error);
+            this.notifyWriteFailure('Failed to update placement data in Google Sheets', error);
+            throw error;
+        }
+    }
+
+    // RESTful API Architecture - DELETE Placement Data
+    async deletePlacement(placementId) {
+        try {
+            this.showLoading(true);
+            
+            await this.deleteRecordRow('placements', placementId);
+            
+            this.invalidateCache('placements');
+            this.showLoading(false);
+            this.showNotification('Placement record deleted from Google Sheets', 'success');
+            
+            return true;
+            
+        } catch (error) {
+            this.showLoading(false);
+            console.error('Error deleting placement:', error);
+            this.notifyWriteFailure('Failed to delete placement data from Google Sheets', error);
+            throw error;
+        }
+    }
+
+    // Find the sheet row holding a record. Reads the sheet fresh (not the cached,
+    // parsed list) so blank rows and concurrent edits can't shift the row number
+    async locateRecordRow(schemaName, id) {
+        const schema = this.sheetSchemas[schemaName];
+        const url = `${this.baseUrl}/${this.spreadsheetId}/values/${schema.sheet}!A:Z?key=${this.apiKey}`;
+        const response = await this.fetchWithRetry(url);
+        
+        if (!response.ok) {
+            throw this.httpError(response);
+        }
+        
+        const data = await response.json();
+        const rows = data.values || [];
+        const headers = rows[0] || [];
+        const idIndex = this.mapColumns(headers, schemaName).columnIndex[schema.idField];
+        
+        if (idIndex === undefined) {
+            throw new Error(`${schema.sheet} sheet has no ID column`);
+        }
+        
+        this.rememberHeaders(schema.sheet, headers);
+        
+        const rowIndex = rows.findIndex((row, index) => index > 0 && row && String(row[idIndex]) === String(id));
+        if (rowIndex === -1) {
+            const error = new Error(`${schema.sheet} record ${id} not found`);
+            error.notFound = true;
             throw error;
         }
+        
+        return { rowIndex, headers, row: rows[rowIndex] };
+    }
+
+    // Read one record straight from its sheet, or null if it is no longer there
+    async readRemoteRecord(schemaName, id) {
+        try {
+            const { headers, row } = await this.locateRecordRow(schemaName, id);
+            return this.parseSheetRows([headers, row], schemaName)[0] || null;
+        } catch (error) {
+            if (error.notFound) return null;
+            throw error;
+        }
+    }
+
+    // Fields whose values differ between two versions of a record
+    diffRecords(schemaName, before, after) {
+        const normalize = (value, column) => {
+            const parsed = this.parseCellValue(Array.isArray(value) ? value.join(', ') : value, column);
+            return Array.isArray(parsed) ? parsed.join(', ') : String(parsed);
+        };
+        
+        return this.sheetSchemas[schemaName].columns
+            .filter(column => column.field in before && column.field in after)
+            .filter(column => normalize(before[column.field], column) !== normalize(after[column.field], column))
+            .map(column => column.field);
+    }
+
+    // Overwrite a record's row in place. record.lastModified is the row version the
+    // caller last saw - if the row has changed since, the user resolves the conflict
+    async updateRecordRow(schemaName, id, record) {
+        const schema = this.sheetSchemas[schemaName];
+        let toWrite = record;
+        
+        for (let attempt = 1; attempt <= this.retryCount; attempt++) {
+            const { rowIndex, headers, row } = await this.locateRecordRow(schemaName, id);
+            const theirs = this.parseSheetRows([headers, row], schemaName)[0];
+            
+            if (this.isStaleVersion(toWrite, theirs)) {
+                toWrite = await this.resolveConflict(schemaName, id, toWrite, theirs);
+                if (!toWrite) return { record: theirs };
+                
+                // The row may have moved or changed again while the user decided
+                continue;
+            }
+            
+            const sheetHeaders = await this.ensureAddedColumns(schema.sheet, headers);
+            if (!(await this.verifyRowIdentity(schemaName, rowIndex, id, sheetHeaders))) continue;
+            
+            const stamped = this.stampVersion(toWrite);
+            const rowNumber = rowIndex + 1;
+            const range = `${schema.sheet}!A${rowNumber}:${this.columnLetter(sheetHeaders.length - 1)}${rowNumber}`;
+            
+            await this.writeRange(range, [this.formatRecordForSheet(stamped, schemaName, sheetHeaders)]);
+            return { record: stamped };
+        }
+        
+        throw new Error(`${schema.sheet} record ${id} kept moving while it was being updated - nothing was written`);
+    }
+
+    // Remove a record's row from its sheet
+    async deleteRecordRow(schemaName, id) {
+        const schema = this.sheetSchemas[schemaName];
+        
+        for (let attempt = 1; attempt <= this.retryCount; attempt++) {
+            const { rowIndex, headers } = await this.locateRecordRow(schemaName, id);
+            
+            // Deleting a shifted row would remove someone else's record
+            if (await this.verifyRowIdentity(schemaName, rowIndex, id, headers)) {
+                return this.deleteSheetRow(schema.sheet, rowIndex);
+            }
+        }
+        
+        throw new Error(`${schema.sheet} record ${id} kept moving while it was being deleted - nothing was removed`);
+    }
+
+    // Archive a record by setting only its Status (and version) cells, leaving the row in place
+    async archiveRecordRow(schemaName, id) {
+        const schema = this.sheetSchemas[schemaName];
+        
+        for (let attempt = 1; attempt <= this.retryCount; attempt++) {
+            const located = await this.locateRecordRow(schemaName, id);
+            const headers = await this.ensureAddedColumns(schema.sheet, located.headers);
+            const { columnIndex } = this.mapColumns(headers, schemaName);
+            
+            if (columnIndex.status === undefined) {
+                throw new Error(`${schema.sheet} sheet has no Status column to archive with`);
+            }
+            
+            if (!(await this.verifyRowIdentity(schemaName, located.rowIndex, id, headers))) continue;
+            
+            const rowNumber = located.rowIndex + 1;
+            return this.writeRanges([
+                { range: `${schema.sheet}!${this.columnLetter(columnIndex.status)}${rowNumber}`, values: [[validationRules.archivedStatus]] },
+                { range: `${schema.sheet}!${this.columnLetter(columnIndex.lastModified)}${rowNumber}`, values: [[this.stampVersion({}).lastModified]] }
+            ]);
+        }
+        
+        throw new Error(`${schema.sheet} record ${id} kept moving while it was being archived - nothing was written`);
+    }
+
+    // Row versions - every row write records when it happened in Last Modified.
+    // Returns a stamped copy; the caller's record is left as it was
+    stampVersion(record) {
+        return { ...record, lastModified: new Date().toISOString() };
+    }
+
+    // The row has been written since the caller read it (unversioned rows can't be checked)
+    isStaleVersion(mine, theirs) {
+        return Boolean(mine.lastModified && theirs.lastModified && mine.lastModified !== theirs.lastModified);
+    }
+
+    // Sheets created before a column joined the schema (Last Modified, the eligibility
+    // criteria) get the column appended - schema columns marked `added`
+    async ensureAddedColumns(sheetName, headers) {
+        const schemaName = Object.keys(this.sheetSchemas).find(name => this.sheetSchemas[name].sheet === sheetName);
+        if (headers.length === 0) return headers;
+        
+        const { columnIndex } = this.mapColumns(headers, schemaName);
+        const missing = this.sheetSchemas[schemaName].columns
+            .filter(column => column.added && columnIndex[column.field] === undefined)
+            .map(column => column.header);
+        
+        if (missing.length === 0) return headers;
+        
+        await this.writeRange(`${sheetName}!${this.columnLetter(headers.length)}1`, [missing]);
+        
+        const updatedHeaders = [...headers, ...missing];
+        this.rememberHeaders(sheetName, updatedHeaders);
+        return updatedHeaders;
+    }
+
+    // Re-read just the ID cell right before writing, so a row inserted or deleted
+    // by another coordinator can't make the write land on the wrong record
+    async verifyRowIdentity(schemaName, rowIndex, id, headers) {
+        const schema = this.sheetSchemas[schemaName];
+        const idColumn = this.columnLetter(this.mapColumns(headers, schemaName).columnIndex[schema.idField]);
+        const url = `${this.baseUrl}/${this.spreadsheetId}/values/${schema.sheet}!${idColumn}${rowIndex + 1}?key=${this.apiKey}`;
+        const response = await this.fetchWithRetry(url);
+        
+        if (!response.ok) {
+            throw this.httpError(response);
+        }
+        
+        const data = await response.json();
+        const cell = data.values && data.values[0] ? data.values[0][0] : undefined;
+        return String(cell) === String(id);
+    }
+
+    // Let the user settle a concurrent edit. Resolves to the record to write
+    // (based on the sheet's current version) or null to keep the sheet's copy
+    async resolveConflict(schemaName, id, mine, theirs) {
+        const fields = this.conflictFields(schemaName, mine, theirs);
+        
+        // Only the version moved on - nothing to choose between
+        if (fields.length === 0) {
+            return { ...mine, lastModified: theirs.lastModified };
+        }
+        
+        if (typeof window.conflictResolver === 'undefined') {
+            const error = new Error(`${this.sheetSchemas[schemaName].sheet} record ${id} was changed by someone else`);
+            error.conflict = true;
+            throw error;
+        }
+        
+        this.showLoading(false);
+        try {
+            return await conflictResolver.resolve({ title: `Edit Conflict - ${id}`, fields, mine, theirs });
+        } finally {
+            this.showLoading(true);
+        }
+    }
+
+    // Fields that differ between two versions, labelled with their sheet headers
+    conflictFields(schemaName, mine, theirs) {
+        const columns = this.sheetSchemas[schemaName].columns;
+        
+        return this.diffRecords(schemaName, mine, theirs)
+            .filter(field => field !== 'lastModified')
+            .map(field => ({ field, label: columns.find(column => column.field === field).header }));
+    }
+
+    // GET the raw cell values of a range
+    async readRange(range) {
+        const url = `${this.baseUrl}/${this.spreadsheetId}/values/${range}?key=${this.apiKey}`;
+        const response = await this.fetchWithRetry(url);
+        
+        if (!response.ok) {
+            throw await this.sheetsError(response);
+        }
+        
+        const data = await response.json();
+        return data.values || [];
+    }
+
+    // PUT values into a range
+    async writeRange(range, values) {
+        const url = `${this.baseUrl}/${this.spreadsheetId}/values/${range}?valueInputOption=RAW&key=${this.apiKey}`;
+        
+        const response = await this.fetchWithRetry(url, {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({
+                values: values
+            })
+        });
+        
+        if (!response.ok) {
+            throw this.httpError(response);
+        }
+        
+        return await response.json();
+    }
+
+    // Write several ranges in one values:batchUpdate request
+    async writeRanges(data) {
+        const url = `${this.baseUrl}/${this.spreadsheetId}/values:batchUpdate?key=${this.apiKey}`;
+        
+        const response = await this.fetchWithRetry(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({
+                valueInputOption: 'RAW',
+                data: data
+            })
+        }, { idempotent: true });
+        
+        if (!response.ok) {
+            throw this.httpError(response);
+        }
+        
+        return await response.json();
     }
 
-    // Company Data Distribution to 10+ Companies
-    async distributeDataToCompanies(studentData, companyIds) {
-        try {
-            this.showLoading(true);
-            const results = [];
-            
-            for (const companyId of companyIds) {
-                try {
-                    const result = await this.sendStudentDataToCompany(studentData, companyId);
-                    results.push({ companyId, success: true, result });
-                    
-                    // Automated data handling - log distribution
-                    this.logActivity('data_distributed', companyId, `${studentData.length} students`);
-                    
-                } catch (error) {
-                    console.error(`Failed to send data to company ${companyId}:`, error);
-                    results.push({ companyId, success: false, error: error.message });
-                }
-                
-                // Add delay to prevent rate limiting
-                await this.delay(200);
-            }
-            
-            this.showLoading(false);
-            
-            const successCount = results.filter(r => r.success).length;
-            const totalCompanies = companyIds.length;
-            
-            this.showNotification(
-                `Data distributed to ${successCount}/${totalCompanies} companies. Manual processing reduced by 85%`, 
-                successCount === totalCompanies ? 'success' : 'warning'
-            );
-            
-            return results;
-            
-        } catch (error) {
-            this.showLoading(false);
-            console.error('Error distributing data to companies:', error);
-            this.showNotification('Failed to distribute data to companies', 'error');
-            throw error;
+    // Convert a 0-based column index to its A1 letter (0 -> A, 26 -> AA)
+    columnLetter(index) {
+        let letter = '';
+        for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+            letter = String.fromCharCode(65 + (n - 1) % 26) + letter;
         }
+        return letter;
     }
 
-    // Send student data to specific company
-    async sendStudentDataToCompany(studentData, companyId) {
-        const companyRange = `Company_${companyId}!A:Z`;
-        
-        const formattedData = studentData.map(student => [
-            student.studentId,
-            student.fullName,
-            student.email,
-            student.phone,
-            student.department,
-            student.year,
-            student.cgpa,
-            student.skills,
-            new Date().toISOString().split('T')[0], // Date sent
-            'Pending Review' // Initial status
-        ]);
+    // Error for a failed response, carrying its status so callers can tell
+    // retryable failures (429, 5xx) from permanent ones
+    httpError(response) {
+        const error = new Error(`HTTP error! status: ${response.status}`);
+        error.status = response.status;
+        return error;
+    }
+
+    // httpError with Google's explanation added. missingSheet marks a range naming
+    // a tab that doesn't exist - Sheets answers that with 400 "Unable to parse range"
+    async sheetsError(response, message = null) {
+        const details = await response.json().catch(() => ({}));
+        const reason = (details.error && details.error.message) || '';
+        const error = this.httpError(response);
+        
+        error.message = [message || error.message, reason].filter(Boolean).join(': ');
+        error.missingSheet = response.status === 400 && /Unable to parse range/i.test(reason);
+        return error;
+    }
+
+    // Report a failed write - unless it is parked in the offline outbox to retry
+    // later, or was an edit conflict the user chose to back out of
+    notifyWriteFailure(message, error) {
+        if (error.conflict || (window.syncQueue && syncQueue.isRetryable(error))) return;
+        this.showNotification(message, 'error');
+    }
+
+    // Remove a single row (0-based sheet index) with a deleteDimension request
+    async deleteSheetRow(sheetName, rowIndex) {
+        const sheetId = await this.getSheetId(sheetName);
         
-        const url = `${this.baseUrl}/${this.spreadsheetId}/values/${companyRange}:append?valueInputOption=RAW&key=${this.apiKey}`;
+        const url = `${this.baseUrl}/${this.spreadsheetId}:batchUpdate?key=${this.apiKey}`;
         
-        const response = await fetch(url, {
+        // Deletes by position - repeating it after it went through would remove the
+        // next row, so only quota/unavailable rejections are retried
+        const response = await this.fetchWithRetry(url, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
             },
             body: JSON.stringify({
-                values: formattedData
+                requests: [{
+                    deleteDimension: {
+                        range: {
+                            sheetId: sheetId,
+                            dimension: 'ROWS',
+                            startIndex: rowIndex,
+                            endIndex: rowIndex + 1
+                        }
+                    }
+                }]
             })
         });
         
         if (!response.ok) {
-            throw new Error(`Failed to send data to company ${companyId}`);
+            throw this.httpError(response);
         }
         
         return await response.json();
     }
 
-    // Get Companies Data
-    async getCompanies(range = 'Companies!A:Z') {
-        try {
-            this.showLoading(true);
-            
-            const url = `${this.baseUrl}/${this.spreadsheetId}/values/${range}?key=${this.apiKey}`;
-            const response = await this.fetchWithRetry(url);
+    // Make sure a company's distribution tab exists and has its header row.
+    // A missing tab is added with an addSheet request (and protected, if configured).
+    // Returns { sheetName, headers }
+    async ensureCompanySheet(companyId) {
+        const sheetName = `${this.companySheets.prefix}${companyId}`;
+        
+        if (!(await this.getSheetProperties(sheetName))) {
+            const properties = await this.addCompanySheet(sheetName);
             
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
+            if (this.companySheets.protect) {
+                await this.protectCompanySheet(properties.sheetId, companyId);
             }
+        }
+        
+        const headers = await this.cache.fetch('headers', sheetName, async () => {
+            const current = (await this.readRange(`${sheetName}!1:1`))[0] || [];
             
-            const data = await response.json();
-            const companies = this.parseCompanyData(data.values || []);
+            // New tabs get the whole header row; older tabs gain any columns added since
+            const missing = this.distributionColumns.map(column => column.header).filter(header => !current.includes(header));
+            if (missing.length > 0) {
+                await this.writeRange(`${sheetName}!1:1`, [[...current, ...missing]]);
+            }
             
-            this.showLoading(false);
-            return companies;
+            return [...current, ...missing];
+        });
+        
+        return { sheetName, headers };
+    }
+
+    async addCompanySheet(sheetName) {
+        const url = `${this.baseUrl}/${this.spreadsheetId}:batchUpdate?key=${this.apiKey}`;
+        const sheetExists = async () => {
+            this.cache.invalidate('sheetProperties');
+            return this.getSheetProperties(sheetName);
+        };
+        
+        const response = await this.fetchWithRetry(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({
+                requests: [{
+                    addSheet: {
+                        properties: {
+                            title: sheetName,
+                            gridProperties: { frozenRowCount: 1 }
+                        }
+                    }
+                }]
+            })
+        }, { alreadyApplied: async () => Boolean(await sheetExists()) });
+        
+        if (!response.ok) {
+            // Another coordinator added the tab in the meantime
+            const existing = response.status === 400 ? await sheetExists() : null;
+            if (existing) return existing;
             
-        } catch (error) {
-            this.showLoading(false);
-            console.error('Error fetching companies:', error);
-            this.showNotification('Failed to load company data', 'error');
-            return [];
+            throw this.httpError(response);
         }
+        
+        const data = await response.json();
+        const properties = data.replies ? data.replies[0].addSheet.properties : await sheetExists();
+        
+        this.cache.invalidate('sheetProperties');
+        return properties;
     }
 
-    // Add Company
-    async addCompany(companyData) {
+    // Limit editing of a company's tab to the company's HR contact, the signed-in
+    // coordinator and any configured editors. The spreadsheet owner can always edit
+    async protectCompanySheet(sheetId, companyId) {
         try {
-            this.showLoading(true);
-            
-            const range = 'Companies!A:Z';
-            const values = [this.formatCompanyForSheet(companyData)];
+            const company = (await this.getCompanies()).find(candidate => candidate.companyId === companyId);
+            const user = window.googleAuth ? googleAuth.getUser() : null;
+            const editors = [company && company.hrEmail, user && user.email, ...this.companySheets.editors]
+                .filter((email, index, all) => email && all.indexOf(email) === index);
             
-            const url = `${this.baseUrl}/${this.spreadsheetId}/values/${range}:append?valueInputOption=RAW&key=${this.apiKey}`;
-            
-            const response = await fetch(url, {
+            const url = `${this.baseUrl}/${this.spreadsheetId}:batchUpdate?key=${this.apiKey}`;
+            const response = await this.fetchWithRetry(url, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
                 },
                 body: JSON.stringify({
-                    values: values
+                    requests: [{
+                        addProtectedRange: {
+                            protectedRange: {
+                                range: { sheetId },
+                                description: `Distribution data for ${company ? company.companyName : companyId}`,
+                                warningOnly: false,
+                                editors: { users: editors }
+                            }
+                        }
+                    }]
                 })
             });
             
             if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
+                throw this.httpError(response);
             }
             
-            this.clearCache();
-            this.showLoading(false);
-            this.showNotification('Company successfully added to Google Sheets', 'success');
-            
-            return await response.json();
-            
         } catch (error) {
-            this.showLoading(false);
-            console.error('Error adding company:', error);
-            this.showNotification('Failed to add company data', 'error');
-            throw error;
+            // The tab is usable without protection - don't fail the distribution over it
+            console.error(`Failed to protect distribution tab for ${companyId}:`, error);
+            this.showNotification(`Created the ${companyId} tab but could not restrict who can edit it`, 'warning');
         }
     }
 
-    // Batch operations for handling 500+ records efficiently
-    async batchUpdateStudents(updates) {
-        try {
-            this.showLoading(true);
-            
-            const batchRequests = updates.map(update => ({
-                range: update.range,
-                values: update.values
-            }));
+    forgetCompanySheet(sheetName) {
+        this.cache.invalidate('sheetProperties');
+        this.cache.invalidate('headers', sheetName);
+    }
+
+    // Look up the numeric sheet ID for a tab name (needed by batchUpdate requests)
+    async getSheetId(sheetName) {
+        const sheet = await this.getSheetProperties(sheetName);
+        if (!sheet) {
+            throw new Error(`Sheet "${sheetName}" not found in spreadsheet`);
+        }
+        
+        return sheet.sheetId;
+    }
+
+    // Properties (sheetId, title, ...) of a tab, or null when there is no such tab
+    async getSheetProperties(sheetName) {
+        const sheetProperties = await this.listSheetProperties();
+        return sheetProperties.find(properties => properties.title === sheetName) || null;
+    }
+
+    // Properties of every tab in the spreadsheet
+    async listSheetProperties() {
+        return this.cache.fetch('sheetProperties', this.spreadsheetId, async () => {
+            const url = `${this.baseUrl}/${this.spreadsheetId}?fields=sheets.properties&key=${this.apiKey}`;
+            const response = await this.fetchWithRetry(url);
             
-            const url = `${this.baseUrl}/${this.spreadsheetId}/values:batchUpdate?key=${this.apiKey}`;
+            if (!response.ok) {
+                throw this.httpError(response);
+            }
             
-            const response = await fetch(url, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify({
-                    valueInputOption: 'RAW',
-                    data: batchRequests
-                })
-            });
+            const data = await response.json();
+            return (data.sheets || []).map(sheet => sheet.properties);
+        });
+    }
+
+    // Distribution tabs in the spreadsheet - [{ sheetName, companyId }]
+    async getCompanySheets() {
+        const prefix = this.companySheets.prefix;
+        
+        return (await this.listSheetProperties())
+            .filter(properties => properties.title.startsWith(prefix) && properties.title.length > prefix.length)
+            .map(properties => ({ sheetName: properties.title, companyId: properties.title.slice(prefix.length) }));
+    }
+
+    // Read the header row of a sheet, writing the default headers to an empty sheet.
+    // Cached for config.app.cache.ttl.headers, and dropped after every write to the sheet
+    async getSheetHeaders(sheetName) {
+        return this.cache.fetch('headers', sheetName, async () => {
+            const url = `${this.baseUrl}/${this.spreadsheetId}/values/${sheetName}!1:1?key=${this.apiKey}`;
+            const response = await this.fetchWithRetry(url);
             
             if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
+                throw this.httpError(response);
             }
             
-            this.clearCache();
-            this.showLoading(false);
-            this.showNotification(`Successfully updated ${updates.length} records`, 'success');
+            const data = await response.json();
+            const headers = (data.values && data.values[0]) || [];
             
-            return await response.json();
+            if (headers.length === 0) {
+                return this.writeHeaderRow(sheetName, this.getSchemaBySheet(sheetName));
+            }
             
-        } catch (error) {
-            this.showLoading(false);
-            console.error('Error in batch update:', error);
-            this.showNotification('Failed to perform batch update', 'error');
-            throw error;
+            return this.ensureAddedColumns(sheetName, headers);
+        });
+    }
+
+    // Write a schema's default header row to the first row of a sheet
+    async writeHeaderRow(sheetName, schema) {
+        const headers = schema.columns.map(column => column.header);
+        const url = `${this.baseUrl}/${this.spreadsheetId}/values/${sheetName}!1:1?valueInputOption=RAW&key=${this.apiKey}`;
+        
+        const response = await this.fetchWithRetry(url, {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({
+                values: [headers]
+            })
+        });
+        
+        if (!response.ok) {
+            throw new Error(`Failed to write header row to ${sheetName}`);
         }
+        
+        return headers;
     }
 
-    // Parse student data from Google Sheets
-    parseStudentData(rawData) {
+    // A header row this client just read or rewrote
+    rememberHeaders(sheetName, headers) {
+        this.cache.set('headers', sheetName, headers);
+    }
+
+    getSchemaBySheet(sheetName) {
+        const schema = Object.values(this.sheetSchemas).find(s => s.sheet === sheetName);
+        if (!schema) {
+            throw new Error(`No column schema defined for sheet "${sheetName}"`);
+        }
+        return schema;
+    }
+
+    // Normalize a header for matching ("Min. CGPA" -> "mincgpa")
+    normalizeHeader(header) {
+        return String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+    }
+
+    // Map each schema field to its column index in the given header row
+    mapColumns(headers, schemaName) {
+        const schema = this.sheetSchemas[schemaName];
+        const normalizedHeaders = headers.map(header => this.normalizeHeader(header));
+        const columnIndex = {};
+        const missing = [];
+        
+        schema.columns.forEach(column => {
+            const names = [column.header, ...(column.aliases || [])].map(name => this.normalizeHeader(name));
+            const index = normalizedHeaders.findIndex(header => names.includes(header));
+            
+            if (index !== -1) {
+                columnIndex[column.field] = index;
+            } else if (column.required) {
+                missing.push(column.header);
+            }
+        });
+        
+        const mappedIndexes = new Set(Object.values(columnIndex));
+        const unknown = headers.filter((header, index) => header && !mappedIndexes.has(index));
+        
+        return { columnIndex, missing, unknown };
+    }
+
+    // Parse sheet rows into records by header name rather than column position
+    parseSheetRows(rawData, schemaName) {
         if (!rawData || rawData.length === 0) return [];
         
+        const schema = this.sheetSchemas[schemaName];
         const headers = rawData[0];
-        const students = [];
+        const { columnIndex, missing, unknown } = this.mapColumns(headers, schemaName);
+        
+        this.rememberHeaders(schema.sheet, headers);
+        
+        if (missing.length > 0) {
+            const error = new Error(`${schema.sheet} sheet is missing required column(s): ${missing.join(', ')}`);
+            error.schemaError = true;
+            throw error;
+        }
+        
+        if (unknown.length > 0) {
+            console.info(`${schema.sheet} sheet: ignoring extra column(s) ${unknown.join(', ')}`);
+        }
+        
+        const records = [];
         
         for (let i = 1; i < rawData.length; i++) {
             const row = rawData[i];
-            if (row && row.length > 0) {
-                students.push({
-                    studentId: row[0] || '',
-                    fullName: row[1] || '',
-                    email: row[2] || '',
-                    phone: row[3] || '',
-                    department: row[4] || '',
-                    year: row[5] || '',
-                    cgpa: parseFloat(row[6]) || 0,
-                    skills: row[7] || '',
-                    status: row[8] || 'Active',
-                    dateAdded: row[9] || new Date().toISOString().split('T')[0]
-                });
-            }
+            if (!row || row.length === 0) continue;
+            
+            const record = {};
+            schema.columns.forEach(column => {
+                const index = columnIndex[column.field];
+                const rawValue = index === undefined ? '' : row[index];
+                record[column.field] = this.parseCellValue(rawValue, column);
+            });
+            records.push(record);
         }
         
-        return students;
+        return records;
     }
 
-    // Parse company data from Google Sheets
-    parseCompanyData(rawData) {
-        if (!rawData || rawData.length === 0) return [];
+    // Convert a raw cell into the column's type, applying its default when empty
+    parseCellValue(rawValue, column) {
+        const isEmpty = rawValue === undefined || rawValue === null || rawValue === '';
         
-        const companies = [];
+        if (isEmpty && column.default !== undefined) {
+            return typeof column.default === 'function' ? column.default() : column.default;
+        }
         
-        for (let i = 1; i < rawData.length; i++) {
-            const row = rawData[i];
-            if (row && row.length > 0) {
-                companies.push({
-                    companyId: row[0] || '',
-                    companyName: row[1] || '',
-                    industry: row[2] || '',
-                    location: row[3] || '',
-                    hrName: row[4] || '',
-                    hrEmail: row[5] || '',
-                    hrPhone: row[6] || '',
-                    packageOffered: parseFloat(row[7]) || 0,
-                    positions: parseInt(row[8]) || 0,
-                    minCgpa: parseFloat(row[9]) || 0,
-                    status: row[10] || 'Active'
-                });
-            }
+        switch (column.type) {
+            case 'number':
+                return parseFloat(rawValue) || 0;
+            case 'integer':
+                return parseInt(rawValue) || 0;
+            case 'list':
+                return isEmpty ? [] : String(rawValue).split(',').map(item => item.trim()).filter(Boolean);
+            default:
+                return isEmpty ? '' : String(rawValue);
         }
+    }
+
+    // Build a row in the sheet's own column order; unmapped columns are sent as
+    // null so the Sheets API leaves whatever is already in them untouched
+    formatRecordForSheet(record, schemaName, headers) {
+        const schema = this.sheetSchemas[schemaName];
+        const sheetHeaders = headers || schema.columns.map(column => column.header);
+        const { columnIndex } = this.mapColumns(sheetHeaders, schemaName);
+        const row = new Array(sheetHeaders.length).fill(null);
+        
+        schema.columns.forEach(column => {
+            const index = columnIndex[column.field];
+            if (index === undefined) return;
+            
+            let value = record[column.field];
+            if (value === undefined || value === null || value === '') {
+                value = column.default !== undefined ?
+                    (typeof column.default === 'function' ? column.default() : column.default) : '';
+            }
+            
+            row[index] = Array.isArray(value) ? value.join(', ') : value;
+        });
         
-        return companies;
+        return row;
+    }
+
+    // Parse student data from Google Sheets
+    parseStudentData(rawData) {
+        return this.parseSheetRows(rawData, 'students');
+    }
+
+    // Parse company data from Google Sheets
+    parseCompanyData(rawData) {
+        return this.parseSheetRows(rawData, 'companies');
+    }
+
+    // Parse placement data from Google Sheets
+    parsePlacementData(rawData) {
+        return this.parseSheetRows(rawData, 'placements');
     }
 
     // Format student data for Google Sheets
-    formatStudentForSheet(student) {
-        return [
-            student.studentId,
-            student.fullName,
-            student.email,
-            student.phone,
-            student.department,
-            student.year,
-            student.cgpa,
-            student.skills,
-            student.status || 'Active',
-            new Date().toISOString().split('T')[0]
-        ];
+    formatStudentForSheet(student, headers) {
+        return this.formatRecordForSheet(student, 'students', headers);
     }
 
     // Format company data for Google Sheets
-    formatCompanyForSheet(company) {
-        return [
-            company.companyId,
-            company.companyName,
-            company.industry,
-            company.location,
-            company.hrName,
-            company.hrEmail,
-            company.hrPhone,
-            company.packageOffered,
-            company.positions,
-            company.minCgpa,
-            company.status || 'Active',
-            new Date().toISOString().split('T')[0]
-        ];
+    formatCompanyForSheet(company, headers) {
+        return this.formatRecordForSheet(company, 'companies', headers);
+    }
+
+    // Format placement data for Google Sheets
+    formatPlacementForSheet(placement, headers) {
+        return this.formatRecordForSheet(placement, 'placements', headers);
     }
 
     // Automated data handling for company distribution
     async autoDistributeToEligibleCompanies(studentData) {
         try {
-            const companies = await this.getCompanies();
-            const eligibleCompanies = companies.filter(company => 
-                company.status === 'Active' && 
-                company.minCgpa <= studentData.cgpa &&
-                company.positions > 0
-            );
+            const [companies, placements] = await Promise.all([this.getCompanies(), this.getPlacements()]);
+            const eligibleCompanies = eligibilityEngine.eligibleCompanies(studentData, companies, { placements });
             
             if (eligibleCompanies.length === 0) {
                 this.showNotification('No eligible companies found for this student', 'warning');
@@ -472,43 +1373,87 @@ class GoogleSheetsAPI {
         }
     }
 
-    // Fetch with retry mechanism for reliability
-    async fetchWithRetry(url, options = {}, attempt = 1) {
+    // Send freshly imported students to the companies each one qualifies for
+    async triggerAutoDistribution(students) {
         try {
-            const response = await fetch(url, options);
-            return response;
+            const [companies, placements] = await Promise.all([this.getCompanies(), this.getPlacements()]);
+            const assignments = new Map();
+            
+            students.forEach(student => {
+                eligibilityEngine.eligibleCompanies(student, companies, { placements }).forEach(company => {
+                    if (!assignments.has(company.companyId)) assignments.set(company.companyId, []);
+                    assignments.get(company.companyId).push(student);
+                });
+            });
+            
+            if (assignments.size === 0) return;
+            
+            await this.distribute(Array.from(assignments, ([companyId, eligible]) => ({ companyId, students: eligible })));
+            this.updateDistributionStats(assignments.size);
+            
         } catch (error) {
-            if (attempt < this.retryCount) {
-                console.log(`Retry attempt ${attempt} for ${url}`);
-                await this.delay(this.retryDelay * attempt);
-                return this.fetchWithRetry(url, options, attempt + 1);
-            }
+            console.error('Error in auto distribution after import:', error);
+            this.showNotification('Imported students could not be distributed automatically', 'warning');
+        }
+    }
+
+    // Fetch with retry mechanism for reliability
+    // Every Sheets request goes through the shared HTTP client (timeouts, backoff, Retry-After)
+    async fetchWithRetry(url, options = {}, requestOptions = {}) {
+        // Google only accepts writes from a signed-in account, not an API key
+        if (options.method && options.method !== 'GET' && window.googleAuth &&
+            googleAuth.isConfigured() && !googleAuth.isConnected()) {
+            const error = new Error('Connect Google Sheets to save changes');
+            error.authRequired = true;
             throw error;
         }
+        
+        return this.http.request(url, options, requestOptions);
+    }
+
+    // Whether rows identical to these are already in the sheet, so an append
+    // that failed ambiguously is not repeated after it actually landed.
+    // Rows carry their Last Modified stamp, which makes them unique
+    async rowsPresent(range, values) {
+        const sheetName = range.split('!')[0];
+        const rowKey = row => JSON.stringify(this.trimRow(row.map(cell => cell === undefined || cell === null ? '' : String(cell))));
+        const existing = new Set((await this.readRange(`${sheetName}!A:Z`)).map(rowKey));
+        
+        return values.every(row => existing.has(rowKey(row)));
+    }
+
+    // Sheets leaves trailing empty cells out of the values it returns
+    trimRow(row) {
+        const trimmed = [...row];
+        while (trimmed.length > 0 && trimmed[trimmed.length - 1] === '') trimmed.pop();
+        return trimmed;
     }
 
-    // Bulk import from CSV/Excel
-    async bulkImportStudents(csvData) {
+    // Bulk import of student records read from a CSV or Excel upload (js/fileUpload.js).
+    // Returns { imported, records } with the records as written
+    async bulkImportStudents(records) {
         try {
             this.showLoading(true);
             
-            const students = this.parseCsvData(csvData);
+            const students = records.map(student => ({ status: 'Active', ...student }));
+            const stamped = students.map(student => this.stampVersion(student));
             const batchSize = 100; // Process in batches to handle 500+ records
             const batches = [];
             
-            for (let i = 0; i < students.length; i += batchSize) {
-                batches.push(students.slice(i, i + batchSize));
+            for (let i = 0; i < stamped.length; i += batchSize) {
+                batches.push(stamped.slice(i, i + batchSize));
             }
             
             let totalProcessed = 0;
+            const headers = await this.getSheetHeaders('Students');
             
             for (const batch of batches) {
-                const values = batch.map(student => this.formatStudentForSheet(student));
+                const values = batch.map(student => this.formatStudentForSheet(student, headers));
                 
                 const range = 'Students!A:Z';
                 const url = `${this.baseUrl}/${this.spreadsheetId}/values/${range}:append?valueInputOption=RAW&key=${this.apiKey}`;
                 
-                const response = await fetch(url, {
+                const response = await this.fetchWithRetry(url, {
                     method: 'POST',
                     headers: {
                         'Content-Type': 'application/json',
@@ -516,10 +1461,12 @@ class GoogleSheetsAPI {
                     body: JSON.stringify({
                         values: values
                     })
-                });
+                }, { alreadyApplied: () => this.rowsPresent(range, values) });
                 
                 if (!response.ok) {
-                    throw new Error(`Batch import failed at record ${totalProcessed}`);
+                    const error = this.httpError(response);
+                    error.message = `Batch import failed at record ${totalProcessed} (HTTP ${response.status})`;
+                    throw error;
                 }
                 
                 totalProcessed += batch.length;
@@ -531,14 +1478,11 @@ class GoogleSheetsAPI {
                 await this.delay(100);
             }
             
-            this.clearCache();
+            this.invalidateCache('students');
             this.showLoading(false);
             this.showNotification(`Successfully imported ${totalProcessed} student records`, 'success');
             
-            // Trigger auto-distribution for eligible students
-            this.triggerAutoDistribution(students);
-            
-            return totalProcessed;
+            return { imported: totalProcessed, records: stamped };
             
         } catch (error) {
             this.showLoading(false);
@@ -548,27 +1492,30 @@ class GoogleSheetsAPI {
         }
     }
 
-    // Export data for companies
-    async exportForCompany(companyId, format = 'csv') {
+    // Export data for companies - eligible students ranked by how well their skills
+    // match the company's requirements (js/skillMatcher.js), best first. Returns CSV
+    // or JSON text, or an .xlsx Blob
+    async exportForCompany(companyId, format = 'csv', { limit = Infinity } = {}) {
         try {
-            const students = await this.getStudents();
-            const companies = await this.getCompanies();
+            const [students, companies, placements] = await Promise.all([
+                this.getStudents(), this.getCompanies(), this.getPlacements()
+            ]);
             
             const company = companies.find(c => c.companyId === companyId);
             if (!company) {
                 throw new Error('Company not found');
             }
             
-            // Filter eligible students
-            const eligibleStudents = students.filter(student => 
-                student.cgpa >= company.minCgpa &&
-                student.status === 'Active'
-            );
+            const ranking = skillMatcher.rank(company, students, { context: { placements }, limit });
             
             if (format === 'csv') {
-                return this.generateCSV(eligibleStudents);
+                return this.generateShortlistCSV(ranking);
+            } else if (format === 'xlsx') {
+                return this.generateShortlistXLSX(ranking, company);
             } else if (format === 'json') {
-                return JSON.stringify(eligibleStudents, null, 2);
+                return JSON.stringify(ranking.map(({ rank, score, matched, missing, student }) => ({
+                    rank, matchScore: score, matchedSkills: matched, missingSkills: missing, ...student
+                })), null, 2);
             }
             
         } catch (error) {
@@ -578,51 +1525,91 @@ class GoogleSheetsAPI {
         }
     }
 
+    // Ranked shortlist as CSV - the generateCSV student columns plus the match
+    generateShortlistCSV(ranking) {
+        const headers = ['Rank', 'Match Score', ...this.studentExportColumns.map(column => column.header), 'Matched Skills', 'Missing Skills'];
+        const rows = ranking.map(({ rank, score, matched, missing, student }) => [
+            rank,
+            `${score}%`,
+            ...this.exportRow(student, this.studentExportColumns),
+            matched.join(', '),
+            missing.join(', ')
+        ]);
+        
+        return csvCodec.stringify([headers, ...rows]);
+    }
+
+    // Ranked shortlist as an Excel workbook (Blob), one sheet named after the company
+    generateShortlistXLSX(ranking, company) {
+        return xlsxWriter.build([{
+            name: company.companyName || company.companyId,
+            columns: [
+                { header: 'Rank', type: 'integer' },
+                { header: 'Match Score', type: 'percent' },
+                ...this.studentExportColumns,
+                { header: 'Matched Skills' },
+                { header: 'Missing Skills' }
+            ],
+            rows: ranking.map(({ rank, score, matched, missing, student }) => [
+                rank,
+                score / 100,
+                ...this.exportRow(student, this.studentExportColumns),
+                matched.join(', '),
+                missing.join(', ')
+            ])
+        }]);
+    }
+
     // Generate CSV from student data
     generateCSV(students) {
-        const headers = ['Student ID', 'Full Name', 'Email', 'Phone', 'Department', 'Year', 'CGPA', 'Skills'];
-        const rows = students.map(student => [
-            student.studentId,
-            student.fullName,
-            student.email,
-            student.phone,
-            student.department,
-            student.year,
-            student.cgpa,
-            student.skills
-        ]);
+        const headers = this.studentExportColumns.map(column => column.header);
+        const rows = students.map(student => this.exportRow(student, this.studentExportColumns));
         
-        const csvContent = [headers, ...rows]
-            .map(row => row.map(field => `"${field}"`).join(','))
-            .join('\n');
-            
-        return csvContent;
+        return csvCodec.stringify([headers, ...rows]);
     }
 
-    // Parse CSV data
-    parseCsvData(csvText) {
-        const lines = csvText.split('\n');
-        const students = [];
+    // Student data as an Excel workbook (Blob) with one sheet per department
+    generateXLSX(students) {
+        const departments = new Map();
+        students.forEach(student => {
+            const department = student.department || 'No Department';
+            if (!departments.has(department)) departments.set(department, []);
+            departments.get(department).push(student);
+        });
         
-        for (let i = 1; i < lines.length; i++) { // Skip header
-            const values = lines[i].split(',').map(val => val.replace(/"/g, '').trim());
-            
-            if (values.length >= 7 && values[0]) {
-                students.push({
-                    studentId: values[0],
-                    fullName: values[1],
-                    email: values[2],
-                    phone: values[3],
-                    department: values[4],
-                    year: values[5],
-                    cgpa: parseFloat(values[6]) || 0,
-                    skills: values[7] || '',
-                    status: 'Active'
-                });
-            }
-        }
+        const sheets = Array.from(departments.keys()).sort().map(department => ({
+            name: department,
+            columns: this.studentExportColumns,
+            rows: departments.get(department).map(student => this.exportRow(student, this.studentExportColumns))
+        }));
         
-        return students;
+        // An empty export still needs one sheet to be a valid workbook
+        return xlsxWriter.build(sheets.length > 0 ? sheets :
+            [{ name: 'Students', columns: this.studentExportColumns, rows: [] }]);
+    }
+
+    generateCompanyCSV(companies) {
+        const headers = this.companyExportColumns.map(column => column.header);
+        const rows = companies.map(company => this.exportRow(company, this.companyExportColumns));
+        
+        return csvCodec.stringify([headers, ...rows]);
+    }
+
+    generateCompanyXLSX(companies) {
+        return xlsxWriter.build([{
+            name: 'Companies',
+            columns: this.companyExportColumns,
+            rows: companies.map(company => this.exportRow(company, this.companyExportColumns))
+        }]);
+    }
+
+    // A record's values for the export columns - lists joined, missing values blank
+    exportRow(record, columns) {
+        return columns.map(({ field }) => {
+            const value = record[field];
+            if (Array.isArray(value)) return value.join(', ');
+            return value === undefined || value === null ? '' : value;
+        });
     }
 
     // Activity logging for tracking
@@ -635,24 +1622,15 @@ class GoogleSheetsAPI {
             user: 'System' // Can be replaced with actual user info
         };
         
-        // Store in local storage for demo purposes
-        const activities = JSON.parse(localStorage.getItem('placement_activities') || '[]');
-        activities.unshift(activity);
-        
-        // Keep only last 50 activities
-        if (activities.length > 50) {
-            activities.splice(50);
-        }
-        
-        localStorage.setItem('placement_activities', JSON.stringify(activities));
-        
-        // Update activity display
-        this.updateActivityDisplay();
+        // Store through the data store (capped to the most recent 50)
+        dataStore.create('activities', activity)
+            .then(() => this.updateActivityDisplay())
+            .catch(error => console.error('Error logging activity:', error));
     }
 
     // Update activity display
-    updateActivityDisplay() {
-        const activities = JSON.parse(localStorage.getItem('placement_activities') || '[]');
+    async updateActivityDisplay() {
+        const activities = await dataStore.list('activities');
         const activityList = document.getElementById('activity-list');
         
         if (activityList && activities.length > 0) {
@@ -670,7 +1648,9 @@ class GoogleSheetsAPI {
     getActivityIcon(type) {
         const icons = {
             'student_added': 'fa-user-plus',
+            'student_updated': 'fa-user-edit',
             'company_added': 'fa-building',
+            'company_updated': 'fa-building',
             'data_distributed': 'fa-paper-plane',
             'placement_updated': 'fa-handshake',
             'file_uploaded': 'fa-file-upload'
@@ -735,6 +1715,17 @@ class GoogleSheetsAPI {
         this.cache.clear();
     }
 
+    // Drop cached reads after a write. The sheet's header row goes too, so the next
+    // write picks up columns another coordinator has added or moved since
+    invalidateCache(...resources) {
+        resources.forEach(resource => {
+            this.cache.invalidate(resource);
+            if (this.sheetSchemas[resource]) {
+                this.cache.invalidate('headers', this.sheetSchemas[resource].sheet);
+            }
+        });
+    }
+
     updateProgress(current, total) {
         const percentage = Math.round((current / total) * 100);
         console.log(`Progress: ${current}/${total} (${percentage}%)`);
@@ -833,6 +1824,7 @@ const googleSheetsAPI = new GoogleSheetsAPI();
 
 // Auto-initialize when page loads
 document.addEventListener('DOMContentLoaded', async () => {
+    googleSheetsAPI.cache.renderStatsLink();
     await googleSheetsAPI.initialize();
     googleSheetsAPI.updateActivityDisplay();
     googleSheetsAPI.updateStatsDisplay();
@@ -0,0 +1,345 @@
+// Google OAuth 2.0 Authorization for Sheets Writes
+// Authorization code flow with PKCE, token refresh before expiry and a
+// "connected as" indicator. Google rejects writes made with only an API key
+
+class GoogleAuth {
+    constructor() {
+        const sheetsConfig = (window.APP_CONFIG && APP_CONFIG.googleSheets) || {};
+        const oauth = sheetsConfig.oauth || {};
+
+        this.clientId = oauth.clientId || '';
+        this.clientSecret = oauth.clientSecret || '';
+        this.authorizationEndpoint = oauth.authorizationEndpoint || 'https://accounts.google.com/o/oauth2/v2/auth';
+        this.tokenEndpoint = oauth.tokenEndpoint || 'https://oauth2.googleapis.com/token';
+        this.userInfoEndpoint = oauth.userInfoEndpoint || 'https://openidconnect.googleapis.com/v1/userinfo';
+        this.redirectUri = oauth.redirectUri || `${window.location.origin}${window.location.pathname}`;
+        this.refreshMargin = oauth.refreshMargin || 60000;
+        this.scopes = [...(sheetsConfig.scopes || []), 'openid', 'email', 'profile'];
+
+        this.storageKey = 'sheets_auth';
+        this.pendingKey = 'sheets_auth_pending';
+        this.refreshing = null;
+
+        document.addEventListener('DOMContentLoaded', async () => {
+            await this.handleRedirect();
+            this.renderIndicator();
+        });
+    }
+
+    // Without a real client ID the app keeps working with the API key alone (read-only)
+    isConfigured() {
+        return Boolean(this.clientId) && !this.clientId.startsWith('YOUR_');
+    }
+
+    isConnected() {
+        const session = this.load();
+        return Boolean(session && (session.refreshToken || session.expiresAt > Date.now()));
+    }
+
+    getUser() {
+        const session = this.load();
+        return session ? session.user : null;
+    }
+
+    // Start the authorization code flow - the browser leaves for the consent screen
+    async signIn() {
+        if (!this.isConfigured()) {
+            placementApp.showNotification('Set googleSheets.oauth.clientId in config.js to connect Google Sheets', 'error');
+            return;
+        }
+
+        const verifier = this.randomString(64);
+        const state = this.randomString(24);
+        const challenge = await this.codeChallenge(verifier);
+
+        sessionStorage.setItem(this.pendingKey, JSON.stringify({
+            state,
+            verifier,
+            method: challenge.method,
+            returnTo: window.location.href
+        }));
+
+        const params = new URLSearchParams({
+            response_type: 'code',
+            client_id: this.clientId,
+            redirect_uri: this.redirectUri,
+            scope: this.scopes.join(' '),
+            state,
+            code_challenge: challenge.value,
+            code_challenge_method: challenge.method,
+            access_type: 'offline', // Ask for a refresh token
+            prompt: 'consent'
+        });
+
+        window.location.assign(`${this.authorizationEndpoint}?${params}`);
+    }
+
+    // Finish the flow when the consent screen sends the browser back with a code
+    async handleRedirect() {
+        const params = new URLSearchParams(window.location.search);
+        if (!params.has('code') && !params.has('error')) return false;
+
+        const pending = JSON.parse(sessionStorage.getItem(this.pendingKey) || 'null');
+        sessionStorage.removeItem(this.pendingKey);
+        this.cleanUrl();
+
+        try {
+            if (params.has('error')) {
+                throw new Error(`Google sign-in was not completed (${params.get('error')})`);
+            }
+
+            if (!pending || pending.state !== params.get('state')) {
+                throw new Error('Google sign-in response did not match the request - please try again');
+            }
+
+            const tokens = await this.requestToken({
+                grant_type: 'authorization_code',
+                code: params.get('code'),
+                redirect_uri: this.redirectUri,
+                code_verifier: pending.verifier
+            });
+
+            const session = this.saveTokens(tokens);
+            session.user = await this.fetchUser(session.accessToken);
+            this.save(session);
+
+            placementApp.showNotification(`Connected to Google Sheets as ${this.describeUser(session.user)}`, 'success');
+
+            // Writes held back while signed out can go now
+            if (window.syncQueue) syncQueue.replay();
+
+            if (pending.returnTo && pending.returnTo.split('?')[0] !== window.location.href.split('?')[0]) {
+                window.location.replace(pending.returnTo);
+            }
+            return true;
+
+        } catch (error) {
+            console.error('OAuth sign-in failed:', error);
+            placementApp.showNotification(error.message, 'error');
+            return false;
+        }
+    }
+
+    // A valid access token, refreshed when it is about to expire.
+    // Resolves to null when not signed in (or the refresh token was revoked)
+    async getAccessToken({ forceRefresh = false } = {}) {
+        const session = this.load();
+        if (!session) return null;
+
+        if (!forceRefresh && session.accessToken && session.expiresAt - this.refreshMargin > Date.now()) {
+            return session.accessToken;
+        }
+
+        if (!session.refreshToken) {
+            this.clear();
+            return null;
+        }
+
+        // Concurrent requests share one refresh
+        if (!this.refreshing) {
+            this.refreshing = this.refresh(session).finally(() => {
+                this.refreshing = null;
+            });
+        }
+
+        return this.refreshing;
+    }
+
+    async refresh(session) {
+        try {
+            const tokens = await this.requestToken({
+                grant_type: 'refresh_token',
+                refresh_token: session.refreshToken
+            });
+
+            return this.saveTokens(tokens, session).accessToken;
+
+        } catch (error) {
+            // invalid_grant - the refresh token was revoked or expired
+            if (error.status === 400 || error.status === 401) {
+                console.warn('Google Sheets session expired:', error.message);
+                this.clear();
+                placementApp.showNotification('Your Google Sheets session expired - connect again to save changes', 'warning');
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    // POST to the token endpoint (application/x-www-form-urlencoded, as OAuth requires)
+    async requestToken(fields) {
+        const body = new URLSearchParams({ client_id: this.clientId, ...fields });
+        if (this.clientSecret) body.set('client_secret', this.clientSecret);
+
+        const response = await fetch(this.tokenEndpoint, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/x-www-form-urlencoded',
+            },
+            body: body.toString()
+        });
+
+        const data = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+            const error = new Error(`Token request failed: ${data.error_description || data.error || response.status}`);
+            error.status = response.status;
+            throw error;
+        }
+
+        return data;
+    }
+
+    async fetchUser(accessToken) {
+        try {
+            const response = await fetch(this.userInfoEndpoint, {
+                headers: { Authorization: `Bearer ${accessToken}` }
+            });
+            if (!response.ok) return null;
+
+            const data = await response.json();
+            return { email: data.email, name: data.name };
+
+        } catch (error) {
+            console.warn('Could not read the Google account profile:', error.message);
+            return null;
+        }
+    }
+
+    // Store a token response; refresh responses usually omit the refresh token
+    saveTokens(tokens, previous = {}) {
+        const session = {
+            ...previous,
+            accessToken: tokens.access_token,
+            refreshToken: tokens.refresh_token || previous.refreshToken || null,
+            expiresAt: Date.now() + (Number(tokens.expires_in) || 3600) * 1000,
+            scope: tokens.scope || previous.scope || this.scopes.join(' ')
+        };
+
+        this.save(session);
+        return session;
+    }
+
+    signOut() {
+        this.clear();
+        placementApp.showNotification('Disconnected from Google Sheets', 'info');
+    }
+
+    load() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+        } catch (error) {
+            return null;
+        }
+    }
+
+    save(session) {
+        localStorage.setItem(this.storageKey, JSON.stringify(session));
+        this.renderIndicator();
+    }
+
+    clear() {
+        localStorage.removeItem(this.storageKey);
+        this.renderIndicator();
+    }
+
+    // PKCE - S256 where Web Crypto is available (secure contexts), plain otherwise
+    async codeChallenge(verifier) {
+        if (window.crypto && crypto.subtle && typeof TextEncoder !== 'undefined') {
+            const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(verifier));
+            const base64 = btoa(String.fromCharCode(...new Uint8Array(digest)));
+            return { method: 'S256', value: base64.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '') };
+        }
+
+        return { method: 'plain', value: verifier };
+    }
+
+    randomString(length) {
+        const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-._~';
+        const bytes = new Uint8Array(length);
+        crypto.getRandomValues(bytes);
+        return Array.from(bytes, byte => alphabet[byte % alphabet.length]).join('');
+    }
+
+    // Drop code/state from the address bar so a reload doesn't replay them
+    cleanUrl() {
+        if (window.history && history.replaceState) {
+            history.replaceState(null, '', `${window.location.origin}${window.location.pathname}`);
+        }
+    }
+
+    describeUser(user) {
+        return user ? user.email || user.name : 'a Google account';
+    }
+
+    // Header indicator: who the app writes as, or a button to connect
+    renderIndicator() {
+        const header = document.querySelector('.header .container');
+        if (!header || !this.isConfigured()) return;
+
+        let indicator = document.getElementById('authStatus');
+        if (!indicator) {
+            indicator = document.createElement('div');
+            indicator.id = 'authStatus';
+            indicator.className = 'auth-status';
+            header.appendChild(indicator);
+        }
+
+        if (this.isConnected()) {
+            indicator.innerHTML = `
+                <span title="Google Sheets changes are saved as this account">
+                    <i class="fas fa-user-check"></i> Connected as ${placementApp.escapeHtml(this.describeUser(this.getUser()))}
+                </span>
+                <button type="button" class="auth-button" data-action="sign-out">Sign out</button>
+            `;
+        } else {
+            indicator.innerHTML = `
+                <button type="button" class="auth-button" data-action="sign-in">
+                    <i class="fab fa-google"></i> Connect Google Sheets
+                </button>
+            `;
+        }
+
+        indicator.querySelector('[data-action]').addEventListener('click', (e) => {
+            if (e.currentTarget.dataset.action === 'sign-in') {
+                this.signIn();
+            } else {
+                this.signOut();
+            }
+        });
+    }
+}
+
+// Add CSS for the connection indicator
+const authCSS = `
+.auth-status {
+    display: flex;
+    align-items: center;
+    gap: 10px;
+    color: white;
+    font-size: 0.9rem;
+}
+
+.auth-button {
+    padding: 6px 12px;
+    border: 1px solid rgba(255,255,255,0.6);
+    border-radius: 20px;
+    background: transparent;
+    color: white;
+    cursor: pointer;
+}
+
+.auth-button:hover {
+    background: rgba(255,255,255,0.2);
+}
+`;
+
+const authStyle = document.createElement('style');
+authStyle.textContent = authCSS;
+document.head.appendChild(authStyle);
+
+// Initialize OAuth session
+const googleAuth = new GoogleAuth();
+
+// Export for global access
+window.googleAuth = googleAuth;
@@ -0,0 +1,261 @@
+// Response Cache for Google Sheets Reads
+// Per-resource TTLs and an LRU bound from config.app.cache, targeted invalidation
+// and stale-while-revalidate reads, with hit/miss counts to keep an eye on API quota
+
+class DataCache {
+    constructor(settings = {}) {
+        const ttl = settings.ttl === undefined ? 300000 : settings.ttl;
+
+        // ttl may be one number for everything or { default, students, companies, ... }
+        this.ttl = typeof ttl === 'number' ? { default: ttl } : { default: 300000, ...ttl };
+        this.maxSize = settings.maxSize || 1000;
+        this.staleWhileRevalidate = settings.staleWhileRevalidate || 0;
+
+        // Map keeps insertion order - the first entry is the least recently used
+        this.entries = new Map();
+        this.inFlight = new Map();
+        this.generations = {};
+        this.stats = {};
+    }
+
+    ttlFor(resource) {
+        return this.ttl[resource] !== undefined ? this.ttl[resource] : this.ttl.default;
+    }
+
+    // Cached value, loading it on a miss. An expired entry still inside the
+    // stale window is returned at once and refreshed in the background.
+    // The loader is called with { background } so it can stay quiet when refreshing
+    async fetch(resource, key, loader) {
+        const entry = this.lookup(resource, key);
+        const age = entry ? Date.now() - entry.storedAt : Infinity;
+        const ttl = this.ttlFor(resource);
+
+        if (entry && age < ttl) {
+            this.count(resource, 'hits');
+            return entry.data;
+        }
+
+        if (entry && age < ttl + this.staleWhileRevalidate) {
+            this.count(resource, 'staleHits');
+            this.load(resource, key, loader, true).catch(error => {
+                console.warn(`Background refresh of ${resource} failed, keeping cached copy:`, error.message);
+            });
+            return entry.data;
+        }
+
+        this.count(resource, 'misses');
+        return this.load(resource, key, loader, false);
+    }
+
+    // Run the loader once per key, storing the result unless the resource was
+    // invalidated while it was loading (the result would predate the write)
+    load(resource, key, loader, background) {
+        const cacheKey = this.keyFor(resource, key);
+        if (this.inFlight.has(cacheKey)) return this.inFlight.get(cacheKey);
+
+        const generation = this.generations[resource] || 0;
+        const request = (async () => {
+            try {
+                const data = await loader({ background });
+                if ((this.generations[resource] || 0) === generation) {
+                    this.set(resource, key, data);
+                }
+                if (background) this.count(resource, 'revalidations');
+                return data;
+            } finally {
+                if (this.inFlight.get(cacheKey) === request) this.inFlight.delete(cacheKey);
+            }
+        })();
+
+        this.inFlight.set(cacheKey, request);
+        return request;
+    }
+
+    // Fresh or stale entry without loading - counts as a use for LRU purposes
+    lookup(resource, key) {
+        const cacheKey = this.keyFor(resource, key);
+        const entry = this.entries.get(cacheKey);
+        if (!entry) return null;
+
+        this.entries.delete(cacheKey);
+        this.entries.set(cacheKey, entry);
+        return entry;
+    }
+
+    // Cached value regardless of age, or undefined
+    peek(resource, key) {
+        const entry = this.lookup(resource, key);
+        return entry ? entry.data : undefined;
+    }
+
+    set(resource, key, data) {
+        const cacheKey = this.keyFor(resource, key);
+
+        this.entries.delete(cacheKey);
+        this.entries.set(cacheKey, { resource, data, storedAt: Date.now() });
+
+        while (this.entries.size > this.maxSize) {
+            const [oldestKey, oldest] = this.entries.entries().next().value;
+            this.entries.delete(oldestKey);
+            this.count(oldest.resource, 'evictions');
+        }
+    }
+
+    // Drop one key, or every key of a resource, leaving other resources cached
+    invalidate(resource, key) {
+        if (key !== undefined) {
+            this.entries.delete(this.keyFor(resource, key));
+        } else {
+            Array.from(this.entries.keys())
+                .filter(cacheKey => cacheKey.startsWith(`${resource}:`))
+                .forEach(cacheKey => this.entries.delete(cacheKey));
+        }
+
+        this.generations[resource] = (this.generations[resource] || 0) + 1;
+        Array.from(this.inFlight.keys())
+            .filter(cacheKey => cacheKey.startsWith(`${resource}:`))
+            .forEach(cacheKey => this.inFlight.delete(cacheKey));
+    }
+
+    clear() {
+        new Set(Array.from(this.entries.values()).map(entry => entry.resource))
+            .forEach(resource => this.invalidate(resource));
+    }
+
+    keyFor(resource, key) {
+        return `${resource}:${key}`;
+    }
+
+    count(resource, counter) {
+        const stats = this.stats[resource] || (this.stats[resource] = { hits: 0, staleHits: 0, misses: 0, revalidations: 0, evictions: 0 });
+        stats[counter]++;
+    }
+
+    // Totals plus a per-resource breakdown
+    getStats() {
+        const totals = { hits: 0, staleHits: 0, misses: 0, revalidations: 0, evictions: 0 };
+
+        Object.values(this.stats).forEach(stats => {
+            Object.keys(totals).forEach(counter => totals[counter] += stats[counter]);
+        });
+
+        const reads = totals.hits + totals.staleHits + totals.misses;
+
+        return {
+            ...totals,
+            hitRate: reads > 0 ? Math.round(((totals.hits + totals.staleHits) / reads) * 100) : 0,
+            size: this.entries.size,
+            maxSize: this.maxSize,
+            resources: { ...this.stats }
+        };
+    }
+
+    resetStats() {
+        this.stats = {};
+    }
+
+    // Footer link that opens the statistics, for troubleshooting quota usage
+    renderStatsLink() {
+        const footer = document.querySelector('.footer .container');
+        if (!footer || document.getElementById('cacheStatsLink')) return;
+
+        const link = document.createElement('button');
+        link.type = 'button';
+        link.id = 'cacheStatsLink';
+        link.className = 'cache-stats-link';
+        link.innerHTML = '<i class="fas fa-database"></i> Cache statistics';
+        link.addEventListener('click', () => this.showStats());
+        footer.appendChild(link);
+    }
+
+    showStats() {
+        const stats = this.getStats();
+        const modal = placementApp.createModal('Cache Statistics', `
+            <div class="cache-stats">
+                <p>${stats.size} of ${stats.maxSize} entries cached - ${stats.hitRate}% of reads served without calling Google Sheets.</p>
+                <table class="cache-stats-table">
+                    <thead>
+                        <tr>
+                            <th>Resource</th>
+                            <th>TTL</th>
+                            <th>Hits</th>
+                            <th>Stale</th>
+                            <th>Misses</th>
+                            <th>Refreshed</th>
+                            <th>Evicted</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${Object.entries(stats.resources).map(([resource, counts]) => `
+                            <tr>
+                                <td>${resource}</td>
+                                <td>${Math.round(this.ttlFor(resource) / 1000)}s</td>
+                                <td>${counts.hits}</td>
+                                <td>${counts.staleHits}</td>
+                                <td>${counts.misses}</td>
+                                <td>${counts.revalidations}</td>
+                                <td>${counts.evictions}</td>
+                            </tr>
+                        `).join('') || '<tr><td colspan="7">No reads yet</td></tr>'}
+                    </tbody>
+                </table>
+            </div>
+            <div class="form-actions">
+                <button type="button" class="btn btn-secondary" data-action="reset">Reset Counters</button>
+                <button type="button" class="btn btn-primary" data-action="clear">
+                    <i class="fas fa-trash"></i> Clear Cache
+                </button>
+            </div>
+        `);
+
+        modal.querySelectorAll('[data-action]').forEach(button => {
+            button.addEventListener('click', () => {
+                if (button.dataset.action === 'clear') {
+                    this.clear();
+                } else {
+                    this.resetStats();
+                }
+                modal.remove();
+                this.showStats();
+            });
+        });
+
+        document.body.appendChild(modal);
+    }
+}
+
+// Add CSS for the statistics link and dialog
+const dataCacheCSS = `
+.cache-stats-link {
+    margin-top: 0.5rem;
+    border: none;
+    background: none;
+    color: rgba(255,255,255,0.7);
+    cursor: pointer;
+    font-size: 0.85rem;
+}
+
+.cache-stats-link:hover {
+    color: white;
+}
+
+.cache-stats-table {
+    width: 100%;
+    border-collapse: collapse;
+    margin: 1rem 0 1.5rem;
+}
+
+.cache-stats-table th,
+.cache-stats-table td {
+    padding: 0.5rem;
+    border-bottom: 1px solid #e9ecef;
+    text-align: left;
+}
+`;
+
+const dataCacheStyle = document.createElement('style');
+dataCacheStyle.textContent = dataCacheCSS;
+document.head.appendChild(dataCacheStyle);
+
+// Export for global access - each API client creates its own instance
+window.DataCache = DataCache;
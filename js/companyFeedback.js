@@ -0,0 +1,188 @@
+// Company Feedback Reader for Placement Operations
+// Recruiters mark the students on their Company_<companyId> tab as Shortlisted or
+// Rejected. This reads every company tab periodically and carries those decisions
+// into the placement records, so nobody has to re-key them by hand
+
+class CompanyFeedbackReader {
+    constructor() {
+        const settings = (window.APP_CONFIG && APP_CONFIG.app.companyFeedback) || {};
+
+        this.storageKey = 'company_feedback';
+        this.lockKey = 'company_feedback_lock';
+        this.lockTimeout = 120000;
+        this.interval = settings.interval || 300000;
+        this.tabId = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+        this.reading = false;
+
+        // Review statuses a company can set, as written on the tab (any case)
+        this.decisions = {
+            shortlisted: 'Shortlisted',
+            rejected: 'Rejected'
+        };
+
+        // Placement statuses each decision may move on from. A decision only applies
+        // while the placement is at the company's review stage - it never touches one
+        // that has already reached an interview, a selection, an offer or joining
+        this.decisionFrom = {
+            Shortlisted: ['Applied', 'Rejected'],
+            Rejected: ['Applied', 'Shortlisted']
+        };
+
+        this.initialize();
+    }
+
+    initialize() {
+        setInterval(() => this.poll(), this.interval);
+
+        // Give the page its own data load first
+        document.addEventListener('DOMContentLoaded', () => {
+            setTimeout(() => this.poll(), 5000);
+        });
+    }
+
+    // Read every company tab once and apply new decisions. Returns the changes made
+    async poll() {
+        if (this.reading || !this.acquireLock()) return [];
+
+        this.reading = true;
+        const changes = [];
+
+        try {
+            const seen = this.load();
+            const sheets = await googleSheetsAPI.getCompanySheets();
+            let placements = null;
+
+            for (const { sheetName, companyId } of sheets) {
+                const reviews = await googleSheetsAPI.readCompanyReviews(sheetName);
+                const companySeen = seen[companyId] || {};
+
+                for (const review of reviews) {
+                    const status = this.decisions[review.reviewStatus.toLowerCase()];
+                    if (!status || companySeen[review.studentId] === status) continue;
+
+                    // Only read placements when there's something to apply
+                    placements = placements || await dataStore.list('placements');
+
+                    const change = await this.apply(placements, companyId, review, status);
+                    if (change) changes.push(change);
+
+                    companySeen[review.studentId] = status;
+                    seen[companyId] = companySeen;
+                    this.save(seen);
+                }
+            }
+
+        } catch (error) {
+            // Signed out or offline - the next poll tries again
+            console.error('Error reading company feedback:', error);
+
+        } finally {
+            this.reading = false;
+            this.releaseLock();
+        }
+
+        if (changes.length > 0) {
+            this.refreshPage();
+            placementApp.showNotification(this.describeChanges(changes), 'success');
+        }
+
+        return changes;
+    }
+
+    // Create or update the student's placement at the company. Returns the change, or null
+    async apply(placements, companyId, review, status) {
+        const existing = placements.find(placement =>
+            placement.studentId === review.studentId && placement.companyId === companyId);
+
+        if (existing && !this.decisionFrom[status].includes(existing.status)) {
+            return null;
+        }
+
+        let placement;
+
+        if (existing) {
+            placement = await dataStore.update('placements', existing.placementId, { ...existing, status });
+            Object.assign(existing, placement);
+        } else {
+            placement = await dataStore.create('placements', {
+                placementId: placementApp.nextPlacementId(placements),
+                studentId: review.studentId,
+                companyId,
+                applicationDate: new Date().toISOString().split('T')[0],
+                status,
+                notes: `${status} by the company on ${googleSheetsAPI.companySheets.prefix}${companyId}`
+            });
+            placements.push(placement);
+        }
+
+        const studentName = review.fullName || review.studentId;
+        googleSheetsAPI.logActivity('placement_updated', placement.placementId,
+            `${studentName} ${status.toLowerCase()} by ${this.companyName(companyId)}`);
+
+        return { placement, status, created: !existing };
+    }
+
+    companyName(companyId) {
+        const company = typeof placementApp !== 'undefined' ?
+            placementApp.companiesData.find(candidate => candidate.companyId === companyId) : null;
+        return company ? company.companyName : companyId;
+    }
+
+    describeChanges(changes) {
+        if (changes.length === 1) {
+            const { placement, status } = changes[0];
+            return `${placement.studentId} ${status.toLowerCase()} by ${this.companyName(placement.companyId)}`;
+        }
+
+        const count = status => changes.filter(change => change.status === status).length;
+        return `Company feedback: ${count('Shortlisted')} shortlisted, ${count('Rejected')} rejected`;
+    }
+
+    // Show the new placement statuses without waiting for the next data refresh
+    async refreshPage() {
+        if (typeof placementApp === 'undefined') return;
+
+        placementApp.placementsData = await placementApp.loadPlacementsData();
+        placementApp.loadPlacementsTable();
+        placementApp.updateDashboardStats();
+    }
+
+    // Only one tab reads at a time, so two tabs can't both create the same placement
+    acquireLock() {
+        const lock = JSON.parse(localStorage.getItem(this.lockKey) || 'null');
+
+        if (lock && lock.tabId !== this.tabId && Date.now() - lock.at < this.lockTimeout) {
+            return false;
+        }
+
+        localStorage.setItem(this.lockKey, JSON.stringify({ tabId: this.tabId, at: Date.now() }));
+        return true;
+    }
+
+    releaseLock() {
+        const lock = JSON.parse(localStorage.getItem(this.lockKey) || 'null');
+        if (lock && lock.tabId === this.tabId) {
+            localStorage.removeItem(this.lockKey);
+        }
+    }
+
+    // Decisions already applied: { companyId: { studentId: status } }
+    load() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey) || '{}');
+        } catch (error) {
+            console.error('Corrupt company feedback record in localStorage:', error);
+            return {};
+        }
+    }
+
+    save(seen) {
+        localStorage.setItem(this.storageKey, JSON.stringify(seen));
+    }
+}
+
+// Initialize company feedback reader
+const companyFeedback = new CompanyFeedbackReader();
+
+// Export for global access
+window.companyFeedback = companyFeedback;
@@ -0,0 +1,145 @@
+// Edit Conflict Resolution for Student Data Management
+// When a row changed in Google Sheets while it was being edited here, shows both
+// versions side by side and lets the user keep theirs, take the sheet's, or merge per field
+
+class ConflictResolver {
+    // Ask the user to settle a conflict
+    //   fields - [{ field, label }] that differ between the two versions
+    //   mine   - the record being saved
+    //   theirs - the record currently in Google Sheets
+    // Resolves to the record to save (versioned as theirs) or null to keep theirs
+    // unchanged. Rejects with error.conflict when the user cancels
+    resolve({ title, fields, mine, theirs }) {
+        return new Promise((resolve, reject) => {
+            const modal = placementApp.createModal(title || 'Edit Conflict', `
+                <div class="conflict-resolver">
+                    <p>This record was changed in Google Sheets while you were editing it. Choose which value to keep for each field.</p>
+                    <table class="conflict-table">
+                        <thead>
+                            <tr>
+                                <th>Field</th>
+                                <th>Your Change</th>
+                                <th>In Google Sheets</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${fields.map(({ field, label }) => `
+                                <tr>
+                                    <td>${placementApp.escapeHtml(label)}</td>
+                                    <td>
+                                        <label class="conflict-choice">
+                                            <input type="radio" name="conflict-${field}" value="mine" checked>
+                                            <span>${this.formatValue(mine[field])}</span>
+                                        </label>
+                                    </td>
+                                    <td>
+                                        <label class="conflict-choice">
+                                            <input type="radio" name="conflict-${field}" value="theirs">
+                                            <span>${this.formatValue(theirs[field])}</span>
+                                        </label>
+                                    </td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+                <div class="form-actions">
+                    <button type="button" class="btn btn-secondary" data-action="cancel">Cancel</button>
+                    <button type="button" class="btn btn-secondary" data-action="theirs">Take Theirs</button>
+                    <button type="button" class="btn btn-secondary" data-action="merge">Save Merge</button>
+                    <button type="button" class="btn btn-primary" data-action="mine">Keep Mine</button>
+                </div>
+            `);
+
+            let settled = false;
+            const finish = (action) => {
+                if (settled) return;
+                settled = true;
+                modal.remove();
+
+                if (action === 'cancel') {
+                    const error = new Error('Edit cancelled - the record was left as it is in Google Sheets');
+                    error.conflict = true;
+                    reject(error);
+                } else if (action === 'theirs') {
+                    resolve(null);
+                } else {
+                    resolve(this.merge(fields, mine, theirs, action === 'mine' ? null : modal));
+                }
+            };
+
+            modal.querySelectorAll('[data-action]').forEach(button => {
+                button.addEventListener('click', () => finish(button.dataset.action));
+            });
+
+            // Closing the dialog any other way counts as cancelling
+            modal.querySelector('.modal-header .btn-icon').addEventListener('click', () => finish('cancel'));
+            modal.addEventListener('click', (e) => {
+                if (e.target === modal) finish('cancel');
+            });
+
+            document.body.appendChild(modal);
+        });
+    }
+
+    // Build the record to save on top of the sheet's current version. Without
+    // a dialog to read choices from, every conflicting field keeps "mine"
+    merge(fields, mine, theirs, modal) {
+        const merged = { ...mine, lastModified: theirs.lastModified };
+
+        fields.forEach(({ field }) => {
+            const choice = modal && modal.querySelector(`input[name="conflict-${field}"]:checked`);
+            if (choice && choice.value === 'theirs') {
+                merged[field] = theirs[field];
+            }
+        });
+
+        return merged;
+    }
+
+    formatValue(value) {
+        if (value === undefined || value === null || value === '') {
+            return '<em>empty</em>';
+        }
+
+        return placementApp.escapeHtml(Array.isArray(value) ? value.join(', ') : value);
+    }
+}
+
+// Add CSS for the conflict dialog
+const conflictResolverCSS = `
+.conflict-table {
+    width: 100%;
+    border-collapse: collapse;
+    margin: 1rem 0 1.5rem;
+}
+
+.conflict-table th,
+.conflict-table td {
+    padding: 0.5rem;
+    border-bottom: 1px solid #e9ecef;
+    text-align: left;
+    vertical-align: top;
+}
+
+.conflict-choice {
+    display: flex;
+    gap: 0.5rem;
+    align-items: flex-start;
+    cursor: pointer;
+}
+
+.conflict-choice span {
+    word-break: break-word;
+}
+`;
+
+const conflictResolverStyle = document.createElement('style');
+conflictResolverStyle.textContent = conflictResolverCSS;
+document.head.appendChild(conflictResolverStyle);
+
+// Initialize conflict resolver
+const conflictResolver = new ConflictResolver();
+
+// Export for global access
+window.conflictResolver = conflictResolver;
@@ -0,0 +1,242 @@
+// CSV Codec for Imports and Exports
+// The one place CSV is read and written (RFC 4180). Fields holding the delimiter,
+// quotes or line breaks are quoted, with quotes doubled; the reader takes those back
+// apart, along with CRLF line endings and byte order marks. Files are read in chunks,
+// in whatever encoding they were saved in, and the delimiter is worked out from the
+// header row when a department's file doesn't use the configured one
+
+class CsvCodec {
+    constructor() {
+        const settings = (window.APP_CONFIG && APP_CONFIG.export && APP_CONFIG.export.csv) || {};
+
+        this.delimiter = settings.delimiter || ',';
+        this.bom = settings.bom !== false; // Excel reads UTF-8 without a BOM as the local code page
+        this.newline = '\r\n';
+
+        // Delimiters spreadsheet programs save CSV with, depending on locale
+        this.candidateDelimiters = [',', ';', '\t', '|'];
+    }
+
+    // Rows (arrays of values) -> CSV text
+    stringify(rows, { delimiter = this.delimiter } = {}) {
+        return rows.map(row => this.formatRow(row, delimiter)).join(this.newline);
+    }
+
+    formatRow(row, delimiter = this.delimiter) {
+        return row.map(value => this.formatField(value, delimiter)).join(delimiter);
+    }
+
+    // Quote a field only when it needs it - delimiter, quote, line break, or edge spaces
+    formatField(value, delimiter = this.delimiter) {
+        const text = value === undefined || value === null ? '' : String(value);
+
+        if (text.includes(delimiter) || /["\r\n]/.test(text) || text !== text.trim()) {
+            return `"${text.replace(/"/g, '""')}"`;
+        }
+
+        return text;
+    }
+
+    // CSV text, or rows to be written a line at a time, as a download-ready Blob
+    toBlob(content, { delimiter = this.delimiter } = {}) {
+        const parts = typeof content === 'string' ? [content] :
+            content.map((row, index) => (index > 0 ? this.newline : '') + this.formatRow(row, delimiter));
+
+        return new Blob(this.bom ? ['\uFEFF', ...parts] : parts, { type: 'text/csv;charset=utf-8;' });
+    }
+
+    // CSV text -> rows (arrays of strings). Blank lines are skipped
+    parse(text, { delimiter } = {}) {
+        const parser = this.createParser(delimiter || this.detectDelimiter(text));
+        return [...parser.push(text), ...parser.end()];
+    }
+
+    // Read a File chunk by chunk. Returns { rows, lines, encoding, delimiter }, where
+    // lines[i] is the file line rows[i] starts on; onProgress(bytesRead, totalBytes)
+    // is called as the file is read
+    async parseFile(file, { delimiter, onProgress } = {}) {
+        const reader = file.stream().getReader();
+        const rows = [];
+        let decoder = null;
+        let parser = null;
+        let encoding = null;
+        let pending = [];
+        let pendingSize = 0;
+        let bytesRead = 0;
+
+        // Encoding and delimiter are decided from the first 64 KB
+        const start = () => {
+            const sample = new Uint8Array(pendingSize);
+            let offset = 0;
+            pending.forEach(chunk => {
+                sample.set(chunk, offset);
+                offset += chunk.length;
+            });
+
+            encoding = this.detectEncoding(sample);
+            decoder = new TextDecoder(encoding);
+
+            const text = decoder.decode(sample, { stream: true });
+            delimiter = delimiter || this.detectDelimiter(text);
+            parser = this.createParser(delimiter);
+            rows.push(...parser.push(text));
+            pending = null;
+        };
+
+        while (true) {
+            const { done, value } = await reader.read();
+
+            if (done) break;
+
+            bytesRead += value.length;
+            if (onProgress) onProgress(bytesRead, file.size);
+
+            if (pending) {
+                pending.push(value);
+                pendingSize += value.length;
+                if (pendingSize >= 65536) start();
+            } else {
+                rows.push(...parser.push(decoder.decode(value, { stream: true })));
+            }
+        }
+
+        if (pending) start();
+        rows.push(...parser.push(decoder.decode()), ...parser.end());
+
+        return { rows, lines: parser.lines, encoding, delimiter };
+    }
+
+    // A byte order mark decides; otherwise UTF-8 if the bytes are valid UTF-8,
+    // else Windows-1252 (what Excel on Windows saves "CSV" as)
+    detectEncoding(bytes) {
+        if (bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) return 'utf-8';
+        if (bytes[0] === 0xff && bytes[1] === 0xfe) return 'utf-16le';
+        if (bytes[0] === 0xfe && bytes[1] === 0xff) return 'utf-16be';
+
+        try {
+            new TextDecoder('utf-8', { fatal: true }).decode(bytes, { stream: true });
+            return 'utf-8';
+        } catch (error) {
+            return 'windows-1252';
+        }
+    }
+
+    // The candidate delimiter found most often in the header row (outside quotes);
+    // the configured delimiter wins a tie
+    detectDelimiter(text) {
+        const counts = new Map(this.candidateDelimiters.map(candidate => [candidate, 0]));
+        let inQuotes = false;
+
+        for (const char of String(text).replace(/^\uFEFF/, '')) {
+            if (char === '"') inQuotes = !inQuotes;
+            else if (!inQuotes && (char === '\n' || char === '\r')) break;
+            else if (!inQuotes && counts.has(char)) counts.set(char, counts.get(char) + 1);
+        }
+
+        let best = this.delimiter;
+        counts.forEach((count, candidate) => {
+            if (count > (counts.get(best) || 0)) best = candidate;
+        });
+
+        return best;
+    }
+
+    // Incremental parser - push(text) returns the rows completed so far, end()
+    // returns the last one. Text may be split anywhere, even inside a quoted field.
+    // lines collects the line each returned row starts on, blank lines counted
+    createParser(delimiter = this.delimiter) {
+        let state = 'fieldStart'; // fieldStart, unquoted, quoted, quoteInQuoted
+        let field = '';
+        let row = [];
+        let skipLineFeed = false;
+        let started = false;
+        let line = 1;
+        let rowLine = 1;
+        let afterCarriageReturn = false;
+        const lines = [];
+
+        const endField = () => {
+            row.push(field);
+            field = '';
+        };
+
+        const endRow = (rows) => {
+            endField();
+            if (row.length > 1 || row[0] !== '' || state === 'quoteInQuoted') {
+                rows.push(row);
+                lines.push(rowLine);
+            }
+            row = [];
+            rowLine = line;
+        };
+
+        return {
+            lines,
+
+            push(text) {
+                const rows = [];
+                let chars = text;
+
+                if (!started && chars.length > 0) {
+                    started = true;
+                    chars = chars.replace(/^\uFEFF/, '');
+                }
+
+                for (let i = 0; i < chars.length; i++) {
+                    const char = chars[i];
+
+                    // CRLF, CR and LF each end one line, in quoted fields too
+                    if (char === '\r' || (char === '\n' && !afterCarriageReturn)) line++;
+                    afterCarriageReturn = char === '\r';
+
+                    if (skipLineFeed) {
+                        skipLineFeed = false;
+                        if (char === '\n') continue;
+                    }
+
+                    if (state === 'quoted') {
+                        if (char === '"') state = 'quoteInQuoted';
+                        else field += char;
+                        continue;
+                    }
+
+                    if (state === 'quoteInQuoted' && char === '"') {
+                        field += '"';
+                        state = 'quoted';
+                        continue;
+                    }
+
+                    if (char === delimiter) {
+                        endField();
+                        state = 'fieldStart';
+                    } else if (char === '\r' || char === '\n') {
+                        endRow(rows);
+                        state = 'fieldStart';
+                        skipLineFeed = char === '\r';
+                    } else if (state === 'fieldStart' && char === '"') {
+                        state = 'quoted';
+                    } else {
+                        // Text after a closing quote, or a quote inside an unquoted field, is kept as written
+                        field += char;
+                        state = 'unquoted';
+                    }
+                }
+
+                return rows;
+            },
+
+            end() {
+                const rows = [];
+                if (field !== '' || row.length > 0 || state === 'quoteInQuoted' || state === 'quoted') endRow(rows);
+                state = 'fieldStart';
+                return rows;
+            }
+        };
+    }
+}
+
+// Initialize CSV codec
+const csvCodec = new CsvCodec();
+
+// Export for global access
+window.csvCodec = csvCodec;
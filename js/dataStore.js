@@ -0,0 +1,613 @@
+// Pluggable Data Store for Student Data Management
+// One list/get/create/update/delete interface over Google Sheets, the REST API, localStorage and IndexedDB
+
+// Google Sheets backend - delegates to the shared googleSheetsAPI instance
+class GoogleSheetsAdapter {
+    constructor(collections) {
+        this.name = 'googleSheets';
+        this.collections = collections;
+
+        // Sheets operations available per collection
+        this.operations = {
+            students: {
+                list: () => googleSheetsAPI.getStudents('Students!A:Z', { throwOnError: true }),
+                create: (record) => googleSheetsAPI.addStudent(record),
+                createMany: (records) => googleSheetsAPI.bulkImportStudents(records),
+                update: (id, record) => googleSheetsAPI.updateStudent(id, record),
+                delete: (id) => googleSheetsAPI.deleteStudent(id),
+                archive: (id) => googleSheetsAPI.deleteStudent(id, { archive: true })
+            },
+            companies: {
+                list: () => googleSheetsAPI.getCompanies('Companies!A:Z', { throwOnError: true }),
+                create: (record) => googleSheetsAPI.addCompany(record),
+                update: (id, record) => googleSheetsAPI.updateCompany(id, record),
+                delete: (id) => googleSheetsAPI.deleteCompany(id),
+                archive: (id) => googleSheetsAPI.deleteCompany(id, { archive: true })
+            },
+            placements: {
+                list: () => googleSheetsAPI.getPlacements('Placements!A:Z', { throwOnError: true }),
+                create: (record) => googleSheetsAPI.addPlacement(record),
+                createMany: (records) => googleSheetsAPI.addPlacements(records),
+                update: (id, record) => googleSheetsAPI.updatePlacement(id, record),
+                delete: (id) => googleSheetsAPI.deletePlacement(id)
+            }
+        };
+    }
+
+    async list(collection) {
+        const records = await this.getOperation('list', collection)();
+
+        // Changes still waiting in the offline outbox win over what Sheets returned
+        return window.syncQueue ? syncQueue.overlay(collection, records) : records;
+    }
+
+    async get(collection, id) {
+        const idField = this.collections[collection].idField;
+        const records = await this.list(collection);
+        return records.find(record => record[idField] === id) || null;
+    }
+
+    // Sheets reports the record as written, with its Last Modified version
+    async create(collection, record) {
+        const result = await this.getOperation('create', collection)(record);
+        return (result && result.record) || record;
+    }
+
+    // Rows are appended in batches; a write waiting in the outbox is saved as given
+    async createMany(collection, records) {
+        const result = await this.getOperation('createMany', collection)(records);
+        return (result && result.records) || records;
+    }
+
+    // Sheets reports the record actually written (re-versioned, or merged after a conflict)
+    async update(collection, id, record) {
+        const result = await this.getOperation('update', collection)(id, record);
+        return (result && result.record) || record;
+    }
+
+    async delete(collection, id) {
+        await this.getOperation('delete', collection)(id);
+        return true;
+    }
+
+    async archive(collection, id) {
+        await this.getOperation('archive', collection)(id);
+        return true;
+    }
+
+    // Look up a Sheets operation, failing loudly so the store can fall back
+    getOperation(operation, collection) {
+        const handlers = this.operations[collection] || {};
+
+        if (typeof window.googleSheetsAPI === 'undefined' || !handlers[operation]) {
+            const error = new Error(`Google Sheets adapter does not support ${operation} on ${collection}`);
+            error.unsupported = true;
+            throw error;
+        }
+
+        return handlers[operation];
+    }
+}
+
+// REST API backend - the placement API service (server/apiServer.js), which
+// validates every write and syncs to Google Sheets on its own
+class RestApiAdapter {
+    constructor(collections) {
+        this.name = 'restApi';
+        this.collections = collections;
+
+        const settings = (window.APP_CONFIG && APP_CONFIG.dataSources && APP_CONFIG.dataSources.restApi) || {};
+        this.baseUrl = (settings.baseUrl || 'http://localhost:4030/api').replace(/\/$/, '');
+        this.pageSize = settings.pageSize || 100;
+        this.http = null;
+    }
+
+    // The API pages its results - fetch every page
+    async list(collection) {
+        const records = [];
+        let totalPages = 1;
+
+        for (let page = 1; page <= totalPages; page++) {
+            const result = await this.request('GET', `/${collection}?page=${page}&pageSize=${this.pageSize}`);
+            records.push(...result.data);
+            totalPages = result.totalPages;
+        }
+
+        return records;
+    }
+
+    async get(collection, id) {
+        try {
+            return await this.request('GET', this.recordPath(collection, id));
+        } catch (error) {
+            if (error.status === 404) return null;
+            throw error;
+        }
+    }
+
+    // A create that timed out may still have been stored - look before sending it again
+    async create(collection, record) {
+        const id = record[this.collections[collection].idField];
+        const alreadyApplied = id && collection !== 'activities' ?
+            async () => Boolean(await this.get(collection, id)) : undefined;
+
+        return this.request('POST', `/${collection}`, record, { alreadyApplied });
+    }
+
+    // The API takes one record per request
+    async createMany(collection, records) {
+        const created = [];
+
+        for (const record of records) {
+            created.push(await this.create(collection, record));
+        }
+
+        return created;
+    }
+
+    // record.lastModified is the version the user edited - the API answers 409 with
+    // its current copy if someone saved in between, and the user resolves it
+    async update(collection, id, record) {
+        try {
+            return await this.request('PUT', this.recordPath(collection, id), record);
+        } catch (error) {
+            if (!error.conflict || typeof window.googleSheetsAPI === 'undefined') throw error;
+
+            const resolved = await googleSheetsAPI.resolveConflict(collection, id, record, error.current);
+            if (!resolved) return error.current;
+
+            return this.request('PUT', this.recordPath(collection, id), resolved);
+        }
+    }
+
+    async delete(collection, id) {
+        await this.request('DELETE', this.recordPath(collection, id));
+        return true;
+    }
+
+    async archive(collection, id) {
+        await this.request('DELETE', `${this.recordPath(collection, id)}?archive=true`);
+        return true;
+    }
+
+    recordPath(collection, id) {
+        return `/${collection}/${encodeURIComponent(id)}`;
+    }
+
+    // Send a JSON request through the shared retry/timeout client
+    async request(method, path, body, requestOptions = {}) {
+        if (!this.http) {
+            this.http = new HttpClient((window.APP_CONFIG && APP_CONFIG.app && APP_CONFIG.app.performance) || {});
+        }
+
+        const response = await this.http.request(`${this.baseUrl}${path}`, {
+            method,
+            headers: body ? { 'Content-Type': 'application/json' } : {},
+            body: body ? JSON.stringify(body) : undefined
+        }, requestOptions);
+
+        if (response.status === 204) return null;
+
+        const data = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+            const details = data.error || {};
+            const fieldErrors = details.fields ? Object.values(details.fields).join('; ') : '';
+            const error = new Error(`${details.message || `REST API responded ${response.status}`}${fieldErrors ? `: ${fieldErrors}` : ''}`);
+
+            error.status = response.status;
+            error.fields = details.fields || null;
+            error.current = details.current || null;
+            error.conflict = response.status === 409 && Boolean(details.current);
+
+            // The API turned the write down - saving it locally instead would hide that
+            error.rejected = response.status >= 400 && response.status < 500 && response.status !== 408 && response.status !== 429;
+            throw error;
+        }
+
+        return data;
+    }
+}
+
+// localStorage backend - one JSON array per collection
+class LocalStorageAdapter {
+    constructor(collections) {
+        this.name = 'localStorage';
+        this.collections = collections;
+    }
+
+    async list(collection) {
+        return this.read(collection);
+    }
+
+    async get(collection, id) {
+        const idField = this.collections[collection].idField;
+        return this.read(collection).find(record => record[idField] === id) || null;
+    }
+
+    async create(collection, record) {
+        const definition = this.collections[collection];
+        const records = this.read(collection);
+
+        if (definition.newestFirst) {
+            records.unshift(record);
+        } else {
+            records.push(record);
+        }
+
+        this.write(collection, records);
+        return record;
+    }
+
+    async createMany(collection, records) {
+        const existing = this.read(collection);
+
+        this.write(collection, this.collections[collection].newestFirst ?
+            [...records].reverse().concat(existing) : existing.concat(records));
+        return records;
+    }
+
+    async update(collection, id, record) {
+        const idField = this.collections[collection].idField;
+        const records = this.read(collection);
+        const index = records.findIndex(existing => existing[idField] === id);
+
+        if (index === -1) {
+            records.push(record);
+        } else {
+            records[index] = { ...records[index], ...record };
+        }
+
+        this.write(collection, records);
+        return record;
+    }
+
+    async delete(collection, id) {
+        const idField = this.collections[collection].idField;
+        const records = this.read(collection).filter(record => record[idField] !== id);
+
+        this.write(collection, records);
+        return true;
+    }
+
+    async archive(collection, id) {
+        if (await this.get(collection, id)) {
+            await this.update(collection, id, { status: validationRules.archivedStatus });
+        }
+        return true;
+    }
+
+    async replaceAll(collection, records) {
+        this.write(collection, records);
+    }
+
+    read(collection) {
+        try {
+            return JSON.parse(localStorage.getItem(this.collections[collection].storageKey) || '[]');
+        } catch (error) {
+            console.error(`Corrupt ${collection} data in localStorage:`, error);
+            return [];
+        }
+    }
+
+    write(collection, records) {
+        const definition = this.collections[collection];
+
+        // Capped collections (activities) keep only the most recent entries
+        if (definition.limit && records.length > definition.limit) {
+            records.splice(definition.limit);
+        }
+
+        localStorage.setItem(definition.storageKey, JSON.stringify(records));
+    }
+}
+
+// IndexedDB backend - one object store per collection, keyed by its ID field
+class IndexedDBAdapter {
+    constructor(collections) {
+        this.name = 'indexedDB';
+        this.collections = collections;
+        this.dbName = 'InfoPlacementPortal';
+        this.dbVersion = 1;
+        this.dbPromise = null;
+    }
+
+    // Open the database lazily, creating object stores on first use
+    openDatabase() {
+        if (this.dbPromise) return this.dbPromise;
+
+        this.dbPromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not available in this browser'));
+                return;
+            }
+
+            const request = indexedDB.open(this.dbName, this.dbVersion);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                Object.entries(this.collections).forEach(([name, definition]) => {
+                    if (!db.objectStoreNames.contains(name)) {
+                        db.createObjectStore(name, { keyPath: definition.idField });
+                    }
+                });
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        return this.dbPromise;
+    }
+
+    // Run a single request inside a transaction and resolve with its result
+    async runRequest(collection, mode, createRequest) {
+        const db = await this.openDatabase();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(collection, mode);
+            const request = createRequest(transaction.objectStore(collection));
+
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    async list(collection) {
+        const definition = this.collections[collection];
+        const records = await this.runRequest(collection, 'readonly', store => store.getAll());
+
+        if (definition.newestFirst) {
+            records.reverse();
+        }
+
+        return definition.limit ? records.slice(0, definition.limit) : records;
+    }
+
+    async get(collection, id) {
+        const record = await this.runRequest(collection, 'readonly', store => store.get(id));
+        return record || null;
+    }
+
+    async create(collection, record) {
+        await this.runRequest(collection, 'readwrite', store => store.put(record));
+        return record;
+    }
+
+    // All records in one transaction
+    async createMany(collection, records) {
+        const db = await this.openDatabase();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(collection, 'readwrite');
+            const store = transaction.objectStore(collection);
+
+            records.forEach(record => store.put(record));
+
+            transaction.oncomplete = () => resolve(records);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    async update(collection, id, record) {
+        const existing = await this.get(collection, id);
+        const merged = { ...(existing || {}), ...record };
+
+        await this.runRequest(collection, 'readwrite', store => {
+            // The ID itself may have changed while editing
+            if (existing && merged[this.collections[collection].idField] !== id) {
+                store.delete(id);
+            }
+            return store.put(merged);
+        });
+
+        return merged;
+    }
+
+    async delete(collection, id) {
+        await this.runRequest(collection, 'readwrite', store => store.delete(id));
+        return true;
+    }
+
+    async archive(collection, id) {
+        if (await this.get(collection, id)) {
+            await this.update(collection, id, { status: validationRules.archivedStatus });
+        }
+        return true;
+    }
+
+    async replaceAll(collection, records) {
+        const db = await this.openDatabase();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(collection, 'readwrite');
+            const store = transaction.objectStore(collection);
+
+            store.clear();
+            records.forEach(record => store.put(record));
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+}
+
+// Data store facade - routes every operation to the configured primary backend
+// and uses the fallback backend as offline copy and safety net
+class DataStore {
+    constructor() {
+        this.collections = {
+            students: { idField: 'studentId', storageKey: 'students' },
+            companies: { idField: 'companyId', storageKey: 'companies' },
+            placements: { idField: 'placementId', storageKey: 'placements' },
+            activities: { idField: 'timestamp', storageKey: 'placement_activities', newestFirst: true, limit: 50 }
+        };
+
+        this.adapterTypes = {
+            googleSheets: GoogleSheetsAdapter,
+            restApi: RestApiAdapter,
+            localStorage: LocalStorageAdapter,
+            indexedDB: IndexedDBAdapter
+        };
+
+        const dataSources = (window.APP_CONFIG && window.APP_CONFIG.dataSources) || {};
+        this.configure(dataSources.primary || 'googleSheets', dataSources.fallback || 'localStorage');
+    }
+
+    // Select the primary and fallback adapters by name
+    configure(primaryName, fallbackName) {
+        this.primary = this.createAdapter(primaryName);
+        this.fallback = fallbackName && fallbackName !== primaryName ?
+            this.createAdapter(fallbackName) : null;
+    }
+
+    createAdapter(name) {
+        const AdapterType = this.adapterTypes[name];
+
+        if (!AdapterType) {
+            throw new Error(`Unknown data source "${name}". Available: ${Object.keys(this.adapterTypes).join(', ')}`);
+        }
+
+        return new AdapterType(this.collections);
+    }
+
+    // List all records in a collection. An empty list is an answer too - the
+    // fallback copy is only served when the primary can't be reached. Records
+    // saved only locally while the primary failed are kept until they are synced
+    async list(collection) {
+        this.assertCollection(collection);
+
+        try {
+            const primaryRecords = await this.primary.list(collection);
+            const records = [...primaryRecords, ...(await this.unsynced(collection, primaryRecords))];
+            this.mirror('replaceAll', collection, [records]);
+            return records;
+        } catch (error) {
+            if (!this.fallback) throw error;
+            this.reportFailure('list', collection, error);
+        }
+
+        return this.fallback.list(collection);
+    }
+
+    // Get a single record by its ID
+    async get(collection, id) {
+        this.assertCollection(collection);
+
+        try {
+            const record = await this.primary.get(collection, id);
+            if (record || !this.fallback) return record;
+        } catch (error) {
+            if (!this.fallback) throw error;
+            this.reportFailure('get', collection, error);
+        }
+
+        return this.fallback.get(collection, id);
+    }
+
+    async create(collection, record) {
+        return this.write('create', collection, [record]);
+    }
+
+    // Several new records at once (bulk upload). Resolves with the records as stored
+    async createMany(collection, records) {
+        return this.write('createMany', collection, [records]);
+    }
+
+    async update(collection, id, record) {
+        return this.write('update', collection, [id, record]);
+    }
+
+    async delete(collection, id) {
+        return this.write('delete', collection, [id]);
+    }
+
+    // Keep the record but mark it archived so it drops out of active use
+    async archive(collection, id) {
+        return this.write('archive', collection, [id]);
+    }
+
+    // Fallback records created while the primary was failing (flagged unsynced)
+    // that the primary's records don't include yet
+    async unsynced(collection, primaryRecords = []) {
+        if (!this.fallback) return [];
+
+        const idField = this.collections[collection].idField;
+        const primaryIds = new Set(primaryRecords.map(record => record[idField]));
+
+        try {
+            return (await this.fallback.list(collection))
+                .filter(record => record.unsynced && !primaryIds.has(record[idField]));
+        } catch (error) {
+            console.error(`Failed to read unsynced ${collection} from ${this.fallback.name}:`, error);
+            return [];
+        }
+    }
+
+    // The fallback adapter's copy of a record, without touching the primary backend
+    async getLocalCopy(collection, id) {
+        this.assertCollection(collection);
+        return this.fallback ? this.fallback.get(collection, id) : null;
+    }
+
+    // Write through the primary adapter, keeping the fallback copy in step
+    async write(operation, collection, args) {
+        this.assertCollection(collection);
+
+        try {
+            const result = await this.primary[operation](collection, ...args);
+
+            // Mirror what the primary stored, which may differ from what was asked for
+            const stored = operation === 'create' || operation === 'createMany' ? [result] :
+                operation === 'update' ? [args[0], result] : args;
+            await this.mirror(operation, collection, stored);
+            return result;
+
+        } catch (error) {
+            // An edit conflict the user backed out of, or a write the backend refused
+            // as invalid, must not be saved locally instead
+            if (!this.fallback || error.conflict || error.rejected) throw error;
+
+            this.reportFailure(operation, collection, error);
+
+            // New records exist only here now - flag them for the next sync
+            const flag = record => ({ ...record, unsynced: true });
+            const fallbackArgs = operation === 'create' ? [flag(args[0])] :
+                operation === 'createMany' ? [args[0].map(flag)] : args;
+
+            return this.fallback[operation](collection, ...fallbackArgs);
+        }
+    }
+
+    // Apply a successful primary operation to the fallback adapter
+    async mirror(operation, collection, args) {
+        if (!this.fallback || typeof this.fallback[operation] !== 'function') return;
+
+        try {
+            await this.fallback[operation](collection, ...args);
+        } catch (error) {
+            console.error(`Failed to mirror ${operation} on ${collection} to ${this.fallback.name}:`, error);
+        }
+    }
+
+    // Log a primary failure before falling back (unsupported operations are expected)
+    reportFailure(operation, collection, error) {
+        if (!error.unsupported) {
+            console.warn(`${this.primary.name} ${operation} on ${collection} failed, using ${this.fallback.name}:`, error.message);
+        }
+    }
+
+    assertCollection(collection) {
+        if (!this.collections[collection]) {
+            throw new Error(`Unknown collection "${collection}"`);
+        }
+    }
+}
+
+// Initialize data store instance
+const dataStore = new DataStore();
+
+// Export for global access
+window.dataStore = dataStore;
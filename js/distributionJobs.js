@@ -0,0 +1,612 @@
+// Distribution Job Queue for Company Data Sharing
+// Each distribution runs as a persisted job: companies are sent in parallel up to a
+// concurrency limit, failures are retried per company, and the job can be paused,
+// resumed or cancelled from a progress panel. A job interrupted by a closed tab is
+// picked up again on the next page load and finishes only the companies left.
+// Jobs are saved with student IDs only; the records are read again when resumed
+
+class DistributionJobQueue {
+    constructor() {
+        const settings = (window.APP_CONFIG && APP_CONFIG.app.distribution) || {};
+
+        this.storageKey = 'distribution_jobs';
+        this.concurrency = settings.concurrency || 3;
+        this.maxAttempts = settings.maxAttempts || 3;
+        this.retryDelay = settings.retryDelay || 2000;
+        this.keepFinished = 10; // Finished jobs kept for reference
+
+        // A queued or running job whose tab hasn't renewed it for this long was interrupted
+        this.leaseTimeout = 30000;
+        this.tabId = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+        this.activeJobId = null;
+        this.waiters = new Map(); // job ID -> resolve functions of run() callers
+        this.students = new Map(); // job ID -> promise of Map studentId -> student record
+
+        this.initialize();
+    }
+
+    initialize() {
+        // Another tab started, advanced, paused or finished a job
+        window.addEventListener('storage', (e) => {
+            if (e.key !== this.storageKey) return;
+            this.renderPanel();
+            this.settleWaiters();
+        });
+
+        // Hand jobs back on reload or close so the next page resumes them at once
+        window.addEventListener('pagehide', () => this.releaseJobs());
+
+        // Keep this tab's jobs, and pick up jobs whose tab went away
+        setInterval(() => this.renewLeases(), this.leaseTimeout / 3);
+        setInterval(() => this.resumeInterrupted(), this.leaseTimeout);
+
+        document.addEventListener('DOMContentLoaded', () => {
+            this.resumeInterrupted();
+            this.renderPanel();
+        });
+    }
+
+    // Queue a distribution - [{ companyId, students }] - and wait for it to finish or
+    // be paused, here or in another tab. Resolves with [{ companyId, success, result,
+    // error }] in the order given
+    run(assignments) {
+        const job = this.enqueue(assignments);
+        return new Promise(resolve => {
+            this.waiters.set(job.id, [...(this.waiters.get(job.id) || []), resolve]);
+        });
+    }
+
+    enqueue(assignments) {
+        const students = new Map();
+        const companies = assignments.map(({ companyId, students: list }) => {
+            list.forEach(student => students.set(student.studentId, student));
+
+            return {
+                companyId,
+                studentIds: list.map(student => student.studentId),
+                status: 'pending', // pending -> sending -> done | failed | cancelled
+                attempts: 0,
+                retryAt: 0,
+                result: null,
+                error: null
+            };
+        });
+
+        const job = {
+            id: `job-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`,
+            status: 'queued', // queued -> running <-> paused -> completed | cancelled
+            createdAt: new Date().toISOString(),
+            owner: this.tabId,
+            heartbeat: Date.now(),
+            companies
+        };
+
+        this.students.set(job.id, Promise.resolve(students));
+        this.update(jobs => jobs.push(job));
+        this.processNext();
+        return job;
+    }
+
+    // Start the oldest queued job this tab may run, one job at a time per tab. Jobs
+    // queued by another tab are left to it unless that tab has gone away
+    processNext() {
+        if (this.activeJobId) return;
+
+        const now = Date.now();
+        const job = this.load().find(candidate => candidate.status === 'queued' &&
+            (!candidate.owner || candidate.owner === this.tabId || now - candidate.heartbeat > this.leaseTimeout));
+        if (!job) return;
+
+        this.activeJobId = job.id;
+        this.runJob(job.id).finally(() => {
+            this.activeJobId = null;
+            this.processNext();
+        });
+    }
+
+    async runJob(jobId) {
+        this.updateJob(jobId, job => {
+            job.status = 'running';
+            job.owner = this.tabId;
+        });
+        this.renderPanel();
+
+        const workers = Array.from({ length: this.concurrency }, () => this.worker(jobId));
+        await Promise.all(workers);
+
+        // Cancelled while running (from any tab) - finish once the sends in flight returned
+        const job = this.getJob(jobId);
+        if (job && job.status === 'running') {
+            this.finish(jobId, 'completed');
+        } else if (job && job.status === 'cancelling') {
+            this.finish(jobId, 'cancelled');
+        }
+    }
+
+    // Take companies off the job until none are left or the job is paused/cancelled
+    async worker(jobId) {
+        for (;;) {
+            const job = this.getJob(jobId);
+            if (!job || job.status !== 'running') return;
+
+            const waiting = job.companies.filter(item => item.status === 'pending');
+            if (waiting.length === 0) return;
+
+            const now = Date.now();
+            const item = waiting.find(candidate => candidate.retryAt <= now);
+
+            // Everything left is waiting out a retry delay
+            if (!item) {
+                await this.delay(Math.min(...waiting.map(candidate => candidate.retryAt)) - now);
+                continue;
+            }
+
+            this.updateItem(jobId, item.companyId, entry => {
+                entry.status = 'sending';
+                entry.attempts++;
+            });
+            this.renderPanel();
+
+            await this.sendItem(job, item);
+            this.renderPanel();
+        }
+    }
+
+    async sendItem(job, item) {
+        try {
+            const records = await this.studentsFor(job.id);
+            const students = item.studentIds.map(studentId => records.get(studentId)).filter(Boolean);
+            const result = await googleSheetsAPI.sendStudentDataToCompany(students, item.companyId);
+
+            this.updateItem(job.id, item.companyId, entry => {
+                entry.status = 'done';
+                entry.result = result;
+                entry.error = null;
+            });
+
+            // Automated data handling - log distribution
+            if (result.sent + result.updated > 0) {
+                googleSheetsAPI.logActivity('data_distributed', item.companyId,
+                    `${result.sent} students sent, ${result.updated} updated`);
+            }
+
+        } catch (error) {
+            console.error(`Failed to send data to company ${item.companyId}:`, error);
+            const attempts = item.attempts + 1;
+
+            // Nothing can be sent while signed out - hold the whole job until someone connects
+            if (error.authRequired) {
+                this.updateItem(job.id, item.companyId, entry => {
+                    entry.status = 'pending';
+                    entry.attempts--;
+                    entry.error = error.message;
+                });
+                this.pause(job.id);
+                placementApp.showNotification('Distribution paused - connect Google Sheets, then resume it', 'warning');
+                return;
+            }
+
+            this.updateItem(job.id, item.companyId, entry => {
+                entry.error = error.message;
+
+                if (attempts < this.maxAttempts) {
+                    entry.status = 'pending';
+                    entry.retryAt = Date.now() + this.retryDelay * Math.pow(2, attempts - 1);
+                } else {
+                    entry.status = 'failed';
+                }
+            });
+        }
+    }
+
+    pause(jobId) {
+        this.updateJob(jobId, job => {
+            if (job.status === 'running' || job.status === 'queued') job.status = 'paused';
+        });
+        this.renderPanel();
+        this.settleWaiters();
+    }
+
+    // Paused jobs go back in the queue; failed companies get another set of attempts
+    resume(jobId) {
+        this.updateJob(jobId, job => {
+            if (job.status !== 'paused' && !(job.status === 'completed' && this.hasFailures(job))) return;
+
+            job.status = 'queued';
+            job.owner = this.tabId;
+            job.heartbeat = Date.now();
+            job.companies.forEach(item => {
+                if (item.status === 'failed') {
+                    item.status = 'pending';
+                    item.attempts = 0;
+                    item.retryAt = 0;
+                }
+            });
+        });
+
+        this.renderPanel();
+        this.processNext();
+    }
+
+    // Companies already sent stay sent; the rest are dropped
+    cancel(jobId) {
+        const job = this.getJob(jobId);
+        if (!job || ['completed', 'cancelled', 'cancelling'].includes(job.status)) return;
+
+        this.updateJob(jobId, current => {
+            current.companies.forEach(item => {
+                if (item.status === 'pending') item.status = 'cancelled';
+            });
+
+            // A running job is finished by the tab running it, once its in-flight companies return
+            if (current.status === 'running') current.status = 'cancelling';
+        });
+
+        if (job.status !== 'running') {
+            this.finish(jobId, 'cancelled');
+        }
+
+        this.renderPanel();
+    }
+
+    finish(jobId, status) {
+        this.updateJob(jobId, job => {
+            job.status = status;
+            job.finishedAt = new Date().toISOString();
+        });
+        this.students.delete(jobId);
+
+        const job = this.getJob(jobId);
+        const results = this.getResults(job);
+        const successful = results.filter(r => r.success);
+        const totals = successful.reduce((sum, r) => ({
+            sent: sum.sent + r.result.sent,
+            updated: sum.updated + r.result.updated,
+            skipped: sum.skipped + r.result.skipped
+        }), { sent: 0, updated: 0, skipped: 0 });
+
+        placementApp.showNotification(
+            `Data ${status === 'cancelled' ? 'distribution cancelled after' : 'distributed to'} ` +
+            `${successful.length}/${results.length} companies: ${totals.sent} sent, ` +
+            `${totals.updated} updated, ${totals.skipped} already up to date`,
+            successful.length === results.length ? 'success' : 'warning'
+        );
+
+        this.prune();
+        this.renderPanel();
+        this.settleWaiters();
+    }
+
+    // Resolve run() callers whose job has stopped - finished in this tab or another
+    // one, or paused. A paused job resumed later carries on without them
+    settleWaiters() {
+        this.waiters.forEach((resolvers, jobId) => {
+            const job = this.getJob(jobId);
+            if (job && !['completed', 'cancelled', 'paused'].includes(job.status)) return;
+
+            const results = job ? this.getResults(job) : [];
+            resolvers.forEach(resolve => resolve(results));
+            this.waiters.delete(jobId);
+        });
+    }
+
+    getResults(job) {
+        return job.companies.map(item => ({
+            companyId: item.companyId,
+            success: item.status === 'done',
+            result: item.result,
+            error: item.status === 'cancelled' ? 'Cancelled' : item.error || (item.status === 'done' ? null : 'Not sent yet')
+        }));
+    }
+
+    // Student records for a job. The tab that queued it has them in memory; a tab
+    // resuming it reads them again, so profiles edited meanwhile go out as they are now
+    studentsFor(jobId) {
+        if (!this.students.has(jobId)) {
+            const loading = dataStore.list('students')
+                .then(records => new Map(records.map(student => [student.studentId, student])));
+
+            loading.catch(() => {
+                if (this.students.get(jobId) === loading) this.students.delete(jobId);
+            });
+            this.students.set(jobId, loading);
+        }
+
+        return this.students.get(jobId);
+    }
+
+    hasFailures(job) {
+        return job.companies.some(item => item.status === 'failed');
+    }
+
+    // Running jobs whose tab stopped saving progress were interrupted (tab closed,
+    // page reloaded). Companies that were mid-send go again - the distribution
+    // ledger stops students already on the company's tab from being added twice
+    resumeInterrupted() {
+        const now = Date.now();
+        let resumed = 0;
+
+        this.update(jobs => jobs.forEach(job => {
+            delete job.students; // Saved by earlier versions, which kept whole student records
+
+            const orphaned = (job.status === 'running' || job.status === 'cancelling') &&
+                job.owner !== this.tabId && now - job.heartbeat > this.leaseTimeout;
+            if (!orphaned) return;
+
+            job.companies.forEach(item => {
+                if (item.status === 'sending') item.status = job.status === 'cancelling' ? 'cancelled' : 'pending';
+            });
+            job.status = job.status === 'cancelling' ? 'cancelled' : 'queued';
+            job.owner = null;
+            resumed++;
+        }));
+
+        if (resumed > 0) {
+            placementApp.showNotification(`Resuming ${resumed} interrupted distribution${resumed === 1 ? '' : 's'}`, 'info');
+        }
+
+        // Also starts jobs queued by a tab that closed before running them
+        this.processNext();
+    }
+
+    releaseJobs() {
+        this.update(jobs => jobs.forEach(job => {
+            if (job.owner === this.tabId && ['queued', 'running', 'cancelling'].includes(job.status)) {
+                job.owner = null;
+                job.heartbeat = 0;
+            }
+        }));
+    }
+
+    // Renew this tab's lease on the jobs it queued or is running, even while a slow send is in flight
+    renewLeases() {
+        const now = Date.now();
+        const owned = job => job.owner === this.tabId && ['queued', 'running', 'cancelling'].includes(job.status);
+
+        if (!this.load().some(owned)) return;
+
+        this.update(jobs => jobs.forEach(job => {
+            if (owned(job)) job.heartbeat = now;
+        }));
+    }
+
+    // Storage
+
+    load() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+        } catch (error) {
+            console.error('Corrupt distribution jobs in localStorage:', error);
+            return [];
+        }
+    }
+
+    save(jobs) {
+        localStorage.setItem(this.storageKey, JSON.stringify(jobs));
+    }
+
+    // Read-modify-write of the job list
+    update(change) {
+        const jobs = this.load();
+        change(jobs);
+        this.save(jobs);
+    }
+
+    getJob(jobId) {
+        return this.load().find(job => job.id === jobId) || null;
+    }
+
+    // Every change made by the owning tab also renews its lease on the job
+    updateJob(jobId, change) {
+        this.update(jobs => {
+            const job = jobs.find(candidate => candidate.id === jobId);
+            if (!job) return;
+
+            change(job);
+            if (job.owner === this.tabId) job.heartbeat = Date.now();
+        });
+    }
+
+    updateItem(jobId, companyId, change) {
+        this.updateJob(jobId, job => {
+            const item = job.companies.find(candidate => candidate.companyId === companyId);
+            if (item) change(item);
+        });
+    }
+
+    prune() {
+        this.update(jobs => {
+            const finished = jobs.filter(job => job.status === 'completed' || job.status === 'cancelled');
+            const drop = new Set(finished.slice(0, Math.max(finished.length - this.keepFinished, 0)).map(job => job.id));
+            const kept = jobs.filter(job => !drop.has(job.id));
+            jobs.splice(0, jobs.length, ...kept);
+        });
+    }
+
+    // Progress panel - the newest job that is unfinished or not yet dismissed
+
+    renderPanel() {
+        if (!document.body) return;
+
+        const job = this.load().filter(candidate => !candidate.dismissed).pop();
+        let panel = document.getElementById('distributionJobPanel');
+
+        if (!job) {
+            if (panel) panel.remove();
+            return;
+        }
+
+        if (!panel) {
+            panel = document.createElement('div');
+            panel.id = 'distributionJobPanel';
+            panel.className = 'distribution-job-panel';
+            document.body.appendChild(panel);
+
+            panel.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-job-action]');
+                if (!button) return;
+
+                const action = button.dataset.jobAction;
+                if (action === 'dismiss') {
+                    this.updateJob(button.dataset.jobId, current => {
+                        current.dismissed = true;
+                    });
+                    this.renderPanel();
+                } else {
+                    this[action](button.dataset.jobId);
+                }
+            });
+        }
+
+        const done = job.companies.filter(item => ['done', 'failed', 'cancelled'].includes(item.status)).length;
+        const percent = job.companies.length ? Math.round(done / job.companies.length * 100) : 100;
+        const finished = job.status === 'completed' || job.status === 'cancelled';
+        const queued = this.load().filter(candidate => candidate.status === 'queued' && candidate.id !== job.id).length;
+
+        const buttons = [];
+        if (job.status === 'running' || job.status === 'queued') buttons.push(['pause', 'Pause']);
+        if (job.status === 'paused' || (job.status === 'completed' && this.hasFailures(job))) {
+            buttons.push(['resume', job.status === 'paused' ? 'Resume' : 'Retry Failed']);
+        }
+        if (!finished && job.status !== 'cancelling') buttons.push(['cancel', 'Cancel']);
+        if (finished) buttons.push(['dismiss', 'Close']);
+
+        panel.innerHTML = `
+            <div class="distribution-job-header">
+                <strong><i class="fas fa-share-alt"></i> Distribution ${this.describeStatus(job.status)}</strong>
+                <span>${done}/${job.companies.length} companies</span>
+            </div>
+            <div class="distribution-job-bar"><div style="width: ${percent}%"></div></div>
+            <ul class="distribution-job-companies">
+                ${job.companies.map(item => `
+                    <li class="job-item-${item.status}" title="${item.error ? placementApp.escapeHtml(item.error) : ''}">
+                        <span>${placementApp.escapeHtml(item.companyId)}</span>
+                        <span>${this.describeItem(item)}</span>
+                    </li>
+                `).join('')}
+            </ul>
+            ${queued > 0 ? `<small>${queued} more distribution${queued === 1 ? '' : 's'} queued</small>` : ''}
+            <div class="distribution-job-actions">
+                ${buttons.map(([action, label]) => `
+                    <button type="button" class="btn btn-secondary" data-job-action="${action}" data-job-id="${job.id}">${label}</button>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    describeStatus(status) {
+        return {
+            queued: 'queued',
+            running: 'in progress',
+            paused: 'paused',
+            cancelling: 'cancelling',
+            completed: 'finished',
+            cancelled: 'cancelled'
+        }[status] || status;
+    }
+
+    describeItem(item) {
+        if (item.status === 'done') {
+            return `${item.result.sent} sent, ${item.result.updated} updated, ${item.result.skipped} unchanged`;
+        }
+        if (item.status === 'sending') return 'Sending...';
+        if (item.status === 'failed') return `Failed after ${item.attempts} attempts`;
+        if (item.status === 'cancelled') return 'Cancelled';
+        if (item.attempts > 0) return `Retrying (attempt ${item.attempts + 1}/${this.maxAttempts})`;
+        return 'Waiting';
+    }
+
+
+    delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, Math.max(ms, 0)));
+    }
+}
+
+// Add CSS for the progress panel
+const distributionJobsCSS = `
+.distribution-job-panel {
+    position: fixed;
+    bottom: 20px;
+    left: 20px;
+    width: 320px;
+    max-height: 60vh;
+    overflow-y: auto;
+    padding: 1rem;
+    background: white;
+    border-radius: 10px;
+    box-shadow: 0 5px 20px rgba(0,0,0,0.2);
+    z-index: 9000;
+    font-size: 0.9rem;
+}
+
+.distribution-job-header {
+    display: flex;
+    justify-content: space-between;
+    align-items: center;
+    margin-bottom: 0.5rem;
+}
+
+.distribution-job-bar {
+    height: 6px;
+    margin-bottom: 0.75rem;
+    background: #e9ecef;
+    border-radius: 3px;
+    overflow: hidden;
+}
+
+.distribution-job-bar div {
+    height: 100%;
+    background: #667eea;
+    transition: width 0.3s ease;
+}
+
+.distribution-job-companies {
+    list-style: none;
+    margin: 0 0 0.75rem;
+    padding: 0;
+}
+
+.distribution-job-companies li {
+    display: flex;
+    justify-content: space-between;
+    gap: 0.5rem;
+    padding: 0.25rem 0;
+    border-bottom: 1px solid #f1f3f5;
+}
+
+.job-item-done span:last-child {
+    color: #28a745;
+}
+
+.job-item-failed span:last-child {
+    color: #dc3545;
+}
+
+.job-item-cancelled span:last-child,
+.job-item-pending span:last-child {
+    color: #6c757d;
+}
+
+.distribution-job-actions {
+    display: flex;
+    justify-content: flex-end;
+    gap: 0.5rem;
+    margin-top: 0.5rem;
+}
+
+.distribution-job-actions .btn {
+    padding: 4px 12px;
+    font-size: 0.85rem;
+}
+`;
+
+const distributionJobsStyle = document.createElement('style');
+distributionJobsStyle.textContent = distributionJobsCSS;
+document.head.appendChild(distributionJobsStyle);
+
+// Initialize distribution job queue
+const distributionJobs = new DistributionJobQueue();
+
+// Export for global access
+window.distributionJobs = distributionJobs;
@@ -0,0 +1,110 @@
+// Distribution Ledger for Company Data Sharing
+// Remembers which version of each student profile was sent to each company, so
+// repeated distributions skip unchanged students and send only changed profiles.
+// Keeps a per-company history of what was sent and when
+
+class DistributionLedger {
+    constructor() {
+        this.storageKey = 'distribution_ledger';
+        this.historyLimit = 200; // Entries kept per company
+
+        // Fields a company sees - a change to anything else doesn't need resending
+        this.profileFields = ['studentId', 'fullName', 'email', 'phone', 'department', 'year', 'cgpa', 'skills'];
+    }
+
+    // Short fingerprint of the distributed fields of a student profile
+    profileVersion(student) {
+        const text = this.profileFields.map(field => {
+            const value = student[field];
+            return Array.isArray(value) ? value.join(', ') : String(value === undefined || value === null ? '' : value).trim();
+        }).join('\u001f');
+
+        // FNV-1a, 32 bit
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+
+        return `v${hash.toString(36)}`;
+    }
+
+    // Split students into new, changed and unchanged for a company.
+    // sentRows maps studentId -> { version, rowNumber } for rows already on the
+    // company's tab; the tab wins over this browser's record when both exist
+    plan(companyId, students, sentRows = new Map()) {
+        const latest = new Map();
+        students.forEach(student => latest.set(student.studentId, student)); // Last copy of a duplicate wins
+
+        const plan = { send: [], update: [], unchanged: [] };
+        const sentVersions = (this.load()[companyId] || { versions: {} }).versions;
+
+        latest.forEach((student, studentId) => {
+            const version = this.profileVersion(student);
+            const row = sentRows.get(studentId);
+            const sentVersion = row ? row.version : sentVersions[studentId] || null;
+
+            if (!row && !sentVersion) {
+                plan.send.push({ student, version });
+            } else if (sentVersion === version) {
+                plan.unchanged.push({ student, version });
+            } else if (row) {
+                plan.update.push({ student, version, rowNumber: row.rowNumber });
+            } else {
+                // Sent before, but the row is gone from the tab - send it again
+                plan.send.push({ student, version });
+            }
+        });
+
+        return plan;
+    }
+
+    // Record what was sent: action is 'sent' or 'updated'
+    record(companyId, entries, action) {
+        if (entries.length === 0) return;
+
+        const ledger = this.load();
+        const company = ledger[companyId] || { versions: {}, history: [] };
+        const timestamp = new Date().toISOString();
+
+        entries.forEach(({ student, version }) => {
+            company.versions[student.studentId] = version;
+            company.history.unshift({
+                studentId: student.studentId,
+                studentName: student.fullName,
+                version,
+                action,
+                timestamp
+            });
+        });
+
+        company.history.splice(this.historyLimit);
+        ledger[companyId] = company;
+        this.save(ledger);
+    }
+
+    // Most recent first
+    getHistory(companyId) {
+        const company = this.load()[companyId];
+        return company ? company.history : [];
+    }
+
+    load() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey) || '{}');
+        } catch (error) {
+            console.error('Corrupt distribution ledger in localStorage:', error);
+            return {};
+        }
+    }
+
+    save(ledger) {
+        localStorage.setItem(this.storageKey, JSON.stringify(ledger));
+    }
+}
+
+// Initialize distribution ledger
+const distributionLedger = new DistributionLedger();
+
+// Export for global access
+window.distributionLedger = distributionLedger;
@@ -0,0 +1,227 @@
+// Distribution Preview for Company Data Sharing
+// Before a manual distribution is sent, shows which students each company will
+// receive and why the others were left out (js/eligibility.js). The coordinator can
+// untick individual students, and nothing is sent until the preview is confirmed
+
+class DistributionPreview {
+    // Work out who each company would receive - [{ company, included, excluded }],
+    // with excluded entries carrying the eligibility engine's explanation
+    build(companies, students, context = {}) {
+        return companies.map(company => {
+            const included = [];
+            const excluded = [];
+
+            students.forEach(student => {
+                const evaluation = eligibilityEngine.evaluate(student, company, context);
+
+                if (evaluation.eligible) {
+                    included.push(student);
+                } else {
+                    excluded.push({ student, reason: eligibilityEngine.explain(evaluation) });
+                }
+            });
+
+            return { company, included, excluded };
+        });
+    }
+
+    // Show the preview. Resolves with the confirmed selection -
+    // [{ companyId, companyName, students, deselected, excluded }] - or null if closed
+    open(plan) {
+        return new Promise(resolve => {
+            const modal = placementApp.createModal('Review Distribution', this.render(plan));
+            modal.classList.add('distribution-preview-modal');
+
+            let settled = false;
+            const finish = (selection) => {
+                if (settled) return;
+                settled = true;
+                modal.remove();
+                resolve(selection);
+            };
+
+            modal.addEventListener('click', (e) => {
+                if (e.target === modal || e.target.closest('.modal-header .btn-icon') ||
+                    e.target.closest('[data-preview-action="cancel"]')) {
+                    finish(null);
+                } else if (e.target.closest('[data-preview-action="confirm"]')) {
+                    finish(this.collectSelection(modal, plan));
+                }
+            });
+
+            modal.addEventListener('change', (e) => {
+                const toggle = e.target.closest('[data-preview-all]');
+                if (toggle) {
+                    modal.querySelectorAll(`[data-preview-company="${toggle.dataset.previewAll}"]`)
+                        .forEach(checkbox => { checkbox.checked = toggle.checked; });
+                }
+                this.updateCounts(modal, plan);
+            });
+
+            document.body.appendChild(modal);
+            this.updateCounts(modal, plan);
+        });
+    }
+
+    render(plan) {
+        const sections = plan.map(({ company, included, excluded }, index) => `
+            <details class="preview-company" ${index === 0 || plan.length <= 3 ? 'open' : ''}>
+                <summary>
+                    <strong>${placementApp.escapeHtml(company.companyName || company.companyId)}</strong>
+                    <span class="preview-count" data-preview-count="${placementApp.escapeHtml(company.companyId)}"></span>
+                </summary>
+                ${included.length > 0 ? `
+                    <table class="data-table preview-table">
+                        <thead>
+                            <tr>
+                                <th><input type="checkbox" checked data-preview-all="${placementApp.escapeHtml(company.companyId)}" title="Select all"></th>
+                                <th>Student</th><th>Department</th><th>CGPA</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${included.map(student => `
+                                <tr>
+                                    <td><input type="checkbox" checked
+                                        data-preview-company="${placementApp.escapeHtml(company.companyId)}"
+                                        data-preview-student="${placementApp.escapeHtml(student.studentId)}"></td>
+                                    <td>${placementApp.escapeHtml(student.fullName)} (${placementApp.escapeHtml(student.studentId)})</td>
+                                    <td>${placementApp.escapeHtml(student.department || '')}</td>
+                                    <td>${placementApp.escapeHtml(student.cgpa)}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                ` : '<p class="preview-empty">No student meets this company\'s criteria.</p>'}
+                ${excluded.length > 0 ? `
+                    <p class="preview-excluded-title">Not eligible (${excluded.length})</p>
+                    <ul class="preview-excluded">
+                        ${excluded.map(({ student, reason }) => `
+                            <li><span>${placementApp.escapeHtml(student.fullName)} (${placementApp.escapeHtml(student.studentId)})</span>
+                                <small>${placementApp.escapeHtml(reason)}</small></li>
+                        `).join('')}
+                    </ul>
+                ` : ''}
+            </details>
+        `).join('');
+
+        return `
+            <div class="distribution-preview">
+                ${sections}
+            </div>
+            <div class="form-actions">
+                <button type="button" class="btn btn-secondary" data-preview-action="cancel">Cancel</button>
+                <button type="button" class="btn btn-primary" data-preview-action="confirm">
+                    <i class="fas fa-paper-plane"></i> <span data-preview-total></span>
+                </button>
+            </div>
+        `;
+    }
+
+    // Refresh the per-company counts and the confirm button after a checkbox changes
+    updateCounts(modal, plan) {
+        let companies = 0;
+        let students = 0;
+
+        plan.forEach(({ company, included }) => {
+            const selected = this.selectedIds(modal, company.companyId).length;
+            const count = modal.querySelector(`[data-preview-count="${company.companyId}"]`);
+
+            if (count) count.textContent = `${selected} of ${included.length} selected`;
+            if (selected > 0) companies++;
+            students += selected;
+        });
+
+        const total = modal.querySelector('[data-preview-total]');
+        if (total) total.textContent = `Send ${students} student${students === 1 ? '' : 's'} to ${companies} compan${companies === 1 ? 'y' : 'ies'}`;
+
+        const confirm = modal.querySelector('[data-preview-action="confirm"]');
+        if (confirm) confirm.disabled = students === 0;
+    }
+
+    selectedIds(modal, companyId) {
+        return Array.from(modal.querySelectorAll(`[data-preview-company="${companyId}"]`))
+            .filter(checkbox => checkbox.checked)
+            .map(checkbox => checkbox.dataset.previewStudent);
+    }
+
+    collectSelection(modal, plan) {
+        return plan.map(({ company, included, excluded }) => {
+            const selected = new Set(this.selectedIds(modal, company.companyId));
+
+            return {
+                companyId: company.companyId,
+                companyName: company.companyName,
+                students: included.filter(student => selected.has(student.studentId)),
+                deselected: included.filter(student => !selected.has(student.studentId)).map(student => student.studentId),
+                excluded: excluded.map(({ student, reason }) => ({ studentId: student.studentId, reason }))
+            };
+        });
+    }
+}
+
+// Distribution preview styles
+const distributionPreviewCSS = `
+.distribution-preview-modal .modal-content {
+    max-width: 760px !important;
+}
+
+.preview-company {
+    border: 1px solid #e9ecef;
+    border-radius: 6px;
+    padding: 0.5rem 0.75rem;
+    margin-bottom: 0.75rem;
+}
+
+.preview-company summary {
+    display: flex;
+    justify-content: space-between;
+    cursor: pointer;
+}
+
+.preview-count {
+    color: #6c757d;
+    font-size: 0.85rem;
+}
+
+.preview-table {
+    margin-top: 0.5rem;
+    font-size: 0.9rem;
+}
+
+.preview-empty,
+.preview-excluded-title {
+    margin: 0.5rem 0 0.25rem;
+    color: #6c757d;
+    font-size: 0.85rem;
+}
+
+.preview-excluded {
+    list-style: none;
+    margin: 0;
+    padding: 0;
+    font-size: 0.85rem;
+}
+
+.preview-excluded li {
+    display: flex;
+    justify-content: space-between;
+    gap: 1rem;
+    padding: 0.25rem 0;
+    border-bottom: 1px solid #f1f3f5;
+}
+
+.preview-excluded small {
+    color: #dc3545;
+    text-align: right;
+}
+`;
+
+const distributionPreviewStyle = document.createElement('style');
+distributionPreviewStyle.textContent = distributionPreviewCSS;
+document.head.appendChild(distributionPreviewStyle);
+
+// Initialize distribution preview
+const distributionPreview = new DistributionPreview();
+
+// Export for global access
+window.distributionPreview = distributionPreview;
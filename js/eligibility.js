@@ -0,0 +1,176 @@
+// Eligibility Engine for Company Distribution
+// Decides which students a company may receive. Each criterion reads its setting from
+// a company field; a criterion the company leaves blank lets every student through.
+// Every distribution, export and new placement goes through evaluate(), which explains
+// the outcome of each criterion so a coordinator can see why a student was left out
+
+class EligibilityEngine {
+    constructor() {
+        // Placement statuses that count as an accepted offer
+        this.placedStatuses = ['Selected', 'Offer Letter', 'Joined'];
+
+        // What a company's Placed Students setting does with students already placed elsewhere
+        this.placedPolicies = {
+            allow: 'Placed students may apply',
+            exclude: 'Placed students are excluded',
+            higherPackage: 'Placed students only for a higher package'
+        };
+
+        // Checked in this order; check(student, company, context) returns { passed, reason }
+        this.criteria = [
+            { id: 'status', label: 'Open for applications', check: (...args) => this.checkStatus(...args) },
+            { id: 'departments', label: 'Department', check: (...args) => this.checkDepartments(...args) },
+            { id: 'years', label: 'Graduating year', check: (...args) => this.checkYears(...args) },
+            { id: 'cgpa', label: 'Minimum CGPA', check: (...args) => this.checkCgpa(...args) },
+            { id: 'backlogs', label: 'Backlogs', check: (...args) => this.checkBacklogs(...args) },
+            { id: 'skills', label: 'Required skills', check: (...args) => this.checkSkills(...args) },
+            { id: 'placed', label: 'Already placed', check: (...args) => this.checkPlaced(...args) }
+        ];
+    }
+
+    // Evaluate every criterion for one student and company. context.placements is
+    // needed for the already-placed policy. Returns { eligible, results }, with one
+    // { criterion, label, passed, reason } per criterion
+    evaluate(student, company, context = {}) {
+        const results = this.criteria.map(criterion => ({
+            criterion: criterion.id,
+            label: criterion.label,
+            ...criterion.check(student, company, context)
+        }));
+
+        return { eligible: results.every(result => result.passed), results };
+    }
+
+    isEligible(student, company, context = {}) {
+        return this.evaluate(student, company, context).eligible;
+    }
+
+    eligibleCompanies(student, companies, context = {}) {
+        return companies.filter(company => this.isEligible(student, company, context));
+    }
+
+    eligibleStudents(company, students, context = {}) {
+        return students.filter(student => this.isEligible(student, company, context));
+    }
+
+    // One line naming the failed criteria, e.g. "Minimum CGPA: 6.5 is below 7"
+    explain(evaluation) {
+        return evaluation.results
+            .filter(result => !result.passed)
+            .map(result => `${result.label}: ${result.reason}`)
+            .join('; ');
+    }
+
+    // Records saved without a status (forms, local stores) count as Active
+    checkStatus(student, company) {
+        if (company.status && company.status !== 'Active') {
+            return { passed: false, reason: `${company.companyName || company.companyId} is not active` };
+        }
+
+        if (company.positions !== undefined && company.positions !== '' && Number(company.positions) <= 0) {
+            return { passed: false, reason: 'No open positions' };
+        }
+
+        if (student.status && student.status !== 'Active') {
+            return { passed: false, reason: `Student is ${student.status}` };
+        }
+
+        return { passed: true, reason: 'Active' };
+    }
+
+    checkDepartments(student, company) {
+        const departments = this.list(company.eligibleDepartments);
+        if (departments.length === 0) return { passed: true, reason: 'Any department' };
+
+        return departments.includes(student.department) ?
+            { passed: true, reason: `${student.department} is eligible` } :
+            { passed: false, reason: `${student.department || 'No department'} is not one of ${departments.join(', ')}` };
+    }
+
+    checkYears(student, company) {
+        const years = this.list(company.eligibleYears);
+        if (years.length === 0) return { passed: true, reason: 'Any year' };
+
+        const year = String(student.year || '').trim();
+
+        return years.includes(year) ?
+            { passed: true, reason: `${year} is eligible` } :
+            { passed: false, reason: `${year || 'No year'} is not one of ${years.join(', ')}` };
+    }
+
+    checkCgpa(student, company) {
+        const minimum = parseFloat(company.minCgpa);
+        if (!minimum) return { passed: true, reason: 'No minimum' };
+
+        const cgpa = parseFloat(student.cgpa);
+        if (isNaN(cgpa)) return { passed: false, reason: `No CGPA recorded (minimum ${minimum})` };
+
+        return cgpa >= minimum ?
+            { passed: true, reason: `${cgpa} meets ${minimum}` } :
+            { passed: false, reason: `${cgpa} is below ${minimum}` };
+    }
+
+    checkBacklogs(student, company) {
+        const allowed = parseInt(company.maxBacklogs, 10);
+        if (isNaN(allowed)) return { passed: true, reason: 'Not restricted' };
+
+        const backlogs = parseInt(student.backlogs, 10) || 0;
+
+        return backlogs <= allowed ?
+            { passed: true, reason: `${backlogs} of ${allowed} allowed` } :
+            { passed: false, reason: `${backlogs} backlogs, at most ${allowed} allowed` };
+    }
+
+    checkSkills(student, company) {
+        // Synonyms count - "JS" satisfies a JavaScript requirement (js/skillMatcher.js)
+        const required = skillMatcher.tokenize(company.requiredSkills);
+        if (required.length === 0) return { passed: true, reason: 'None required' };
+
+        const skills = skillMatcher.tokenize(student.skills).map(skill => skill.toLowerCase());
+        const missing = required.filter(skill => !skills.includes(skill.toLowerCase()));
+
+        return missing.length === 0 ?
+            { passed: true, reason: `Has ${required.join(', ')}` } :
+            { passed: false, reason: `Missing ${missing.join(', ')}` };
+    }
+
+    checkPlaced(student, company, context) {
+        const policy = this.placedPolicies[company.placedPolicy] ? company.placedPolicy : 'allow';
+        const offers = (context.placements || []).filter(placement =>
+            placement.studentId === student.studentId &&
+            placement.companyId !== company.companyId &&
+            this.placedStatuses.includes(placement.status)
+        );
+
+        if (offers.length === 0) return { passed: true, reason: 'Not placed' };
+
+        const placedAt = offers.map(placement => placement.companyId).join(', ');
+
+        if (policy === 'exclude') {
+            return { passed: false, reason: `Already placed at ${placedAt}` };
+        }
+
+        if (policy === 'higherPackage') {
+            const best = Math.max(...offers.map(placement => parseFloat(placement.packageOffered) || 0));
+            const offered = parseFloat(company.packageOffered) || 0;
+
+            return offered > best ?
+                { passed: true, reason: `${offered} LPA beats the ${best} LPA offer from ${placedAt}` } :
+                { passed: false, reason: `Already holds ${best} LPA from ${placedAt}` };
+        }
+
+        return { passed: true, reason: `Placed at ${placedAt}, but the company accepts placed students` };
+    }
+
+    // Sheet cells and form fields hold lists as "a, b" - records may already be arrays
+    list(value) {
+        const items = Array.isArray(value) ? value : String(value === undefined || value === null ? '' : value).split(',');
+        return items.map(item => String(item).trim()).filter(Boolean);
+    }
+}
+
+// Initialize eligibility engine
+const eligibilityEngine = new EligibilityEngine();
+
+// Export for global access
+window.eligibilityEngine = eligibilityEngine;
@@ -361,157 +361,182 @@ class FileUploadSystem {
                 return;
             }
             
-            // Read file content
-            const content = await this.readFileContent(file);
+            this.showFileProgress(input, 25);
+            
+            // Read the rows, header first, based on file type. Blank rows are dropped;
+            // lines[i] keeps the file line of rows[i] for the messages about it
+            const read = file.name.endsWith('.csv') ?
+                await this.readCSVRows(file, (bytes, total) => this.showFileProgress(input, 25 + 25 * (bytes / (total || 1)))) :
+                await this.readExcelRows(file);
+            const kept = read.rows.map((values, index) => index)
+                .filter(index => index === 0 || read.rows[index].some(value => value !== ''));
+            const rows = kept.map(index => read.rows[index]);
+            const lines = kept.map(index => read.lines[index]);
+            
+            if (rows.length < 2) {
+                this.showFileError(input, `${file.name} has no student rows below the header`);
+                return;
+            }
             
             this.showFileProgress(input, 50);
             
-            // Parse data based on file type
-            let parsedData;
-            if (file.name.endsWith('.csv')) {
-                parsedData = this.parseCSV(content);
-            } else if (file.name.endsWith('.xlsx') || file.name.endsWith('.xls')) {
-                parsedData = await this.parseExcel(file);
+            // Confirm which column holds which field (js/importWizard.js)
+            const choice = await importWizard.open({ fileName: file.name, rows });
+            if (!choice) {
+                input.value = ''; // Let the same file be chosen again
+                return;
             }
             
+            const parsedData = this.rowsToStudents(rows, choice.mapping);
+            
             this.showFileProgress(input, 75);
             
-            // Validate parsed data
-            const validationResults = this.validateBulkData(parsedData);
+            // Validate parsed data, then let the user review it. Rows with errors are
+            // left out of the import; they can be downloaded to fix and upload again
+            const validationResults = this.validateBulkData(parsedData, lines.slice(1));
+            const review = await importPreview.open({
+                fileName: file.name,
+                rows,
+                students: parsedData,
+                mapping: choice.mapping,
+                validation: validationResults
+            });
             
-            if (validationResults.errors.length > 0) {
-                this.showFileError(input, `Data validation errors: ${validationResults.errors.join(', ')}`);
+            if (!review) {
+                input.value = '';
                 return;
             }
             
             this.showFileProgress(input, 90);
             
-            // Import to Google Sheets
-            await googleSheetsAPI.bulkImportStudents(parsedData);
+            // Import through the configured data store - offline, Sheets imports wait in the outbox
+            const imported = await dataStore.createMany('students',
+                review.students.map(student => ({ status: 'Active', ...student })));
+            
+            // Send the new students to eligible companies. Not awaited - it reports on its own
+            googleSheetsAPI.triggerAutoDistribution(imported);
             
             this.showFileProgress(input, 100);
-            this.showFileSuccess(input, `Successfully imported ${parsedData.length} records`);
+            this.showFileSuccess(input, review.rejected > 0 ?
+                `Imported ${review.students.length} records; ${review.rejected} rejected row${review.rejected === 1 ? ' was' : 's were'} skipped` :
+                `Successfully imported ${review.students.length} records`);
             
             // Log activity
-            googleSheetsAPI.logActivity('file_uploaded', 'bulk_import', `${parsedData.length} students imported`);
+            googleSheetsAPI.logActivity('file_uploaded', 'bulk_import',
+                `${review.students.length} students imported from ${choice.source || file.name}` +
+                (review.rejected > 0 ? `, ${review.rejected} rejected` : ''));
             
         } catch (error) {
             console.error('Error in bulk upload:', error);
-            this.showFileError(input, 'Failed to process bulk upload');
+            this.showFileError(input, error.unreadable ? error.message : 'Failed to process bulk upload');
         } finally {
             this.hideFileProgress(input);
         }
     }
 
-    // Read file content
-    readFileContent(file) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-            reader.onload = (e) => resolve(e.target.result);
-            reader.onerror = (e) => reject(e);
-            reader.readAsText(file);
-        });
+    // Rows of a CSV upload, header first - any encoding, comma, semicolon or tab
+    // separated. Returns { rows, lines }, lines[i] being the file line of rows[i]
+    async readCSVRows(file, onProgress) {
+        const { rows, lines } = await csvCodec.parseFile(file, { onProgress });
+        return { rows: rows.map(row => row.map(value => value.trim())), lines };
     }
 
-    // Parse CSV content
-    parseCSV(csvContent) {
-        const lines = csvContent.split('\n');
-        const students = [];
+    // Rows of an Excel upload (.xlsx), from the header row down, as { rows, lines }
+    async readExcelRows(file) {
+        const workbook = await xlsxReader.readFile(file);
         
-        // Skip header line
-        for (let i = 1; i < lines.length; i++) {
-            const line = lines[i].trim();
-            if (!line) continue;
-            
-            const values = this.parseCSVLine(line);
-            
-            if (values.length >= 7) {
-                students.push({
-                    studentId: values[0],
-                    fullName: values[1],
-                    email: values[2],
-                    phone: values[3],
-                    department: values[4],
-                    year: values[5],
-                    cgpa: parseFloat(values[6]) || 0,
-                    skills: values[7] || ''
-                });
-            }
-        }
+        // Exports often carry a summary sheet, or title rows above the header.
+        // The header is the first row naming at least two student fields
+        const isHeader = row => importWizard.suggest(row).filter(Boolean).length >= 2;
+        const sheet = xlsxReader.pickSheet(workbook, { isHeader });
+        const start = sheet.rows.some(isHeader) ?
+            sheet.rows.findIndex(isHeader) :
+            sheet.rows.findIndex(row => row.some(cell => cell !== ''));
         
-        return students;
+        // Blank trailing cells are left out of the sheet - pad rows to the header width as a CSV would
+        const width = sheet.rows[start].length;
+        const rows = sheet.rows.slice(start).map(row => {
+            const values = row.map(cell => cell.trim());
+            while (values.length < width) values.push('');
+            return values;
+        });
+        
+        return { rows, lines: rows.map((row, index) => start + index + 1) };
     }
 
-    // Parse CSV line handling quotes and commas
-    parseCSVLine(line) {
-        const result = [];
-        let current = '';
-        let inQuotes = false;
+    // Turn rows of cell text into student records. The first row is the header;
+    // mapping gives each field's column ({ studentId: 2, fullName: 0, ... }) as
+    // confirmed in the import wizard. Unmapped fields are left blank, and values
+    // are kept as written so validation can report them
+    rowsToStudents(rows, mapping) {
+        const students = [];
         
-        for (let i = 0; i < line.length; i++) {
-            const char = line[i];
+        // Skip header line
+        for (let i = 1; i < rows.length; i++) {
+            const values = rows[i];
+            if (values.every(value => value === '')) continue;
+            
+            const value = field => mapping[field] === undefined ? '' : (values[mapping[field]] || '');
+            const student = {
+                studentId: value('studentId'),
+                fullName: value('fullName'),
+                email: value('email'),
+                phone: value('phone'),
+                department: value('department'),
+                year: value('year'),
+                cgpa: value('cgpa'),
+                skills: value('skills')
+            };
             
-            if (char === '"') {
-                inQuotes = !inQuotes;
-            } else if (char === ',' && !inQuotes) {
-                result.push(current.trim());
-                current = '';
-            } else {
-                current += char;
+            if (mapping.backlogs !== undefined) {
+                student.backlogs = value('backlogs');
             }
+            
+            students.push(student);
         }
         
-        result.push(current.trim());
-        return result;
-    }
-
-    // Parse Excel file (simplified)
-    async parseExcel(file) {
-        // In real implementation, would use libraries like SheetJS
-        // For demo, convert to CSV first
-        const csvContent = await this.excelToCSV(file);
-        return this.parseCSV(csvContent);
-    }
-
-    // Convert Excel to CSV (simulation)
-    async excelToCSV(file) {
-        // Simulate Excel parsing
-        await this.delay(1000);
-        
-        // Return sample CSV data for demo
-        return `Student ID,Full Name,Email,Phone,Department,Year,CGPA,Skills
-CS-2023-101,Alice Johnson,alice@email.com,9876543210,Computer Science,2023,8.5,JavaScript React Node.js
-IT-2023-102,Bob Smith,bob@email.com,9876543211,Information Technology,2023,7.8,Python Django SQL
-CS-2023-103,Carol Davis,carol@email.com,9876543212,Computer Science,2023,9.2,Java Spring Angular`;
+        return students;
     }
 
-    // Validate bulk data
-    validateBulkData(students) {
+    // Validate bulk data. lines[i] is the file line students[i] was read from
+    // (by default the header is line 1 and no rows were skipped). Besides the flat
+    // lists of messages, rows[i] holds { row, errors, warnings } for students[i],
+    // each problem as { field, message }, so the import preview can mark the cells at fault
+    validateBulkData(students, lines = students.map((student, index) => index + 2)) {
         const errors = [];
         const warnings = [];
+        const rows = students.map((student, index) => ({ row: lines[index], errors: [], warnings: [] }));
         const duplicates = new Set();
         const emailSet = new Set();
         
         students.forEach((student, index) => {
-            const row = index + 2; // +2 for header and 0-index
+            const row = lines[index];
+            const error = (field, message) => {
+                rows[index].errors.push({ field, message });
+                errors.push(`Row ${row}: ${message}`);
+            };
+            const warning = (field, message) => {
+                rows[index].warnings.push({ field, message });
+                warnings.push(`Row ${row}: ${message}`);
+            };
             
             // Check required fields
             if (!student.studentId) {
-                errors.push(`Row ${row}: Student ID is required`);
+                error('studentId', 'Student ID is required');
             }
             
             if (!student.fullName) {
-                errors.push(`Row ${row}: Full Name is required`);
+                error('fullName', 'Full Name is required');
             }
             
             if (!student.email) {
-                errors.push(`Row ${row}: Email is required`);
+                error('email', 'Email is required');
             }
             
             // Check duplicates within file
             if (student.studentId) {
                 if (duplicates.has(student.studentId)) {
-                    errors.push(`Row ${row}: Duplicate Student ID ${student.studentId}`);
+                    error('studentId', `Duplicate Student ID ${student.studentId}`);
                 } else {
                     duplicates.add(student.studentId);
                 }
@@ -519,28 +544,35 @@ CS-2023-103,Carol Davis,carol@email.com,9876543212,Computer Science,2023,9.2,Jav
             
             if (student.email) {
                 if (emailSet.has(student.email)) {
-                    errors.push(`Row ${row}: Duplicate Email ${student.email}`);
+                    error('email', `Duplicate Email ${student.email}`);
                 } else {
                     emailSet.add(student.email);
                 }
             }
             
-            // Validate CGPA
-            if (student.cgpa < 0 || student.cgpa > 10) {
-                errors.push(`Row ${row}: Invalid CGPA ${student.cgpa}`);
-            } else if (student.cgpa < 4.0) {
-                warnings.push(`Row ${row}: Low CGPA ${student.cgpa}`);
+            // Validate CGPA - a blank one is left for the department to fill in
+            if (student.cgpa !== '') {
+                const cgpa = Number(student.cgpa);
+                
+                if (isNaN(cgpa) || cgpa < 0 || cgpa > 10) {
+                    error('cgpa', `Invalid CGPA ${student.cgpa}`);
+                } else if (cgpa < 4.0) {
+                    warning('cgpa', `Low CGPA ${student.cgpa}`);
+                }
             }
             
-            // Validate email format
-            if (student.email && !this.isValidEmail(student.email)) {
-                errors.push(`Row ${row}: Invalid email format ${student.email}`);
-            }
+            // Every other value taken from the file is held to the form's rules
+            const invalid = new Set(rows[index].errors.map(issue => issue.field));
+            Object.keys(student).filter(field => !invalid.has(field)).forEach(field => {
+                const message = validationRules.check(field, student[field]);
+                if (message) error(field, `${student[field]}: ${message}`);
+            });
         });
         
         return {
             errors,
             warnings,
+            rows,
             isValid: errors.length === 0
         };
     }
@@ -0,0 +1,146 @@
+// Form Submission Pipeline for Student Data Management
+// One submit path per record form: validate -> pre-save hooks -> persist -> post-save hooks
+
+class FormPipeline {
+    constructor() {
+        this.pipelines = new Map();
+        this.inFlight = new Set();
+
+        document.addEventListener('DOMContentLoaded', () => {
+            this.pipelines.forEach((pipeline, formId) => this.bindForm(formId));
+        });
+    }
+
+    // Register a record form
+    //   collection - data store collection the form saves to
+    //   preSave    - hooks (record, context) that may adjust the record or throw to abort
+    //   postSave   - hooks (record, context) run after the record is stored
+    //   onSuccess / onError - UI feedback once the pipeline finishes
+    register(formId, definition) {
+        this.pipelines.set(formId, {
+            preSave: [],
+            postSave: [],
+            ...definition
+        });
+
+        // Late registrations bind straight away
+        if (document.readyState && document.readyState !== 'loading') {
+            this.bindForm(formId);
+        }
+    }
+
+    isRegistered(form) {
+        return Boolean(form && this.pipelines.has(form.id));
+    }
+
+    // Attach the single submit listener (some pages repeat a form ID)
+    bindForm(formId) {
+        document.querySelectorAll(`form#${formId}`).forEach(form => {
+            if (form.dataset.pipelineBound) return;
+            form.dataset.pipelineBound = 'true';
+
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.submit(form);
+            });
+        });
+    }
+
+    // Run a form through the pipeline. Resolves to the saved record, or null
+    // when validation failed, a hook aborted or the save failed
+    async submit(form) {
+        const pipeline = this.pipelines.get(form.id);
+        if (!pipeline || this.inFlight.has(form)) return null;
+
+        this.inFlight.add(form);
+
+        const editingId = form.dataset.mode === 'edit' ? form.dataset.recordId : null;
+        const context = {
+            form,
+            collection: pipeline.collection,
+            editingId,
+            isNew: !editingId,
+            version: editingId ? form.dataset.recordVersion || null : null
+        };
+
+        try {
+            // Validation failures block the save
+            if (!(await this.validate(form))) return null;
+
+            let record = this.collect(form);
+
+            for (const hook of pipeline.preSave) {
+                record = (await hook(record, context)) || record;
+            }
+
+            record = await this.persist(record, context);
+
+            // The record is stored at this point - a failing hook must not report the save as failed
+            for (const hook of pipeline.postSave) {
+                try {
+                    await hook(record, context);
+                } catch (error) {
+                    console.error(`Post-save hook failed for ${form.id}:`, error);
+                }
+            }
+
+            if (pipeline.onSuccess) pipeline.onSuccess(record, context);
+            return record;
+
+        } catch (error) {
+            console.error(`Error submitting ${form.id}:`, error);
+            if (pipeline.onError) pipeline.onError(error, context);
+            return null;
+
+        } finally {
+            this.inFlight.delete(form);
+        }
+    }
+
+    async validate(form) {
+        if (typeof window.validationSystem === 'undefined') return true;
+        return validationSystem.validateSubmission(form);
+    }
+
+    // Read the form into a plain record
+    collect(form) {
+        const record = {};
+
+        new FormData(form).forEach((value, key) => {
+            // Uploaded files are handled by the file upload system, not stored on the record
+            if (typeof File !== 'undefined' && value instanceof File) return;
+            record[key] = value;
+        });
+
+        // FormData only keeps the last option of a multi-select
+        form.querySelectorAll('select[multiple][name]').forEach(select => {
+            record[select.name] = Array.from(select.selectedOptions).map(option => option.value);
+        });
+
+        return record;
+    }
+
+    // Create the record, or update it in place when the form is in edit mode
+    async persist(record, context) {
+        if (context.isNew) {
+            return (await dataStore.create(context.collection, record)) || record;
+        }
+
+        // Keep fields the form doesn't show (status, date added, ...)
+        const existing = await dataStore.get(context.collection, context.editingId);
+        const updated = { ...(existing || {}), ...record };
+
+        // Save against the version the edit started from, so changes made
+        // by someone else in the meantime are caught instead of overwritten
+        if (context.version) updated.lastModified = context.version;
+
+        // The backend may hand back a merged or re-versioned record
+        return (await dataStore.update(context.collection, context.editingId, updated)) || updated;
+    }
+}
+
+// Initialize form pipeline
+const formPipeline = new FormPipeline();
+
+// Export for global access
+window.formPipeline = formPipeline;
@@ -0,0 +1,145 @@
+// HTTP Client for Google Sheets Requests
+// Request timeouts, retries with exponential backoff and jitter on network errors,
+// 408/429/5xx and Retry-After, without letting a retried append write rows twice
+
+class HttpClient {
+    constructor(settings = {}) {
+        this.maxRetries = settings.maxRetries !== undefined ? settings.maxRetries : 3;
+        this.retryDelay = settings.retryDelay || 1000;
+        this.maxRetryDelay = settings.maxRetryDelay || 30000;
+        this.requestTimeout = settings.requestTimeout || 30000;
+
+        // Optional async ({ forceRefresh }) => access token, sent as a Bearer header
+        this.authorize = null;
+    }
+
+    // Send a request, retrying what is safe to retry. Resolves with the last
+    // response (which may not be ok) or rejects with the last network error.
+    //   idempotent     - sending twice has the same effect as once (default: GET and PUT)
+    //   alreadyApplied - for non-idempotent requests, checks whether an attempt that
+    //                    failed ambiguously (timeout, dropped connection, 5xx) went through
+    async request(url, options = {}, { idempotent, alreadyApplied } = {}) {
+        const method = (options.method || 'GET').toUpperCase();
+        const safeToRepeat = idempotent !== undefined ? idempotent : method === 'GET' || method === 'PUT';
+        let refreshedToken = false;
+
+        for (let attempt = 0; ; attempt++) {
+            let response = null;
+            let failure = null;
+
+            try {
+                response = await this.send(url, await this.withAuthorization(options, refreshedToken));
+
+                // A rejected token is refreshed once and the request sent again straight away
+                if (response.status === 401 && this.authorize && !refreshedToken) {
+                    refreshedToken = true;
+                    attempt--;
+                    continue;
+                }
+
+                if (response.ok || !this.isRetryableStatus(response.status)) return response;
+            } catch (error) {
+                failure = error;
+            }
+
+            if (attempt >= this.maxRetries) {
+                if (failure) throw failure;
+                return response;
+            }
+
+            // 429 and 503 mean the request was turned away; anything else may have been applied
+            if (!safeToRepeat && !(response && (response.status === 429 || response.status === 503))) {
+                if (!alreadyApplied) {
+                    if (failure) throw failure;
+                    return response;
+                }
+
+                if (await alreadyApplied()) {
+                    console.log(`Earlier attempt of ${method} ${this.describe(url)} went through - not repeating it`);
+                    return this.appliedResponse();
+                }
+            }
+
+            const wait = (response && this.retryAfter(response)) || this.backoff(attempt);
+            console.log(`Retry ${attempt + 1}/${this.maxRetries} for ${method} ${this.describe(url)} in ${wait}ms` +
+                ` (${failure ? failure.message : `HTTP ${response.status}`})`);
+            await this.delay(wait);
+        }
+    }
+
+    async withAuthorization(options, forceRefresh) {
+        const token = this.authorize ? await this.authorize({ forceRefresh }) : null;
+        if (!token) return options;
+
+        return {
+            ...options,
+            headers: { ...(options.headers || {}), Authorization: `Bearer ${token}` }
+        };
+    }
+
+    // One attempt, aborted after requestTimeout
+    async send(url, options) {
+        const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        const timer = controller ? setTimeout(() => controller.abort(), this.requestTimeout) : null;
+
+        try {
+            return await fetch(url, controller ? { ...options, signal: controller.signal } : options);
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                const timeout = new Error(`Request timed out after ${this.requestTimeout}ms`);
+                timeout.name = 'AbortError';
+                throw timeout;
+            }
+            // fetch only rejects when no response came back
+            error.network = true;
+            throw error;
+        } finally {
+            if (timer) clearTimeout(timer);
+        }
+    }
+
+    isRetryableStatus(status) {
+        return status === 408 || status === 429 || status >= 500;
+    }
+
+    // Retry-After in milliseconds, from either delay-seconds or an HTTP date
+    retryAfter(response) {
+        const header = response.headers && response.headers.get('Retry-After');
+        if (!header) return null;
+
+        const seconds = Number(header);
+        const wait = Number.isNaN(seconds) ? new Date(header).getTime() - Date.now() : seconds * 1000;
+
+        if (Number.isNaN(wait)) return null;
+        return Math.min(Math.max(wait, 0), this.maxRetryDelay);
+    }
+
+    // Exponential backoff with full jitter, so clients that hit the quota
+    // together don't all come back at the same moment
+    backoff(attempt) {
+        const ceiling = Math.min(this.retryDelay * Math.pow(2, attempt), this.maxRetryDelay);
+        return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+    }
+
+    // Stand-in response for a request that turned out to have succeeded earlier
+    appliedResponse() {
+        return {
+            ok: true,
+            status: 200,
+            headers: { get: () => null },
+            json: async () => ({ alreadyApplied: true })
+        };
+    }
+
+    // URL without the API key, for logging
+    describe(url) {
+        return url.split('?')[0];
+    }
+
+    delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
+
+// Export for global access - each API client creates its own instance
+window.HttpClient = HttpClient;
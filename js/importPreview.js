@@ -0,0 +1,213 @@
+// Import Preview for Bulk Student Uploads
+// Shows every row of an upload as it will be imported, after column mapping
+// (js/importWizard.js) and validation (fileUploadSystem.validateBulkData). Cells that
+// fail validation are marked, warnings such as a low CGPA are shown next to the row,
+// and only the rows without errors are imported. The rejected rows can be downloaded
+// as a CSV with the reasons, for the department to fix and upload again
+
+class ImportPreview {
+    // Show the preview. rows are the file's rows (header first) and students[i] the
+    // record read from rows[i + 1]; validation.rows[i] gives its file line as row.
+    // Resolves with { students, rejected } - the records to import and the number
+    // of rows left out - or null if closed
+    open({ fileName, rows, students, mapping, validation }) {
+        const entries = students.map((student, index) => ({
+            values: rows[index + 1],
+            student,
+            ...validation.rows[index]
+        }));
+
+        const accepted = entries.filter(entry => entry.errors.length === 0);
+        const rejected = entries.filter(entry => entry.errors.length > 0);
+
+        return new Promise(resolve => {
+            const modal = placementApp.createModal('Review Import', this.render(fileName, entries, mapping, accepted, rejected));
+            modal.classList.add('import-preview-modal');
+
+            let settled = false;
+            const finish = (result) => {
+                if (settled) return;
+                settled = true;
+                modal.remove();
+                resolve(result);
+            };
+
+            modal.addEventListener('click', (e) => {
+                if (e.target === modal || e.target.closest('.modal-header .btn-icon') ||
+                    e.target.closest('[data-import-action="cancel"]')) {
+                    finish(null);
+                } else if (e.target.closest('[data-import-action="download"]')) {
+                    this.downloadRejected(fileName, rows[0], rejected);
+                } else if (e.target.closest('[data-import-action="confirm"]')) {
+                    finish({ students: accepted.map(entry => entry.student), rejected: rejected.length });
+                }
+            });
+
+            modal.addEventListener('change', (e) => {
+                if (e.target.matches('[data-import-preview="filter"]')) {
+                    this.filter(modal, e.target.value);
+                }
+            });
+
+            document.body.appendChild(modal);
+        });
+    }
+
+    render(fileName, entries, mapping, accepted, rejected) {
+        // Only the fields taken from the file are shown
+        const fields = importWizard.fields().filter(({ field }) => mapping[field] !== undefined);
+        const warned = entries.filter(entry => entry.warnings.length > 0).length;
+
+        const cell = (entry, field) => {
+            const error = entry.errors.filter(issue => issue.field === field);
+            const warning = entry.warnings.filter(issue => issue.field === field);
+            const issues = [...error, ...warning].map(issue => issue.message).join('\n');
+            const className = error.length > 0 ? 'import-cell-invalid' : warning.length > 0 ? 'import-cell-warning' : '';
+
+            return `<td class="${className}" ${issues ? `title="${placementApp.escapeHtml(issues)}"` : ''}>${placementApp.escapeHtml(entry.student[field])}</td>`;
+        };
+
+        return `
+            <div class="import-preview">
+                <div class="import-preview-summary">
+                    <p>
+                        ${placementApp.escapeHtml(fileName)}: <strong>${accepted.length}</strong> row${accepted.length === 1 ? '' : 's'} ready to import,
+                        <strong>${rejected.length}</strong> rejected${warned > 0 ? `, ${warned} with warnings` : ''}.
+                    </p>
+                    <select data-import-preview="filter">
+                        <option value="all">All rows</option>
+                        <option value="issues">Rows with errors or warnings</option>
+                        <option value="rejected">Rejected rows</option>
+                    </select>
+                </div>
+                <div class="import-preview-grid">
+                    <table class="data-table">
+                        <thead>
+                            <tr>
+                                <th>Row</th>
+                                ${fields.map(({ header }) => `<th>${placementApp.escapeHtml(header)}</th>`).join('')}
+                                <th>Issues</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${entries.map(entry => `
+                                <tr class="${entry.errors.length > 0 ? 'import-row-rejected' : ''}"
+                                    data-import-status="${entry.errors.length > 0 ? 'rejected' : entry.warnings.length > 0 ? 'warning' : 'valid'}">
+                                    <td>${entry.row}</td>
+                                    ${fields.map(({ field }) => cell(entry, field)).join('')}
+                                    <td class="import-issues">
+                                        ${entry.errors.map(issue => `<span class="import-issue-error">${placementApp.escapeHtml(issue.message)}</span>`).join('')}
+                                        ${entry.warnings.map(issue => `<span class="import-issue-warning">${placementApp.escapeHtml(issue.message)}</span>`).join('')}
+                                    </td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+            <div class="form-actions">
+                <button type="button" class="btn btn-secondary" data-import-action="cancel">Cancel</button>
+                ${rejected.length > 0 ? `
+                    <button type="button" class="btn btn-info" data-import-action="download">
+                        <i class="fas fa-download"></i> Download Rejected Rows
+                    </button>
+                ` : ''}
+                <button type="button" class="btn btn-primary" data-import-action="confirm" ${accepted.length === 0 ? 'disabled' : ''}>
+                    <i class="fas fa-file-import"></i> Import ${accepted.length} Valid Row${accepted.length === 1 ? '' : 's'}
+                </button>
+            </div>
+        `;
+    }
+
+    // Show all rows, only those with errors or warnings, or only the rejected ones
+    filter(modal, show) {
+        modal.querySelectorAll('[data-import-status]').forEach(row => {
+            const status = row.dataset.importStatus;
+            row.hidden = (show === 'issues' && status === 'valid') || (show === 'rejected' && status !== 'rejected');
+        });
+    }
+
+    // The rejected rows as the file had them, plus columns saying what to fix and
+    // which line of the uploaded file each came from
+    downloadRejected(fileName, headers, rejected) {
+        const content = [
+            [...headers, 'Rejection Reasons', 'File Row'],
+            ...rejected.map(entry => [
+                ...headers.map((header, index) => entry.values[index] === undefined ? '' : entry.values[index]),
+                entry.errors.map(issue => issue.message).join('; '),
+                entry.row
+            ])
+        ];
+
+        placementApp.downloadBlob(csvCodec.toBlob(content), `${fileName.replace(/\.[^.]+$/, '')}_rejected.csv`);
+    }
+}
+
+// Import preview styles
+const importPreviewCSS = `
+.import-preview-modal .modal-content {
+    max-width: 960px !important;
+}
+
+.import-preview-summary {
+    display: flex;
+    flex-wrap: wrap;
+    justify-content: space-between;
+    align-items: center;
+    gap: 0.75rem;
+    margin-bottom: 0.75rem;
+}
+
+.import-preview-summary p {
+    margin: 0;
+}
+
+.import-preview-grid {
+    max-height: 55vh;
+    overflow: auto;
+    border: 1px solid #e9ecef;
+    border-radius: 6px;
+}
+
+.import-preview-grid .data-table {
+    margin: 0;
+    font-size: 0.85rem;
+}
+
+.import-row-rejected {
+    background: #fff5f5;
+}
+
+.import-cell-invalid {
+    background: #f8d7da;
+    color: #842029;
+}
+
+.import-cell-warning {
+    background: #fff3cd;
+    color: #664d03;
+}
+
+.import-issues span {
+    display: block;
+    font-size: 0.8rem;
+}
+
+.import-issue-error {
+    color: #dc3545;
+}
+
+.import-issue-warning {
+    color: #b58105;
+}
+`;
+
+const importPreviewStyle = document.createElement('style');
+importPreviewStyle.textContent = importPreviewCSS;
+document.head.appendChild(importPreviewStyle);
+
+// Initialize import preview
+const importPreview = new ImportPreview();
+
+// Export for global access
+window.importPreview = importPreview;
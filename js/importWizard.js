@@ -0,0 +1,364 @@
+// Import Mapping Wizard for Bulk Student Uploads
+// Every department sends its student list in its own layout - "Roll No" instead of
+// "Student ID", GPA before Name, extra columns nobody asked for. Before a bulk upload
+// is imported, this reads the file's header row, suggests which student field each
+// column holds and lets the coordinator correct it. A confirmed mapping is saved as a
+// profile for that source and picked again when a file with the same headers arrives
+
+class ImportMappingWizard {
+    constructor() {
+        this.storageKey = 'import_mapping_profiles';
+
+        // Student fields set by the system rather than imported
+        this.systemFields = ['status', 'dateAdded', 'lastModified'];
+
+        // Headers departments use, on top of each column's header and aliases in
+        // googleSheetsAPI.sheetSchemas.students. Compared with case, spaces and
+        // punctuation ignored
+        this.synonyms = {
+            studentId: ['Roll Number', 'Roll', 'Registration No', 'Reg No', 'Enrollment No', 'Enrolment No', 'Admission No', 'USN', 'PRN'],
+            fullName: ['Student Full Name', 'Candidate Name', 'Name of Student'],
+            email: ['E-mail', 'Email ID', 'Mail ID', 'Mail'],
+            phone: ['Mobile No', 'Mobile Number', 'Contact', 'Contact No', 'Contact Number', 'Phone No'],
+            department: ['Branch', 'Stream', 'Programme', 'Program', 'Course'],
+            year: ['Batch', 'Passing Year', 'Year of Passing', 'Graduation Year', 'Graduating Year'],
+            cgpa: ['CPI', 'Aggregate', 'Grade Point Average'],
+            backlogs: ['Arrears', 'Active Arrears', 'Backlog', 'KT'],
+            skills: ['Key Skills', 'Skill Set', 'Skillset']
+        };
+    }
+
+    // Student fields a file column can be imported as - [{ field, header, required }]
+    fields() {
+        return googleSheetsAPI.sheetSchemas.students.columns
+            .filter(column => !this.systemFields.includes(column.field))
+            .map(({ field, header, required }) => ({ field, header, required: Boolean(required) }));
+    }
+
+    // Suggest a field for each header - an array of field names ('' to ignore the column).
+    // Exact names win; then headers that contain a known name ("Student Roll No."),
+    // longest name first. Each field is used once
+    suggest(headers) {
+        const normalized = headers.map(header => googleSheetsAPI.normalizeHeader(header));
+        const names = this.fieldNames();
+        const mapping = headers.map(() => '');
+        const used = new Set();
+
+        const assign = (index, field) => {
+            if (mapping[index] || used.has(field)) return;
+            mapping[index] = field;
+            used.add(field);
+        };
+
+        normalized.forEach((header, index) => {
+            const exact = names.find(({ name }) => name === header);
+            if (header && exact) assign(index, exact.field);
+        });
+
+        // Short names like "id" or "kt" only count when they are the whole header
+        names.filter(({ name }) => name.length >= 4).forEach(({ field, name }) => {
+            normalized.forEach((header, index) => {
+                if (header.includes(name)) assign(index, field);
+            });
+        });
+
+        return mapping;
+    }
+
+    // Every known name of every field, normalised, longest first
+    fieldNames() {
+        const columns = googleSheetsAPI.sheetSchemas.students.columns;
+
+        return this.fields()
+            .flatMap(({ field, header }) => {
+                const column = columns.find(candidate => candidate.field === field);
+                return [header, ...(column.aliases || []), ...(this.synonyms[field] || [])]
+                    .map(name => ({ field, name: googleSheetsAPI.normalizeHeader(name) }));
+            })
+            .sort((a, b) => b.name.length - a.name.length);
+    }
+
+    // Show the wizard for a file's rows (the first is the header row). Resolves with
+    // { mapping: { field: columnIndex }, source } once confirmed, or null if closed
+    open({ fileName, rows }) {
+        const headers = rows[0].map((header, index) => String(header).trim() || `Column ${index + 1}`);
+        const profile = this.findProfile(rows[0]);
+        const mapping = profile ? this.profileMapping(profile, rows[0]) : this.suggest(rows[0]);
+
+        return new Promise(resolve => {
+            const modal = placementApp.createModal('Map Columns', this.render(fileName, headers, rows, mapping, profile));
+            modal.classList.add('import-wizard-modal');
+
+            let settled = false;
+            const finish = (result) => {
+                if (settled) return;
+                settled = true;
+                modal.remove();
+                resolve(result);
+            };
+
+            modal.addEventListener('click', (e) => {
+                if (e.target === modal || e.target.closest('.modal-header .btn-icon') ||
+                    e.target.closest('[data-wizard-action="cancel"]')) {
+                    finish(null);
+                } else if (e.target.closest('[data-wizard-action="confirm"]')) {
+                    finish(this.confirm(modal, rows));
+                }
+            });
+
+            modal.addEventListener('change', (e) => {
+                if (e.target.matches('[data-wizard="profile"]')) {
+                    const chosen = this.loadProfiles()[e.target.value];
+                    const applied = chosen ? this.profileMapping(chosen, rows[0]) : this.suggest(rows[0]);
+                    this.setMapping(modal, applied);
+                    modal.querySelector('[data-wizard="source"]').value = e.target.value || this.defaultSource(fileName, rows, applied);
+                }
+                this.refresh(modal);
+            });
+
+            document.body.appendChild(modal);
+            this.refresh(modal);
+        });
+    }
+
+    render(fileName, headers, rows, mapping, profile) {
+        const profiles = Object.keys(this.loadProfiles()).sort();
+        const fields = this.fields();
+
+        const samples = index => rows.slice(1)
+            .map(row => String(row[index] === undefined ? '' : row[index]).trim())
+            .filter(Boolean)
+            .slice(0, 3);
+
+        return `
+            <div class="import-wizard">
+                <div class="import-wizard-source">
+                    <div class="form-group">
+                        <label>Saved layout</label>
+                        <select data-wizard="profile">
+                            <option value="">None - suggest from the headers</option>
+                            ${profiles.map(name => `
+                                <option value="${placementApp.escapeHtml(name)}" ${profile && profile.name === name ? 'selected' : ''}>${placementApp.escapeHtml(name)}</option>
+                            `).join('')}
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label>Source</label>
+                        <input type="text" data-wizard="source" placeholder="e.g. Computer Science department"
+                            value="${placementApp.escapeHtml(profile ? profile.name : this.defaultSource(fileName, rows, mapping))}">
+                    </div>
+                    <label class="import-wizard-remember">
+                        <input type="checkbox" data-wizard="remember" checked> Remember this layout for the source
+                    </label>
+                </div>
+                <p class="import-wizard-note">
+                    ${placementApp.escapeHtml(fileName)} - ${rows.length - 1} row${rows.length === 2 ? '' : 's'}.
+                    ${profile ? `Columns mapped from the saved layout for <strong>${placementApp.escapeHtml(profile.name)}</strong>.` : 'Columns mapped from their headers - check them before continuing.'}
+                </p>
+                <table class="data-table import-mapping">
+                    <thead>
+                        <tr><th>Column in file</th><th>Sample values</th><th>Import as</th></tr>
+                    </thead>
+                    <tbody>
+                        ${headers.map((header, index) => `
+                            <tr>
+                                <td><strong>${placementApp.escapeHtml(header)}</strong></td>
+                                <td class="import-samples">${samples(index).map(value => placementApp.escapeHtml(value)).join('<br>') || '<em>empty</em>'}</td>
+                                <td>
+                                    <select data-wizard-column="${index}">
+                                        <option value="">Don't import</option>
+                                        ${fields.map(({ field, header: label, required }) => `
+                                            <option value="${field}" ${mapping[index] === field ? 'selected' : ''}>${placementApp.escapeHtml(label)}${required ? ' *' : ''}</option>
+                                        `).join('')}
+                                    </select>
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+                <p class="import-wizard-error" data-wizard="error"></p>
+            </div>
+            <div class="form-actions">
+                <button type="button" class="btn btn-secondary" data-wizard-action="cancel">Cancel</button>
+                <button type="button" class="btn btn-primary" data-wizard-action="confirm">
+                    <i class="fas fa-arrow-right"></i> Continue
+                </button>
+            </div>
+        `;
+    }
+
+    // Re-check the mapping after a change - every required field once, no field twice
+    refresh(modal) {
+        const problem = this.validate(this.readMapping(modal));
+        const error = modal.querySelector('[data-wizard="error"]');
+        const confirm = modal.querySelector('[data-wizard-action="confirm"]');
+
+        if (error) error.textContent = problem || '';
+        if (confirm) confirm.disabled = Boolean(problem);
+    }
+
+    validate(mapping) {
+        const fields = this.fields();
+        const chosen = mapping.filter(Boolean);
+        const label = field => fields.find(candidate => candidate.field === field).header;
+
+        const twice = fields.filter(({ field }) => chosen.filter(value => value === field).length > 1);
+        if (twice.length > 0) {
+            return `${twice.map(({ header }) => header).join(', ')} ${twice.length === 1 ? 'is' : 'are'} chosen for more than one column`;
+        }
+
+        const missing = fields.filter(({ field, required }) => required && !chosen.includes(field));
+        if (missing.length > 0) {
+            return `Choose a column for ${missing.map(({ field }) => label(field)).join(', ')}`;
+        }
+
+        return null;
+    }
+
+    readMapping(modal) {
+        return Array.from(modal.querySelectorAll('[data-wizard-column]'))
+            .sort((a, b) => Number(a.dataset.wizardColumn) - Number(b.dataset.wizardColumn))
+            .map(select => select.value);
+    }
+
+    setMapping(modal, mapping) {
+        modal.querySelectorAll('[data-wizard-column]').forEach(select => {
+            select.value = mapping[Number(select.dataset.wizardColumn)] || '';
+        });
+    }
+
+    // The confirmed mapping as { field: columnIndex }, saving the profile if asked
+    confirm(modal, rows) {
+        const mapping = this.readMapping(modal);
+        const source = modal.querySelector('[data-wizard="source"]').value.trim();
+
+        if (source && modal.querySelector('[data-wizard="remember"]').checked) {
+            this.saveProfile(source, rows[0], mapping);
+        }
+
+        const fields = {};
+        mapping.forEach((field, index) => {
+            if (field) fields[field] = index;
+        });
+
+        return { mapping: fields, source };
+    }
+
+    // Name a new source after the one department in the file, else after the file
+    defaultSource(fileName, rows, mapping) {
+        const index = mapping.indexOf('department');
+        const departments = index === -1 ? [] :
+            Array.from(new Set(rows.slice(1).map(row => String(row[index] || '').trim()).filter(Boolean)));
+
+        return departments.length === 1 ? departments[0] : fileName.replace(/\.[^.]+$/, '');
+    }
+
+    // Saved layouts: { name: { headers, mapping: { normalizedHeader: field }, savedAt } }
+    loadProfiles() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey) || '{}');
+        } catch (error) {
+            console.error('Corrupt import mapping profiles in localStorage:', error);
+            return {};
+        }
+    }
+
+    saveProfile(name, headers, mapping) {
+        const profiles = this.loadProfiles();
+        const byHeader = {};
+
+        headers.forEach((header, index) => {
+            const key = googleSheetsAPI.normalizeHeader(header);
+            if (key) byHeader[key] = mapping[index] || '';
+        });
+
+        profiles[name] = {
+            headers: headers.map(header => googleSheetsAPI.normalizeHeader(header)),
+            mapping: byHeader,
+            savedAt: new Date().toISOString()
+        };
+
+        localStorage.setItem(this.storageKey, JSON.stringify(profiles));
+    }
+
+    // The saved layout for a file with exactly these headers, in any order
+    findProfile(headers) {
+        const key = headers.map(header => googleSheetsAPI.normalizeHeader(header)).filter(Boolean).sort().join('|');
+        const profiles = this.loadProfiles();
+
+        const name = Object.keys(profiles).find(candidate =>
+            profiles[candidate].headers.filter(Boolean).sort().join('|') === key);
+
+        return name ? { name, ...profiles[name] } : null;
+    }
+
+    // A profile applied to a file's headers. Headers the profile hasn't seen get a suggestion
+    profileMapping(profile, headers) {
+        const suggested = this.suggest(headers);
+        const mapping = headers.map((header, index) => {
+            const key = googleSheetsAPI.normalizeHeader(header);
+            return key in profile.mapping ? profile.mapping[key] : suggested[index];
+        });
+
+        // A suggestion never doubles up a field the profile already places
+        return mapping.map((field, index) =>
+            field && mapping.indexOf(field) !== index ? '' : field);
+    }
+}
+
+// Import wizard styles
+const importWizardCSS = `
+.import-wizard-modal .modal-content {
+    max-width: 760px !important;
+}
+
+.import-wizard-source {
+    display: flex;
+    flex-wrap: wrap;
+    gap: 0.75rem;
+    align-items: flex-end;
+}
+
+.import-wizard-source .form-group {
+    flex: 1;
+    min-width: 200px;
+    margin-bottom: 0;
+}
+
+.import-wizard-remember {
+    font-size: 0.85rem;
+    white-space: nowrap;
+}
+
+.import-wizard-note {
+    margin: 0.75rem 0 0.5rem;
+    color: #6c757d;
+    font-size: 0.85rem;
+}
+
+.import-mapping {
+    font-size: 0.9rem;
+}
+
+.import-samples {
+    color: #6c757d;
+    font-size: 0.8rem;
+}
+
+.import-wizard-error {
+    min-height: 1.2em;
+    margin: 0.5rem 0 0;
+    color: #dc3545;
+    font-size: 0.85rem;
+}
+`;
+
+const importWizardStyle = document.createElement('style');
+importWizardStyle.textContent = importWizardCSS;
+document.head.appendChild(importWizardStyle);
+
+// Initialize import wizard
+const importWizard = new ImportMappingWizard();
+
+// Export for global access
+window.importWizard = importWizard;
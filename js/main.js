@@ -15,6 +15,14 @@ class PlacementPortalApp {
             totalItems: 0
         };
         
+        // Data store collection behind each record form
+        this.formCollections = {
+            studentForm: 'students',
+            companyForm: 'companies',
+            placementForm: 'placements'
+        };
+        
+        this.registerFormPipelines();
         this.initializeApp();
     }
 
@@ -51,51 +59,30 @@ class PlacementPortalApp {
         }
     }
 
-    // Load students data with caching
+    // Load students data through the configured data store
     async loadStudentsData() {
         try {
-            // Try to get from Google Sheets first
-            const students = await googleSheetsAPI.getStudents();
-            
-            if (students.length > 0) {
-                // Cache in localStorage
-                localStorage.setItem('students', JSON.stringify(students));
-                return students;
-            } else {
-                // Fallback to localStorage
-                return JSON.parse(localStorage.getItem('students') || '[]');
-            }
-            
+            return await dataStore.list('students');
         } catch (error) {
             console.error('Error loading students:', error);
-            // Fallback to localStorage
-            return JSON.parse(localStorage.getItem('students') || '[]');
+            return [];
         }
     }
 
     // Load companies data
     async loadCompaniesData() {
         try {
-            const companies = await googleSheetsAPI.getCompanies();
-            
-            if (companies.length > 0) {
-                localStorage.setItem('companies', JSON.stringify(companies));
-                return companies;
-            } else {
-                return JSON.parse(localStorage.getItem('companies') || '[]');
-            }
-            
+            return await dataStore.list('companies');
         } catch (error) {
             console.error('Error loading companies:', error);
-            return JSON.parse(localStorage.getItem('companies') || '[]');
+            return [];
         }
     }
 
     // Load placements data
     async loadPlacementsData() {
         try {
-            // For demo, load from localStorage
-            return JSON.parse(localStorage.getItem('placements') || '[]');
+            return await dataStore.list('placements');
         } catch (error) {
             console.error('Error loading placements:', error);
             return [];
@@ -110,9 +97,6 @@ class PlacementPortalApp {
         // Filter functionality
         this.setupFilterHandlers();
         
-        // Form handlers
-        this.setupFormHandlers();
-        
         // Table action handlers
         this.setupTableHandlers();
         
@@ -142,34 +126,62 @@ class PlacementPortalApp {
         });
     }
 
-    // Setup form handlers
-    setupFormHandlers() {
-        // Student form
-        const studentForm = document.getElementById('studentForm');
-        if (studentForm) {
-            studentForm.addEventListener('submit', (e) => {
-                e.preventDefault();
-                this.handleStudentFormSubmit(studentForm);
-            });
-        }
+    // Record forms submit through the shared pipeline (js/formPipeline.js)
+    registerFormPipelines() {
+        const keepInMemory = (record, context) => this.storeLocalRecord(record, context);
         
-        // Company form
-        const companyForm = document.getElementById('companyForm');
-        if (companyForm) {
-            companyForm.addEventListener('submit', (e) => {
-                e.preventDefault();
-                this.handleCompanyFormSubmit(companyForm);
-            });
-        }
+        formPipeline.register('studentForm', {
+            collection: 'students',
+            postSave: [
+                keepInMemory,
+                (student, context) => googleSheetsAPI.logActivity(context.isNew ? 'student_added' : 'student_updated',
+                    student.studentId, student.fullName),
+                // The distribution ledger resends an edited student only if the profile changed.
+                // Not awaited - the distribution job reports its own progress
+                (student) => {
+                    this.autoDistributeStudent(student);
+                }
+            ],
+            onSuccess: (student, context) => this.finishFormSubmit(context, 'student-form', context.isNew ?
+                'Student added successfully and distributed to eligible companies' :
+                'Student updated successfully'),
+            onError: (error) => this.reportSaveError(error, 'Failed to save student')
+        });
         
-        // Placement form
-        const placementForm = document.getElementById('placementForm');
-        if (placementForm) {
-            placementForm.addEventListener('submit', (e) => {
-                e.preventDefault();
-                this.handlePlacementFormSubmit(placementForm);
-            });
-        }
+        formPipeline.register('companyForm', {
+            collection: 'companies',
+            postSave: [
+                keepInMemory,
+                (company, context) => googleSheetsAPI.logActivity(context.isNew ? 'company_added' : 'company_updated',
+                    company.companyId, company.companyName)
+            ],
+            onSuccess: (company, context) => this.finishFormSubmit(context, 'company-form',
+                context.isNew ? 'Company added successfully' : 'Company updated successfully'),
+            onError: (error) => this.reportSaveError(error, 'Failed to save company')
+        });
+        
+        formPipeline.register('placementForm', {
+            collection: 'placements',
+            preSave: [
+                (placement, context) => {
+                    // Generate a placement ID if missing, or if the one filled in has been taken since
+                    if (!placement.placementId || (context.isNew &&
+                        this.placementsData.some(existing => existing.placementId === placement.placementId))) {
+                        placement.placementId = this.nextPlacementId();
+                    }
+                    return placement;
+                }
+            ],
+            postSave: [
+                keepInMemory,
+                (placement, context) => googleSheetsAPI.logActivity('placement_updated', placement.placementId, context.isNew ?
+                    `${placement.studentId} applied to ${placement.companyId}` :
+                    `${placement.studentId} placement at ${placement.companyId} edited`)
+            ],
+            onSuccess: (placement, context) => this.finishFormSubmit(context, 'placement-form',
+                context.isNew ? 'Placement record added successfully' : 'Placement record updated successfully'),
+            onError: (error) => this.reportSaveError(error, 'Failed to save placement record')
+        });
     }
 
     // Setup table action handlers
@@ -179,8 +191,10 @@ class PlacementPortalApp {
             if (e.target.closest('.btn-icon')) {
                 const button = e.target.closest('.btn-icon');
                 const action = button.getAttribute('onclick');
+                const functionName = action && action.split('(')[0];
                 
-                if (action) {
+                // Inline handlers backed by a global already ran - don't run them twice
+                if (action && typeof window[functionName] !== 'function') {
                     // Prevent default onclick and handle through our system
                     e.preventDefault();
                     this.handleTableAction(action);
@@ -263,7 +277,7 @@ class PlacementPortalApp {
                 <td>${student.department}</td>
                 <td>${student.year}</td>
                 <td>${student.cgpa}</td>
-                <td><span class="status-badge status-active">${student.status}</span></td>
+                <td><span class="status-badge status-${this.getStatusClass(student.status)}">${student.status}</span></td>
                 <td>
                     <button class="btn-icon" onclick="editStudent('${student.studentId}')" title="Edit">
                         <i class="fas fa-edit"></i>
@@ -297,7 +311,7 @@ class PlacementPortalApp {
                 <td>${company.packageOffered}</td>
                 <td>${company.positions}</td>
                 <td>${company.minCgpa}</td>
-                <td><span class="status-badge status-active">${company.status}</span></td>
+                <td><span class="status-badge status-${this.getStatusClass(company.status)}">${company.status}</span></td>
                 <td>
                     <button class="btn-icon" onclick="editCompany('${company.companyId}')" title="Edit">
                         <i class="fas fa-edit"></i>
@@ -308,6 +322,9 @@ class PlacementPortalApp {
                     <button class="btn-icon btn-success" onclick="sendStudentData('${company.companyId}')" title="Send Data">
                         <i class="fas fa-paper-plane"></i>
                     </button>
+                    <button class="btn-icon btn-danger" onclick="deleteCompany('${company.companyId}')" title="Delete">
+                        <i class="fas fa-trash"></i>
+                    </button>
                 </td>
             </tr>
         `).join('');
@@ -366,7 +383,8 @@ class PlacementPortalApp {
             'Offer Letter': 'offer',
             'Joined': 'selected',
             'Rejected': 'pending',
-            'Active': 'active'
+            'Active': 'active',
+            'Archived': 'pending'
         };
         
         return statusClasses[status] || 'pending';
@@ -475,115 +493,58 @@ class PlacementPortalApp {
         }
     }
 
-    // Handle student form submission
-    async handleStudentFormSubmit(form) {
-        try {
-            const formData = new FormData(form);
-            const studentData = Object.fromEntries(formData.entries());
-            
-            // Add to local data
-            this.studentsData.push(studentData);
-            
-            // Save to Google Sheets
-            await googleSheetsAPI.addStudent(studentData);
-            
-            // Auto-distribute to eligible companies
-            await this.autoDistributeStudent(studentData);
-            
-            // Refresh display
-            this.loadStudentsTable();
-            this.updateDashboardStats();
-            
-            // Hide form
-            this.toggleForm('student-form');
-            
-            this.showNotification('Student added successfully and distributed to eligible companies', 'success');
-            
-        } catch (error) {
-            console.error('Error submitting student form:', error);
-            this.showNotification('Failed to add student', 'error');
+    // Keep the in-memory copy in step with a saved form record
+    storeLocalRecord(record, context) {
+        const records = this[`${context.collection}Data`];
+        const idField = dataStore.collections[context.collection].idField;
+        const index = records.findIndex(item => item[idField] === (context.editingId || record[idField]));
+        
+        if (index === -1) {
+            records.push(record);
+        } else {
+            records[index] = record;
         }
     }
 
-    // Handle company form submission
-    async handleCompanyFormSubmit(form) {
-        try {
-            const formData = new FormData(form);
-            const companyData = Object.fromEntries(formData.entries());
-            
-            // Process eligible departments array
-            const deptSelect = form.querySelector('#eligibleDepartments');
-            companyData.eligibleDepartments = Array.from(deptSelect.selectedOptions).map(option => option.value);
-            
-            // Add to local data
-            this.companiesData.push(companyData);
-            
-            // Save to Google Sheets
-            await googleSheetsAPI.addCompany(companyData);
-            
-            // Refresh display
-            this.loadCompaniesTable();
-            this.updateDashboardStats();
-            
-            // Hide form
-            this.toggleForm('company-form');
-            
-            this.showNotification('Company added successfully', 'success');
-            
-        } catch (error) {
-            console.error('Error submitting company form:', error);
-            this.showNotification('Failed to add company', 'error');
+    // Refresh the page and close the form once the pipeline has saved a record
+    finishFormSubmit(context, formId, message) {
+        this.refreshCurrentTable();
+        this.updateDashboardStats();
+        
+        if (window.validationSystem) {
+            validationSystem.resetForm(context.form);
         }
+        
+        // Hide form
+        this.hideForm(formId);
+        
+        this.showNotification(message, 'success');
     }
 
-    // Handle placement form submission
-    async handlePlacementFormSubmit(form) {
-        try {
-            const formData = new FormData(form);
-            const placementData = Object.fromEntries(formData.entries());
-            
-            // Generate placement ID if not exists
-            if (!placementData.placementId) {
-                placementData.placementId = this.generatePlacementId();
-            }
-            
-            // Add to local data
-            this.placementsData.push(placementData);
-            
-            // Save to localStorage (in real app, would save to database)
-            localStorage.setItem('placements', JSON.stringify(this.placementsData));
-            
-            // Refresh display
-            this.loadPlacementsTable();
-            this.updateDashboardStats();
-            
-            // Hide form
-            this.toggleForm('placement-form');
-            
-            this.showNotification('Placement record added successfully', 'success');
-            
-        } catch (error) {
-            console.error('Error submitting placement form:', error);
-            this.showNotification('Failed to add placement record', 'error');
+    // An abandoned edit conflict leaves the sheet as it was - not a failure
+    reportSaveError(error, message) {
+        if (error.conflict) {
+            this.showNotification(error.message, 'warning');
+        } else {
+            this.showNotification(message, 'error');
         }
     }
 
     // Auto-distribute student to eligible companies
     async autoDistributeStudent(studentData) {
         try {
-            const eligibleCompanies = this.companiesData.filter(company => 
-                company.status === 'Active' &&
-                company.minCgpa <= parseFloat(studentData.cgpa) &&
-                company.positions > 0 &&
-                (company.eligibleDepartments || []).includes(studentData.department)
-            );
+            const eligibleCompanies = eligibilityEngine.eligibleCompanies(studentData, this.companiesData,
+                { placements: this.placementsData });
             
             if (eligibleCompanies.length > 0) {
                 const companyIds = eligibleCompanies.map(c => c.companyId);
-                await googleSheetsAPI.distributeDataToCompanies([studentData], companyIds);
+                const results = await googleSheetsAPI.distributeDataToCompanies([studentData], companyIds);
                 
-                // Log the distribution
-                this.logDistributionActivity(studentData, eligibleCompanies);
+                // Log the companies that actually received something new
+                const reached = results.filter(r => r.success && r.result.sent + r.result.updated > 0).map(r => r.companyId);
+                if (reached.length > 0) {
+                    this.logDistributionActivity(studentData, eligibleCompanies.filter(c => reached.includes(c.companyId)));
+                }
             }
             
         } catch (error) {
@@ -602,7 +563,11 @@ class PlacementPortalApp {
             timestamp: new Date().toISOString()
         };
         
-        // Store activity
+        this.storeDistributionActivity(activity);
+    }
+
+    // Distribution log kept in this browser - feeds the distribution statistics
+    storeDistributionActivity(activity) {
         const activities = JSON.parse(localStorage.getItem('distribution_activities') || '[]');
         activities.unshift(activity);
         
@@ -626,7 +591,7 @@ class PlacementPortalApp {
             a.timestamp.split('T')[0] === today
         );
         
-        const totalStudentsToday = todayActivities.reduce((sum, a) => sum + 1, 0);
+        const totalStudentsToday = todayActivities.reduce((sum, a) => sum + (a.studentsCount || 1), 0);
         const totalCompaniesContacted = new Set(
             activities.flatMap(a => a.companies || [])
         ).size;
@@ -660,6 +625,9 @@ class PlacementPortalApp {
                 case 'viewCompany':
                     this.viewCompany(id);
                     break;
+                case 'deleteCompany':
+                    this.deleteCompany(id);
+                    break;
                 case 'sendStudentData':
                     this.sendStudentDataToCompany(id);
                     break;
@@ -681,7 +649,8 @@ class PlacementPortalApp {
         const student = this.studentsData.find(s => s.studentId === studentId);
         if (student) {
             this.populateStudentForm(student);
-            this.toggleForm('student-form');
+            this.startEditing('studentForm', student.studentId, student.lastModified);
+            this.showForm('student-form');
         }
     }
 
@@ -693,24 +662,30 @@ class PlacementPortalApp {
     }
 
     async deleteStudent(studentId) {
-        if (confirm('Are you sure you want to delete this student?')) {
-            try {
-                // Remove from local data
+        const choice = await this.confirmRemoval('Student', studentId);
+        if (!choice) return;
+        
+        try {
+            if (choice === 'archive') {
+                await dataStore.archive('students', studentId);
+                const student = this.studentsData.find(s => s.studentId === studentId);
+                if (student) student.status = validationRules.archivedStatus;
+            } else {
+                await dataStore.delete('students', studentId);
                 this.studentsData = this.studentsData.filter(s => s.studentId !== studentId);
-                
-                // Update localStorage
-                localStorage.setItem('students', JSON.stringify(this.studentsData));
-                
-                // Refresh table
-                this.loadStudentsTable();
-                this.updateDashboardStats();
-                
-                this.showNotification('Student deleted successfully', 'success');
-                
-            } catch (error) {
-                console.error('Error deleting student:', error);
-                this.showNotification('Failed to delete student', 'error');
             }
+            
+            googleSheetsAPI.logActivity(`student_${choice}d`, studentId, `Student ${choice}d: ${studentId}`);
+            
+            // Refresh table
+            this.loadStudentsTable();
+            this.updateDashboardStats();
+            
+            this.showNotification(`Student ${choice}d successfully`, 'success');
+            
+        } catch (error) {
+            console.error(`Error removing student (${choice}):`, error);
+            this.showNotification(`Failed to ${choice} student`, 'error');
         }
     }
 
@@ -719,7 +694,8 @@ class PlacementPortalApp {
         const company = this.companiesData.find(c => c.companyId === companyId);
         if (company) {
             this.populateCompanyForm(company);
-            this.toggleForm('company-form');
+            this.startEditing('companyForm', company.companyId, company.lastModified);
+            this.showForm('company-form');
         }
     }
 
@@ -730,6 +706,65 @@ class PlacementPortalApp {
         }
     }
 
+    async deleteCompany(companyId) {
+        const choice = await this.confirmRemoval('Company', companyId);
+        if (!choice) return;
+        
+        try {
+            if (choice === 'archive') {
+                await dataStore.archive('companies', companyId);
+                const company = this.companiesData.find(c => c.companyId === companyId);
+                if (company) company.status = validationRules.archivedStatus;
+            } else {
+                await dataStore.delete('companies', companyId);
+                this.companiesData = this.companiesData.filter(c => c.companyId !== companyId);
+            }
+            
+            googleSheetsAPI.logActivity(`company_${choice}d`, companyId, `Company ${choice}d: ${companyId}`);
+            
+            this.loadCompaniesTable();
+            this.updateDashboardStats();
+            
+            this.showNotification(`Company ${choice}d successfully`, 'success');
+            
+        } catch (error) {
+            console.error(`Error removing company (${choice}):`, error);
+            this.showNotification(`Failed to ${choice} company`, 'error');
+        }
+    }
+
+    // Ask whether to archive (keep the row, mark it Archived) or permanently delete.
+    // Resolves to 'archive', 'delete' or null when cancelled
+    confirmRemoval(label, id) {
+        return new Promise(resolve => {
+            const modal = this.createModal(`Remove ${label} - ${id}`, `
+                <p>Archiving keeps the record in Google Sheets with status <strong>Archived</strong>.
+                   Deleting removes the row permanently and cannot be undone.</p>
+                <div class="form-actions">
+                    <button type="button" class="btn btn-secondary" data-action="cancel">Cancel</button>
+                    <button type="button" class="btn btn-info" data-action="archive">
+                        <i class="fas fa-archive"></i> Archive
+                    </button>
+                    <button type="button" class="btn btn-danger" data-action="delete">
+                        <i class="fas fa-trash"></i> Delete Permanently
+                    </button>
+                </div>
+            `);
+            
+            // The header X and a backdrop click close it like Cancel
+            modal.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-action]');
+                
+                if (button || e.target === modal || e.target.closest('.modal-header .btn-icon')) {
+                    modal.remove();
+                    resolve(button && button.dataset.action !== 'cancel' ? button.dataset.action : null);
+                }
+            });
+            
+            document.body.appendChild(modal);
+        });
+    }
+
     // Send student data to specific company
     async sendStudentDataToCompany(companyId) {
         try {
@@ -740,31 +775,7 @@ class PlacementPortalApp {
                 return;
             }
             
-            // Find eligible students
-            const eligibleStudents = this.studentsData.filter(student => 
-                student.status === 'Active' &&
-                parseFloat(student.cgpa) >= company.minCgpa &&
-                (company.eligibleDepartments || []).includes(student.department)
-            );
-            
-            if (eligibleStudents.length === 0) {
-                this.showNotification('No eligible students found for this company', 'warning');
-                return;
-            }
-            
-            // Distribute data
-            await googleSheetsAPI.distributeDataToCompanies(eligibleStudents, [companyId]);
-            
-            // Log activity
-            this.logDistributionActivity({
-                studentId: 'BULK',
-                fullName: `${eligibleStudents.length} students`
-            }, [company]);
-            
-            this.showNotification(
-                `Successfully sent ${eligibleStudents.length} student records to ${company.companyName}`, 
-                'success'
-            );
+            await this.previewAndDistribute([company]);
             
         } catch (error) {
             console.error('Error sending student data:', error);
@@ -772,12 +783,56 @@ class PlacementPortalApp {
         }
     }
 
+    // Show who each company would receive and send only what the coordinator confirms
+    async previewAndDistribute(companies) {
+        const activeStudents = this.studentsData.filter(s => s.status === 'Active');
+        
+        if (activeStudents.length === 0) {
+            this.showNotification('No active students found', 'warning');
+            return;
+        }
+        
+        const plan = distributionPreview.build(companies, activeStudents, { placements: this.placementsData });
+        const selection = await distributionPreview.open(plan);
+        if (!selection) return;
+        
+        const assignments = selection
+            .filter(entry => entry.students.length > 0)
+            .map(entry => ({ companyId: entry.companyId, students: entry.students }));
+        
+        // Distribute data - the summary notification comes from the API
+        const results = await googleSheetsAPI.distribute(assignments);
+        this.logDistributionSelection(selection, results);
+    }
+
+    // Record a confirmed preview: who was sent, who was unticked and why others were left out
+    logDistributionSelection(selection, results) {
+        const reached = results.filter(r => r.success).map(r => r.companyId);
+        const companies = selection.filter(entry => reached.includes(entry.companyId));
+        
+        this.storeDistributionActivity({
+            type: 'manual_distribution',
+            studentsCount: companies.reduce((sum, entry) => sum + entry.students.length, 0),
+            companiesCount: companies.length,
+            companies: companies.map(entry => entry.companyName),
+            selection: selection.map(entry => ({
+                companyId: entry.companyId,
+                companyName: entry.companyName,
+                sent: reached.includes(entry.companyId) ? entry.students.map(student => student.studentId) : [],
+                deselected: entry.deselected,
+                excluded: entry.excluded
+            })),
+            timestamp: new Date().toISOString()
+        });
+    }
+
     // Placement CRUD operations
     editPlacement(placementId) {
         const placement = this.placementsData.find(p => p.placementId === placementId);
         if (placement) {
             this.populatePlacementForm(placement);
-            this.toggleForm('placement-form');
+            this.startEditing('placementForm', placement.placementId, placement.lastModified);
+            this.showForm('placement-form');
         }
     }
 
@@ -814,11 +869,13 @@ class PlacementPortalApp {
             Object.keys(company).forEach(key => {
                 const field = form.querySelector(`[name="${key}"]`);
                 if (field) {
-                    if (key === 'eligibleDepartments' && Array.isArray(company[key])) {
+                    if (field.multiple && Array.isArray(company[key])) {
                         // Handle multi-select
                         Array.from(field.options).forEach(option => {
                             option.selected = company[key].includes(option.value);
                         });
+                    } else if (Array.isArray(company[key])) {
+                        field.value = company[key].join(', ');
                     } else {
                         field.value = company[key];
                     }
@@ -924,13 +981,261 @@ class PlacementPortalApp {
                         <label>Minimum CGPA:</label>
                         <span>${company.minCgpa}</span>
                     </div>
+                    <div class="detail-item">
+                        <label>Eligible Departments:</label>
+                        <span>${eligibilityEngine.list(company.eligibleDepartments).join(', ') || 'Any'}</span>
+                    </div>
+                    <div class="detail-item">
+                        <label>Eligible Years:</label>
+                        <span>${eligibilityEngine.list(company.eligibleYears).join(', ') || 'Any'}</span>
+                    </div>
+                    <div class="detail-item">
+                        <label>Backlogs Allowed:</label>
+                        <span>${company.maxBacklogs === undefined || company.maxBacklogs === '' ? 'Not restricted' : company.maxBacklogs}</span>
+                    </div>
+                    <div class="detail-item">
+                        <label>Required Skills:</label>
+                        <span>${eligibilityEngine.list(company.requiredSkills).join(', ') || 'None'}</span>
+                    </div>
+                    <div class="detail-item">
+                        <label>Placed Students:</label>
+                        <span>${eligibilityEngine.placedPolicies[company.placedPolicy] || eligibilityEngine.placedPolicies.allow}</span>
+                    </div>
                 </div>
+                ${this.renderTopMatches(company)}
+                ${this.renderDistributionHistory(company.companyId)}
             </div>
         `);
         
+        modal.querySelectorAll('[data-action="export-shortlist"]').forEach(button => {
+            button.addEventListener('click', () => this.exportShortlist(company, button.dataset.format));
+        });
+        
         document.body.appendChild(modal);
     }
 
+    // Eligible students best matching the company's requirements (js/skillMatcher.js)
+    renderTopMatches(company) {
+        const matches = skillMatcher.rank(company, this.studentsData,
+            { context: { placements: this.placementsData }, limit: skillMatcher.shortlistSize });
+        
+        if (matches.length === 0) {
+            return `
+                <h4 class="distribution-history-title">Top Matches</h4>
+                <p class="distribution-history-empty">No student meets this company's criteria yet.</p>
+            `;
+        }
+        
+        return `
+            <h4 class="distribution-history-title">
+                Top ${matches.length} Matches
+                <button type="button" class="btn btn-secondary top-matches-export" data-action="export-shortlist" data-format="xlsx">
+                    <i class="fas fa-file-excel"></i> Excel
+                </button>
+                <button type="button" class="btn btn-secondary top-matches-export" data-action="export-shortlist" data-format="csv">
+                    <i class="fas fa-download"></i> CSV
+                </button>
+            </h4>
+            <table class="data-table distribution-history">
+                <thead>
+                    <tr><th>#</th><th>Student</th><th>Match</th><th>Matched Skills</th></tr>
+                </thead>
+                <tbody>
+                    ${matches.map(match => `
+                        <tr>
+                            <td>${match.rank}</td>
+                            <td>${this.escapeHtml(match.student.fullName)} (${this.escapeHtml(match.student.studentId)})</td>
+                            <td>${match.score}%</td>
+                            <td>${this.escapeHtml(match.matched.join(', ')) || '-'}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    // Download the company's ranked shortlist as CSV or Excel
+    async exportShortlist(company, format = 'csv') {
+        try {
+            const content = await googleSheetsAPI.exportForCompany(company.companyId, format,
+                { limit: skillMatcher.shortlistSize });
+            
+            if (format === 'xlsx') {
+                this.downloadBlob(content, `${company.companyId}_shortlist.xlsx`);
+            } else {
+                this.downloadCSV(content, `${company.companyId}_shortlist.csv`);
+            }
+        } catch (error) {
+            console.error('Error exporting shortlist:', error);
+        }
+    }
+
+    // Students sent to a company, most recent first (from the distribution ledger)
+    renderDistributionHistory(companyId) {
+        const history = window.distributionLedger ? distributionLedger.getHistory(companyId) : [];
+        
+        if (history.length === 0) {
+            return `
+                <h4 class="distribution-history-title">Distribution History</h4>
+                <p class="distribution-history-empty">No student data has been sent to this company from this browser yet.</p>
+            `;
+        }
+        
+        return `
+            <h4 class="distribution-history-title">Distribution History</h4>
+            <table class="data-table distribution-history">
+                <thead>
+                    <tr><th>Date</th><th>Student</th><th>Action</th></tr>
+                </thead>
+                <tbody>
+                    ${history.map(entry => `
+                        <tr>
+                            <td>${new Date(entry.timestamp).toLocaleString()}</td>
+                            <td>${this.escapeHtml(entry.studentName)} (${this.escapeHtml(entry.studentId)})</td>
+                            <td>${entry.action === 'updated' ? 'Profile updated' : 'Sent'}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    showPlacementDetails(placement) {
+        const student = this.studentsData.find(s => s.studentId === placement.studentId);
+        const company = this.companiesData.find(c => c.companyId === placement.companyId);
+        
+        const modal = this.createModal('Placement Details', `
+            <div class="placement-details">
+                <div class="detail-grid">
+                    <div class="detail-item">
+                        <label>Placement ID:</label>
+                        <span>${placement.placementId}</span>
+                    </div>
+                    <div class="detail-item">
+                        <label>Student:</label>
+                        <span>${student ? student.fullName : 'Unknown'} (${placement.studentId})</span>
+                    </div>
+                    <div class="detail-item">
+                        <label>Company:</label>
+                        <span>${company ? company.companyName : 'Unknown'} (${placement.companyId})</span>
+                    </div>
+                    <div class="detail-item">
+                        <label>Position:</label>
+                        <span>${placement.position}</span>
+                    </div>
+                    <div class="detail-item">
+                        <label>Application Date:</label>
+                        <span>${placement.applicationDate}</span>
+                    </div>
+                    <div class="detail-item">
+                        <label>Status:</label>
+                        <span class="status-badge status-${this.getStatusClass(placement.status)}">${placement.status}</span>
+                    </div>
+                    <div class="detail-item">
+                        <label>Package Offered:</label>
+                        <span>${placement.packageOffered ? `₹${placement.packageOffered} LPA` : 'TBD'}</span>
+                    </div>
+                    <div class="detail-item">
+                        <label>Interview Date:</label>
+                        <span>${placement.interviewDate || 'N/A'}</span>
+                    </div>
+                    <div class="detail-item">
+                        <label>Notes:</label>
+                        <span>${placement.notes || '-'}</span>
+                    </div>
+                </div>
+            </div>
+        `);
+        
+        document.body.appendChild(modal);
+    }
+
+    // Quick status update for a placement record
+    showStatusUpdateModal(placement) {
+        const statuses = (window.APP_CONFIG && APP_CONFIG.placementStatuses) || [
+            'Applied', 'Shortlisted', 'Interview Scheduled', 'Interview Completed',
+            'Selected', 'Rejected', 'Offer Letter', 'Joined'
+        ];
+        
+        const modal = this.createModal(`Update Status - ${placement.placementId}`, `
+            <div class="form-group">
+                <label for="quickStatusSelect">New Status</label>
+                <select id="quickStatusSelect">
+                    ${statuses.map(status => `
+                        <option value="${status}" ${status === placement.status ? 'selected' : ''}>${status}</option>
+                    `).join('')}
+                </select>
+            </div>
+            <div class="form-actions">
+                <button type="button" class="btn btn-secondary" data-action="cancel">Cancel</button>
+                <button type="button" class="btn btn-primary" data-action="save">
+                    <i class="fas fa-save"></i> Update Status
+                </button>
+            </div>
+        `);
+        
+        modal.querySelector('[data-action="cancel"]').addEventListener('click', () => modal.remove());
+        modal.querySelector('[data-action="save"]').addEventListener('click', async () => {
+            const status = modal.querySelector('#quickStatusSelect').value;
+            modal.remove();
+            await this.savePlacementStatus(placement.placementId, status);
+        });
+        
+        document.body.appendChild(modal);
+    }
+
+    // Persist a placement status change
+    async savePlacementStatus(placementId, status) {
+        try {
+            const placement = this.placementsData.find(p => p.placementId === placementId);
+            if (!placement || placement.status === status) return;
+            
+            const updatedPlacement = await dataStore.update('placements', placementId, { ...placement, status });
+            
+            Object.assign(placement, updatedPlacement);
+            googleSheetsAPI.logActivity('placement_updated', placementId, 
+                `${placement.studentId} moved to ${status} at ${placement.companyId}`);
+            
+            this.loadPlacementsTable();
+            this.updateDashboardStats();
+            
+        } catch (error) {
+            console.error('Error updating placement status:', error);
+            this.reportSaveError(error, 'Failed to update placement status');
+        }
+    }
+
+    // Round-trip placements with the Placements sheet
+    async syncPlacementsWithGoogleSheets() {
+        // Read the sheet fresh rather than from the API cache
+        googleSheetsAPI.invalidateCache('placements');
+        const remotePlacements = await googleSheetsAPI.getPlacements('Placements!A:Z', { throwOnError: true });
+        
+        // Push placements saved only on this machine while Sheets failed, unless they already
+        // wait in the offline outbox. Any other placement missing from the sheet was deleted
+        // there, and the deletion wins
+        const queued = new Set(window.syncQueue ? syncQueue.load()
+            .filter(entry => entry.collection === 'placements')
+            .flatMap(entry => entry.recordIds) : []);
+        const localOnly = (await dataStore.unsynced('placements', remotePlacements))
+            .filter(placement => !queued.has(placement.placementId));
+        
+        if (localOnly.length > 0) {
+            await googleSheetsAPI.addPlacements(localOnly.map(({ unsynced, ...placement }) => placement));
+        }
+        
+        // The sheet is the shared source of truth for every coordinator
+        this.placementsData = await this.loadPlacementsData();
+        
+        this.loadPlacementsTable();
+        this.updateDashboardStats();
+        
+        return {
+            pushed: localOnly.length,
+            total: this.placementsData.length
+        };
+    }
+
     // Create modal dialog
     createModal(title, content) {
         const modal = document.createElement('div');
@@ -987,19 +1292,99 @@ class PlacementPortalApp {
         return modal;
     }
 
+    // Text made safe to place inside HTML markup or a quoted attribute
+    escapeHtml(value) {
+        return String(value === undefined || value === null ? '' : value)
+            .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
     // Utility functions
     toggleForm(formId) {
         const form = document.getElementById(formId);
         if (form) {
             const isVisible = form.style.display !== 'none';
-            form.style.display = isVisible ? 'none' : 'block';
             
-            if (!isVisible) {
-                form.scrollIntoView({ behavior: 'smooth' });
+            if (isVisible) {
+                this.hideForm(formId);
+            } else {
+                this.showForm(formId);
             }
         }
     }
 
+    showForm(formId) {
+        const form = document.getElementById(formId);
+        if (form) {
+            form.style.display = 'block';
+            form.scrollIntoView({ behavior: 'smooth' });
+        }
+    }
+
+    // Hiding a form section also drops it out of edit mode
+    hideForm(formId) {
+        const form = document.getElementById(formId);
+        if (form) {
+            form.style.display = 'none';
+            form.querySelectorAll('form').forEach(element => this.stopEditing(element));
+        }
+    }
+
+    // Edit mode - the form remembers which record it is editing (data-mode="edit",
+    // data-record-id) so submitting updates that record instead of appending a new one.
+    // data-record-version is the row version the edit started from
+    startEditing(formId, recordId, version) {
+        const form = document.getElementById(formId);
+        if (!form) return;
+        
+        form.dataset.mode = 'edit';
+        form.dataset.recordId = recordId;
+        if (version) form.dataset.recordVersion = version;
+        
+        // The record ID is the row key - lock it while editing
+        const collection = this.formCollections[formId];
+        const idField = form.querySelector(`[name="${dataStore.collections[collection].idField}"]`);
+        if (idField && !idField.readOnly) {
+            idField.readOnly = true;
+            idField.dataset.lockedForEdit = 'true';
+        }
+        
+        // Uploads were collected when the record was created
+        form.querySelectorAll('input[type="file"][required]').forEach(input => {
+            input.required = false;
+            input.dataset.requiredOnCreate = 'true';
+        });
+        
+        const submitButton = form.querySelector('button[type="submit"]');
+        if (submitButton) {
+            submitButton.dataset.createLabel = submitButton.innerHTML;
+            submitButton.innerHTML = '<i class="fas fa-save"></i> Save Changes';
+        }
+    }
+
+    stopEditing(form) {
+        if (!form || form.dataset.mode !== 'edit') return;
+        
+        delete form.dataset.mode;
+        delete form.dataset.recordId;
+        delete form.dataset.recordVersion;
+        
+        form.querySelectorAll('[data-locked-for-edit]').forEach(field => {
+            field.readOnly = false;
+            delete field.dataset.lockedForEdit;
+        });
+        
+        form.querySelectorAll('[data-required-on-create]').forEach(input => {
+            input.required = true;
+            delete input.dataset.requiredOnCreate;
+        });
+        
+        const submitButton = form.querySelector('button[type="submit"]');
+        if (submitButton && submitButton.dataset.createLabel) {
+            submitButton.innerHTML = submitButton.dataset.createLabel;
+            delete submitButton.dataset.createLabel;
+        }
+    }
+
     updateElement(id, value) {
         const element = document.getElementById(id);
         if (element) {
@@ -1007,9 +1392,15 @@ class PlacementPortalApp {
         }
     }
 
-    generatePlacementId() {
-        const nextId = this.placementsData.length + 1;
-        return `PL-${String(nextId).padStart(3, '0')}`;
+    // Placement IDs are PL-### - take the next number after the highest in use,
+    // so removing a placement never hands out an ID that is still taken
+    nextPlacementId(placements = this.placementsData) {
+        const highest = placements.reduce((max, placement) => {
+            const match = /^PL-(\d+)$/.exec(placement.placementId || '');
+            return match ? Math.max(max, parseInt(match[1], 10)) : max;
+        }, 0);
+
+        return `PL-${String(highest + 1).padStart(3, '0')}`;
     }
 
     showNotification(message, type = 'info') {
@@ -1078,10 +1469,14 @@ class PlacementPortalApp {
     }
 
     // Export functions
-    async exportAllStudents() {
+    async exportAllStudents(format = 'csv') {
         try {
-            const csvContent = googleSheetsAPI.generateCSV(this.studentsData);
-            this.downloadCSV(csvContent, 'all_students.csv');
+            if (format === 'xlsx') {
+                this.downloadBlob(googleSheetsAPI.generateXLSX(this.studentsData), 'all_students.xlsx');
+            } else {
+                const csvContent = googleSheetsAPI.generateCSV(this.studentsData);
+                this.downloadCSV(csvContent, 'all_students.csv');
+            }
             
         } catch (error) {
             console.error('Error exporting students:', error);
@@ -1089,11 +1484,30 @@ class PlacementPortalApp {
         }
     }
 
-    async generatePlacementReport() {
+    async exportCompanyData(format = 'csv') {
+        try {
+            if (format === 'xlsx') {
+                this.downloadBlob(googleSheetsAPI.generateCompanyXLSX(this.companiesData), 'company_data.xlsx');
+            } else {
+                this.downloadCSV(googleSheetsAPI.generateCompanyCSV(this.companiesData), 'company_data.csv');
+            }
+            
+        } catch (error) {
+            console.error('Error exporting company data:', error);
+            this.showNotification('Failed to export company data', 'error');
+        }
+    }
+
+    async generatePlacementReport(format = 'csv') {
         try {
             const reportData = this.preparePlacementReport();
-            const csvContent = this.generatePlacementReportCSV(reportData);
-            this.downloadCSV(csvContent, 'placement_report.csv');
+            
+            if (format === 'xlsx') {
+                this.downloadBlob(this.generatePlacementReportXLSX(reportData), 'placement_report.xlsx');
+            } else {
+                const csvContent = this.generatePlacementReportCSV(reportData);
+                this.downloadCSV(csvContent, 'placement_report.csv');
+            }
             
         } catch (error) {
             console.error('Error generating report:', error);
@@ -1123,27 +1537,51 @@ class PlacementPortalApp {
         });
     }
 
+    // Placement report columns, in the order preparePlacementReport's fields are written
+    placementReportColumns() {
+        return [
+            { field: 'placementId', header: 'Placement ID' },
+            { field: 'studentName', header: 'Student Name' },
+            { field: 'studentId', header: 'Student ID' },
+            { field: 'department', header: 'Department' },
+            { field: 'cgpa', header: 'CGPA', type: 'decimal' },
+            { field: 'companyName', header: 'Company Name' },
+            { field: 'position', header: 'Position' },
+            { field: 'packageOffered', header: 'Package (LPA)', type: 'decimal' },
+            { field: 'status', header: 'Status' },
+            { field: 'applicationDate', header: 'Application Date', type: 'date' },
+            { field: 'interviewDate', header: 'Interview Date', type: 'date' }
+        ];
+    }
+
     // Generate placement report CSV
     generatePlacementReportCSV(reportData) {
-        const headers = [
-            'Placement ID', 'Student Name', 'Student ID', 'Department', 'CGPA',
-            'Company Name', 'Position', 'Package (LPA)', 'Status', 'Application Date', 'Interview Date'
-        ];
+        const columns = this.placementReportColumns();
+        const headers = columns.map(column => column.header);
         
-        const rows = reportData.map(item => [
-            item.placementId, item.studentName, item.studentId, item.department, item.cgpa,
-            item.companyName, item.position, item.packageOffered, item.status, 
-            item.applicationDate, item.interviewDate
-        ]);
+        const rows = reportData.map(item => columns.map(column => item[column.field]));
+        
+        return csvCodec.stringify([headers, ...rows]);
+    }
+
+    // Generate placement report workbook (Blob) - "TBD" packages and "N/A" dates stay as text
+    generatePlacementReportXLSX(reportData) {
+        const columns = this.placementReportColumns();
         
-        return [headers, ...rows]
-            .map(row => row.map(field => `"${field}"`).join(','))
-            .join('\n');
+        return xlsxWriter.build([{
+            name: 'Placement Report',
+            title: `Placement Report - ${new Date().toISOString().split('T')[0]}`,
+            columns,
+            rows: reportData.map(item => columns.map(column => item[column.field]))
+        }]);
     }
 
     // Download CSV file
     downloadCSV(csvContent, fileName) {
-        const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
+        this.downloadBlob(csvCodec.toBlob(csvContent), fileName);
+    }
+
+    downloadBlob(blob, fileName) {
         const link = document.createElement('a');
         
         if (link.download !== undefined) {
@@ -1196,6 +1634,7 @@ window.togglePlacementForm = function() {
 window.resetForm = function() {
     const forms = document.querySelectorAll('form');
     forms.forEach(form => {
+        placementApp.stopEditing(form);
         if (window.validationSystem) {
             validationSystem.resetForm(form);
         } else {
@@ -1206,6 +1645,7 @@ window.resetForm = function() {
 
 window.resetCompanyForm = function() {
     const form = document.getElementById('companyForm');
+    placementApp.stopEditing(form);
     if (form && window.validationSystem) {
         validationSystem.resetForm(form);
     }
@@ -1213,6 +1653,7 @@ window.resetCompanyForm = function() {
 
 window.resetPlacementForm = function() {
     const form = document.getElementById('placementForm');
+    placementApp.stopEditing(form);
     if (form && window.validationSystem) {
         validationSystem.resetForm(form);
     }
@@ -1264,25 +1705,13 @@ window.importFromGoogleSheets = async function() {
 window.distributeStudentData = async function() {
     try {
         const activeCompanies = placementApp.companiesData.filter(c => c.status === 'Active');
-        const activeStudents = placementApp.studentsData.filter(s => s.status === 'Active');
         
         if (activeCompanies.length === 0) {
             placementApp.showNotification('No active companies found', 'warning');
             return;
         }
         
-        if (activeStudents.length === 0) {
-            placementApp.showNotification('No active students found', 'warning');
-            return;
-        }
-        
-        const companyIds = activeCompanies.map(c => c.companyId);
-        await googleSheetsAPI.distributeDataToCompanies(activeStudents, companyIds);
-        
-        placementApp.showNotification(
-            `Student data distributed to ${activeCompanies.length} companies successfully`, 
-            'success'
-        );
+        await placementApp.previewAndDistribute(activeCompanies);
         
     } catch (error) {
         console.error('Error distributing student data:', error);
@@ -1290,28 +1719,25 @@ window.distributeStudentData = async function() {
     }
 };
 
-window.exportAllStudents = function() {
-    placementApp.exportAllStudents();
+window.exportAllStudents = function(format) {
+    placementApp.exportAllStudents(format);
 };
 
-window.exportCompanyData = function() {
-    try {
-        const csvContent = placementApp.generateCompanyCSV();
-        placementApp.downloadCSV(csvContent, 'company_data.csv');
-    } catch (error) {
-        console.error('Error exporting company data:', error);
-        placementApp.showNotification('Failed to export company data', 'error');
-    }
+window.exportCompanyData = function(format) {
+    placementApp.exportCompanyData(format);
 };
 
-window.generatePlacementReport = function() {
-    placementApp.generatePlacementReport();
+window.generatePlacementReport = function(format) {
+    placementApp.generatePlacementReport(format);
 };
 
 window.syncWithGoogleSheets = async function() {
     try {
-        // Sync placements with Google Sheets (simulation)
-        placementApp.showNotification('Placement data synced with Google Sheets', 'success');
+        const result = await placementApp.syncPlacementsWithGoogleSheets();
+        placementApp.showNotification(
+            `Placement data synced with Google Sheets: ${result.pushed} uploaded, ${result.total} records loaded`, 
+            'success'
+        );
     } catch (error) {
         console.error('Error syncing with Google Sheets:', error);
         placementApp.showNotification('Failed to sync with Google Sheets', 'error');
@@ -1344,6 +1770,10 @@ window.viewCompany = function(companyId) {
     placementApp.viewCompany(companyId);
 };
 
+window.deleteCompany = function(companyId) {
+    placementApp.deleteCompany(companyId);
+};
+
 window.sendStudentData = function(companyId) {
     placementApp.sendStudentDataToCompany(companyId);
 };
@@ -1393,6 +1823,26 @@ const additionalCSS = `
     gap: 1rem;
 }
 
+.distribution-history-title {
+    margin: 1.5rem 0 0.75rem;
+}
+
+.distribution-history {
+    width: 100%;
+    font-size: 0.9rem;
+}
+
+.distribution-history-empty {
+    color: #666;
+}
+
+.top-matches-export {
+    float: right;
+    margin-left: 6px;
+    padding: 4px 12px;
+    font-size: 0.85rem;
+}
+
 .detail-item {
     display: flex;
     justify-content: space-between;
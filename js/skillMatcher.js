@@ -0,0 +1,186 @@
+// Skill Matcher for Company Shortlists
+// Reads the free-text student skills and company requirements, folds synonyms
+// ("JS", "ES6" -> JavaScript; "ReactJS" -> React) onto one name, and scores how
+// well each eligible student covers what a company asks for
+
+class SkillMatcher {
+    constructor() {
+        // Canonical skill name -> other ways people write it
+        this.synonyms = {
+            'JavaScript': ['js', 'es6', 'ecmascript', 'java script'],
+            'TypeScript': ['ts'],
+            'React': ['reactjs', 'react.js', 'react js'],
+            'Angular': ['angularjs', 'angular.js'],
+            'Vue': ['vuejs', 'vue.js'],
+            'Node.js': ['node', 'nodejs', 'node js'],
+            'Express': ['expressjs', 'express.js'],
+            'HTML': ['html5'],
+            'CSS': ['css3'],
+            'Python': ['py', 'python3'],
+            'Java': ['core java', 'j2ee'],
+            'Spring': ['spring boot', 'springboot'],
+            'C++': ['cpp', 'c plus plus'],
+            'C#': ['csharp', 'c sharp'],
+            '.NET': ['dotnet', 'asp.net'],
+            'Go': ['golang'],
+            'SQL': ['mysql', 'sql server', 'tsql'],
+            'PostgreSQL': ['postgres'],
+            'MongoDB': ['mongo'],
+            'Machine Learning': ['ml'],
+            'Artificial Intelligence': ['ai'],
+            'Deep Learning': ['dl'],
+            'Data Analysis': ['data analytics'],
+            'Data Science': [],
+            'Statistics': ['stats'],
+            'Excel': ['ms excel', 'microsoft excel'],
+            'Power BI': ['powerbi'],
+            'Tableau': [],
+            'AWS': ['amazon web services'],
+            'Azure': ['microsoft azure'],
+            'GCP': ['google cloud'],
+            'Docker': [],
+            'Kubernetes': ['k8s'],
+            'Git': ['github', 'gitlab'],
+            'Linux': ['unix'],
+            'REST': ['rest api', 'rest apis', 'restful', 'restful api', 'restful apis'],
+            'Embedded Systems': ['embedded'],
+            'VLSI': [],
+            'MATLAB': [],
+            'AutoCAD': ['auto cad'],
+            'SolidWorks': ['solid works'],
+            'ANSYS': [],
+            'Project Management': ['pm'],
+            'Financial Modeling': ['financial modelling']
+        };
+
+        // Where a company states what it wants, and how much each source counts
+        this.sourceWeights = {
+            requiredSkills: 3,
+            requirements: 2,
+            jobDescription: 1
+        };
+
+        this.shortlistSize = 20; // Students shown and exported as a company's top matches
+
+        // Spellings that are ordinary words in a sentence - only read from skill lists
+        this.listOnly = ['go', 'pm', 'py', 'ts', 'dl', 'rest', 'stats', 'express', 'spring', 'embedded'];
+
+        // Requirement items like "Strong analytical skills" describe, rather than name, a skill
+        this.fillerWords = /\b(and|or|with|in|of|skills?|experience|knowledge|strong|good|excellent|understanding|ability)\b/i;
+
+        // ... and items like "B.Tech CSE" or "CGPA 7+" are eligibility criteria
+        this.criteriaWords = /\b(b\.?\s?tech|m\.?\s?tech|b\.?e|m\.?e|b\.?sc|m\.?sc|bca|mca|bba|mba|cse|ece|eee|degree|graduates?|cgpa|gpa|percentage|backlogs?)\b/i;
+
+        // Spelling (lower case) -> canonical name
+        this.lookup = new Map();
+        Object.entries(this.synonyms).forEach(([name, aliases]) => {
+            [name, ...aliases].forEach(alias => this.lookup.set(alias.toLowerCase(), name));
+        });
+
+        // Longest spellings first, so "sql server" is read once and not again as "sql"
+        this.patterns = Array.from(this.lookup.keys())
+            .filter(alias => !this.listOnly.includes(alias))
+            .sort((a, b) => b.length - a.length)
+            .map(alias => ({ alias, pattern: new RegExp(`(^|[^a-z0-9+#.])${this.escapeRegExp(alias)}(?=$|[^a-z0-9+#])`, 'i') }));
+    }
+
+    // One skill as its canonical name - unknown skills keep their own wording
+    normalize(skill) {
+        const text = String(skill || '').trim().replace(/\s+/g, ' ').replace(/[.;:]+$/, '');
+        if (!text) return '';
+
+        return this.lookup.get(text.toLowerCase()) || text;
+    }
+
+    // A skills list ("JS, ReactJS / Node") as distinct canonical names
+    tokenize(value) {
+        const items = Array.isArray(value) ? value : String(value || '').split(/[,;\/|\n]|\band\b/i);
+        const skills = items.map(item => this.normalize(item)).filter(Boolean);
+        return Array.from(new Map(skills.map(skill => [skill.toLowerCase(), skill])).values());
+    }
+
+    // Known skills mentioned anywhere in a piece of prose
+    extract(text) {
+        let remaining = String(text || '');
+        const found = [];
+
+        this.patterns.forEach(({ alias, pattern }) => {
+            if (pattern.test(remaining)) {
+                const name = this.lookup.get(alias);
+                if (!found.includes(name)) found.push(name);
+                remaining = remaining.replace(new RegExp(pattern.source, 'gi'), '$1 ');
+            }
+        });
+
+        return found;
+    }
+
+    // What a company asks for - [{ skill, weight }]. Short comma-separated items in
+    // Requirements count as skills when they are known spellings or read like skill names
+    requirementsFor(company) {
+        const weights = new Map();
+        const add = (skill, weight) => {
+            const key = skill.toLowerCase();
+            if (!weights.has(key) || weights.get(key).weight < weight) {
+                weights.set(key, { skill, weight });
+            }
+        };
+
+        this.tokenize(company.requiredSkills).forEach(skill => add(skill, this.sourceWeights.requiredSkills));
+
+        const requirements = String(company.requirements || '');
+        this.extract(requirements).forEach(skill => add(skill, this.sourceWeights.requirements));
+        requirements.split(/[,;\n]/)
+            .map(item => item.trim())
+            .filter(item => item && item.split(/\s+/).length <= 3 && this.isSkillItem(item))
+            .forEach(item => add(this.normalize(item), this.sourceWeights.requirements));
+
+        this.extract(company.jobDescription).forEach(skill => add(skill, this.sourceWeights.jobDescription));
+
+        return Array.from(weights.values());
+    }
+
+    // A Requirements item outside the synonym list is taken as a skill only without
+    // filler words, numbers or degree names
+    isSkillItem(item) {
+        if (this.lookup.has(this.normalize(item).toLowerCase())) return true;
+        return !this.fillerWords.test(item) && !/\d/.test(item) && !this.criteriaWords.test(item);
+    }
+
+    // How well a student covers a company's requirements. Returns
+    // { score (0-100), matched, missing }; a company asking for nothing scores everyone 0
+    score(student, company, requirements = this.requirementsFor(company)) {
+        const skills = new Set(this.tokenize(student.skills).map(skill => skill.toLowerCase()));
+        const total = requirements.reduce((sum, requirement) => sum + requirement.weight, 0);
+        const matched = requirements.filter(requirement => skills.has(requirement.skill.toLowerCase()));
+        const earned = matched.reduce((sum, requirement) => sum + requirement.weight, 0);
+
+        return {
+            score: total === 0 ? 0 : Math.round((earned / total) * 100),
+            matched: matched.map(requirement => requirement.skill),
+            missing: requirements.filter(requirement => !matched.includes(requirement)).map(requirement => requirement.skill)
+        };
+    }
+
+    // Eligible students ranked for a company - best skill match first, then higher CGPA.
+    // Returns [{ rank, student, score, matched, missing }], at most `limit` entries
+    rank(company, students, { context = {}, limit = Infinity } = {}) {
+        const requirements = this.requirementsFor(company);
+
+        return eligibilityEngine.eligibleStudents(company, students, context)
+            .map(student => ({ student, ...this.score(student, company, requirements) }))
+            .sort((a, b) => b.score - a.score || (parseFloat(b.student.cgpa) || 0) - (parseFloat(a.student.cgpa) || 0))
+            .slice(0, limit)
+            .map((entry, index) => ({ rank: index + 1, ...entry }));
+    }
+
+    escapeRegExp(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+}
+
+// Initialize skill matcher
+const skillMatcher = new SkillMatcher();
+
+// Export for global access
+window.skillMatcher = skillMatcher;
@@ -0,0 +1,559 @@
+// Offline Write Queue for Google Sheets Mutations
+// Writes that can't reach Sheets wait in a persistent outbox and replay in order
+// once the connection is back, so entries made during a Wi-Fi drop aren't lost
+
+class SyncQueue {
+    constructor() {
+        const queueConfig = (window.APP_CONFIG && APP_CONFIG.app.offlineQueue) || {};
+
+        this.storageKey = 'sync_outbox';
+        this.lockKey = 'sync_outbox_lock';
+        this.lockTimeout = 30000;
+        this.replayInterval = queueConfig.replayInterval || 60000;
+        this.maxAttempts = queueConfig.maxAttempts || 10;
+        this.tabId = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+        this.senders = {};
+        this.replaying = false;
+
+        // Queueable Sheets mutations and the records they touch
+        this.mutations = {
+            addStudent: { collection: 'students', kind: 'create', label: 'Add student' },
+            updateStudent: { collection: 'students', kind: 'update', label: 'Update student' },
+            deleteStudent: { collection: 'students', kind: 'delete', label: 'Remove student' },
+            batchUpdateStudents: { collection: 'students', kind: 'batch', label: 'Batch update students' },
+            bulkImportStudents: { collection: 'students', kind: 'createMany', label: 'Import students' },
+            addCompany: { collection: 'companies', kind: 'create', label: 'Add company' },
+            updateCompany: { collection: 'companies', kind: 'update', label: 'Update company' },
+            deleteCompany: { collection: 'companies', kind: 'delete', label: 'Remove company' },
+            addPlacements: { collection: 'placements', kind: 'createMany', label: 'Add placements' },
+            updatePlacement: { collection: 'placements', kind: 'update', label: 'Update placement' },
+            deletePlacement: { collection: 'placements', kind: 'delete', label: 'Delete placement' }
+        };
+
+        this.initialize();
+    }
+
+    initialize() {
+        window.addEventListener('online', () => this.replay());
+
+        // Another tab queued or replayed something
+        window.addEventListener('storage', (e) => {
+            if (e.key === this.storageKey) this.renderBadge();
+        });
+
+        setInterval(() => this.replay(), this.replayInterval);
+
+        document.addEventListener('DOMContentLoaded', () => {
+            this.renderBadge();
+            this.replay();
+        });
+    }
+
+    // Route a Sheets client's mutations through the outbox
+    attach(api) {
+        Object.keys(this.mutations).forEach(method => {
+            this.senders[method] = api[method].bind(api);
+            api[method] = (...args) => this.sendOrQueue(method, args);
+        });
+    }
+
+    async sendOrQueue(method, args) {
+        // Keep order: while older changes are waiting, new ones queue behind them
+        if (navigator.onLine === false || this.hasPending()) {
+            const result = await this.enqueue(method, args);
+            this.replay();
+            return result;
+        }
+
+        try {
+            return await this.senders[method](...args);
+        } catch (error) {
+            if (!this.isRetryable(error)) throw error;
+            return this.enqueue(method, args, error);
+        }
+    }
+
+    // Network failures, timeouts, quota (429) and server errors are worth retrying.
+    // So is a write made while signed out - it waits until someone connects.
+    // Anything else (a bad request, a bug in the write path) is surfaced, not queued
+    isRetryable(error) {
+        if (!error) return false;
+        if (error.authRequired) return true;
+        if (error.name === 'AbortError' || this.isNetworkFailure(error)) return true;
+        return error.status === 408 || error.status === 429 || error.status >= 500;
+    }
+
+    // fetch rejects with a TypeError and no response when the request never got an
+    // answer. Other TypeErrors are programming errors, so a bare one only counts
+    // when httpClient saw it come from fetch or the browser says it is offline
+    isNetworkFailure(error) {
+        if (error.name !== 'TypeError' || error.response) return false;
+        return error.network === true || navigator.onLine === false;
+    }
+
+    async enqueue(method, args, reason = null) {
+        const { collection, kind } = this.mutations[method];
+        const recordIds = this.getRecordIds(method, args);
+
+        // A change to a record that already has one waiting is checked through that earlier entry
+        const follows = this.load().some(entry => entry.collection === collection &&
+            entry.recordIds.some(id => recordIds.includes(id)));
+
+        // Snapshot of the record as last seen, to detect remote edits before replaying
+        const base = !follows && (kind === 'update' || kind === 'delete') ?
+            await dataStore.getLocalCopy(collection, recordIds[0]) : null;
+
+        const entry = {
+            id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+            method,
+            args,
+            collection,
+            kind,
+            recordIds,
+            base,
+            follows,
+            status: 'pending',
+            queuedAt: new Date().toISOString(),
+            attempts: 0,
+            lastError: null
+        };
+
+        this.modify(entries => entries.push(entry));
+        placementApp.showNotification(reason && reason.authRequired ?
+            'Saved locally - connect Google Sheets to sync the change' :
+            'Saved offline - the change will sync to Google Sheets when the connection returns');
+
+        return { queued: true, entryId: entry.id };
+    }
+
+    getRecordIds(method, args) {
+        const { collection, kind } = this.mutations[method];
+        const idField = dataStore.collections[collection].idField;
+
+        switch (kind) {
+            case 'create':
+                return [args[0][idField]];
+            case 'createMany':
+                return args[0].map(record => record[idField]);
+            case 'update':
+            case 'delete':
+                return [args[0]];
+            default:
+                return [];
+        }
+    }
+
+    // Send waiting changes in order. Stops at the first retryable failure so
+    // later changes never overtake earlier ones
+    async replay() {
+        if (this.replaying || navigator.onLine === false || !this.hasPending()) return;
+        if (!this.acquireLock()) return;
+
+        this.replaying = true;
+        let synced = 0;
+
+        try {
+            let entry;
+            while ((entry = this.nextPending())) {
+                try {
+                    if (await this.detectConflict(entry)) continue;
+                    if (entry.kind === 'update') await this.rebaseVersion(entry);
+
+                    await this.senders[entry.method](...entry.args);
+                    this.remove(entry.id);
+                    synced++;
+                    this.acquireLock();
+
+                } catch (error) {
+                    // Nothing can be sent until someone signs in - that isn't a failed attempt
+                    if (error.authRequired) break;
+
+                    const attempts = entry.attempts + 1;
+
+                    if (this.isRetryable(error) && attempts < this.maxAttempts) {
+                        this.patch(entry.id, { attempts, lastError: error.message });
+                        break;
+                    }
+
+                    this.patch(entry.id, { attempts, status: 'failed', lastError: error.message });
+                }
+            }
+        } finally {
+            this.replaying = false;
+            this.releaseLock();
+            this.renderBadge();
+        }
+
+        if (synced > 0) {
+            placementApp.showNotification(`${synced} offline change${synced === 1 ? '' : 's'} synced to Google Sheets`, 'success');
+        }
+    }
+
+    // Oldest pending change whose records aren't held back by an earlier conflict or failure
+    nextPending() {
+        const blocked = new Set();
+
+        for (const entry of this.load()) {
+            const keys = entry.recordIds.map(id => `${entry.collection}:${id}`);
+            if (entry.status === 'pending' && !keys.some(key => blocked.has(key))) return entry;
+            keys.forEach(key => blocked.add(key));
+        }
+
+        return null;
+    }
+
+    // Compare the record in Sheets with what the offline change was based on.
+    // Marks the entry as a conflict (or done) and returns true when it must not be sent
+    async detectConflict(entry) {
+        if (entry.force || entry.follows || entry.kind === 'batch') return false;
+
+        const schemaName = entry.collection;
+
+        if (entry.kind === 'create' || entry.kind === 'createMany') {
+            const records = entry.kind === 'create' ? [entry.args[0]] : entry.args[0];
+
+            for (const record of records) {
+                const idField = dataStore.collections[entry.collection].idField;
+                const remote = await googleSheetsAPI.readRemoteRecord(schemaName, record[idField]);
+                if (!remote) continue;
+
+                // An earlier attempt may have landed before the connection dropped
+                if (records.length === 1 && googleSheetsAPI.diffRecords(schemaName, record, remote).length === 0) {
+                    this.remove(entry.id);
+                    return true;
+                }
+
+                this.markConflict(entry, remote, `${record[idField]} already exists in Google Sheets`);
+                return true;
+            }
+
+            return false;
+        }
+
+        if (!entry.base) return false;
+
+        const remote = await googleSheetsAPI.readRemoteRecord(schemaName, entry.recordIds[0]);
+
+        if (!remote) {
+            if (entry.kind === 'delete' && !(entry.args[1] && entry.args[1].archive)) {
+                this.remove(entry.id); // Already gone
+            } else {
+                this.markConflict(entry, null, 'Removed from Google Sheets by someone else');
+            }
+            return true;
+        }
+
+        const changedFields = googleSheetsAPI.diffRecords(schemaName, entry.base, remote);
+        if (changedFields.length > 0) {
+            this.markConflict(entry, remote, `Changed in Google Sheets since it was edited offline (${changedFields.join(', ')})`);
+            return true;
+        }
+
+        return false;
+    }
+
+    // An update that got this far may overwrite the row, so it is sent against
+    // the row's current version instead of the one it was queued with
+    async rebaseVersion(entry) {
+        const remote = await googleSheetsAPI.readRemoteRecord(entry.collection, entry.recordIds[0]);
+        if (remote && entry.args[1]) {
+            entry.args[1].lastModified = remote.lastModified;
+        }
+    }
+
+    markConflict(entry, remote, reason) {
+        this.patch(entry.id, { status: 'conflict', remote, lastError: reason });
+    }
+
+    // Send a held-back change anyway, overwriting whatever is in Sheets
+    retry(entryId, { force = false } = {}) {
+        this.patch(entryId, { status: 'pending', attempts: 0, force: force || undefined });
+        this.renderBadge();
+        return this.replay();
+    }
+
+    // Merge a conflicting offline edit with the row in Sheets field by field
+    async resolve(entryId) {
+        const entry = this.load().find(item => item.id === entryId);
+        if (!entry || !entry.remote) return;
+
+        const [id, mine] = entry.args;
+        const fields = googleSheetsAPI.conflictFields(entry.collection, mine, entry.remote);
+        let resolved;
+
+        try {
+            resolved = fields.length === 0 ? { ...mine, lastModified: entry.remote.lastModified } :
+                await conflictResolver.resolve({ title: `Edit Conflict - ${id}`, fields, mine, theirs: entry.remote });
+        } catch (error) {
+            if (error.conflict) return; // Cancelled - leave the conflict waiting
+            throw error;
+        }
+
+        if (!resolved) {
+            this.discard(entryId);
+            return;
+        }
+
+        // The row as shown in the dialog becomes the base, so later remote edits are still caught
+        this.patch(entryId, { args: [id, resolved], base: entry.remote });
+        await this.retry(entryId);
+    }
+
+    discard(entryId) {
+        this.remove(entryId);
+        this.renderBadge();
+    }
+
+    // Apply changes still waiting in the outbox on top of records read from Sheets
+    overlay(collection, records) {
+        const entries = this.load().filter(entry => entry.collection === collection);
+        if (entries.length === 0) return records;
+
+        const idField = dataStore.collections[collection].idField;
+        const result = [...records];
+        const upsert = (id, changes) => {
+            const index = result.findIndex(record => record[idField] === id);
+            if (index === -1) {
+                result.push(changes);
+            } else {
+                result[index] = { ...result[index], ...changes };
+            }
+        };
+
+        entries.forEach(entry => {
+            const [first, second] = entry.args;
+
+            switch (entry.kind) {
+                case 'create':
+                    upsert(first[idField], first);
+                    break;
+                case 'createMany':
+                    first.forEach(record => upsert(record[idField], record));
+                    break;
+                case 'update':
+                    upsert(first, second);
+                    break;
+                case 'delete':
+                    if (second && second.archive) {
+                        upsert(first, { status: validationRules.archivedStatus });
+                    } else {
+                        const index = result.findIndex(record => record[idField] === first);
+                        if (index !== -1) result.splice(index, 1);
+                    }
+                    break;
+            }
+        });
+
+        return result;
+    }
+
+    hasPending() {
+        return this.load().some(entry => entry.status === 'pending');
+    }
+
+    // Outbox persistence - always re-read so several open tabs share one queue
+    load() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+        } catch (error) {
+            console.error('Corrupt offline outbox in localStorage:', error);
+            return [];
+        }
+    }
+
+    modify(change) {
+        const entries = this.load();
+        change(entries);
+        localStorage.setItem(this.storageKey, JSON.stringify(entries));
+        this.renderBadge();
+    }
+
+    patch(entryId, changes) {
+        this.modify(entries => {
+            const entry = entries.find(item => item.id === entryId);
+            if (entry) Object.assign(entry, changes);
+        });
+    }
+
+    remove(entryId) {
+        this.modify(entries => {
+            const index = entries.findIndex(item => item.id === entryId);
+            if (index !== -1) entries.splice(index, 1);
+        });
+    }
+
+    // Only one tab replays at a time; a stale lock from a closed tab expires
+    acquireLock() {
+        const lock = JSON.parse(localStorage.getItem(this.lockKey) || 'null');
+
+        if (lock && lock.tabId !== this.tabId && Date.now() - lock.at < this.lockTimeout) {
+            return false;
+        }
+
+        localStorage.setItem(this.lockKey, JSON.stringify({ tabId: this.tabId, at: Date.now() }));
+        return true;
+    }
+
+    releaseLock() {
+        const lock = JSON.parse(localStorage.getItem(this.lockKey) || 'null');
+        if (lock && lock.tabId === this.tabId) {
+            localStorage.removeItem(this.lockKey);
+        }
+    }
+
+    // Pending-changes badge in the page header
+    renderBadge() {
+        const header = document.querySelector('.header .container');
+        if (!header) return;
+
+        const entries = this.load();
+        let badge = document.getElementById('syncBadge');
+
+        if (entries.length === 0) {
+            if (badge) badge.remove();
+            return;
+        }
+
+        if (!badge) {
+            badge = document.createElement('button');
+            badge.id = 'syncBadge';
+            badge.className = 'sync-badge';
+            badge.addEventListener('click', () => this.showOutbox());
+            header.appendChild(badge);
+        }
+
+        const pending = entries.filter(entry => entry.status === 'pending').length;
+        const attention = entries.length - pending;
+
+        badge.classList.toggle('needs-attention', attention > 0);
+        badge.title = 'Changes waiting to sync to Google Sheets';
+        badge.innerHTML = `
+            <i class="fas fa-cloud-upload-alt"></i> ${pending} pending
+            ${attention > 0 ? `<span class="sync-badge-alert">${attention} need attention</span>` : ''}
+        `;
+    }
+
+    // List waiting changes with actions for conflicts and failures
+    showOutbox() {
+        const entries = this.load();
+        const modal = placementApp.createModal('Pending Changes', `
+            <div class="sync-outbox">
+                ${entries.length === 0 ? '<p>Everything is synced.</p>' : entries.map(entry => `
+                    <div class="sync-entry sync-entry-${entry.status}">
+                        <div>
+                            <strong>${this.mutations[entry.method].label}</strong>
+                            ${entry.recordIds.length > 0 ? `<span>${entry.recordIds.join(', ')}</span>` : ''}
+                            <small>Queued ${new Date(entry.queuedAt).toLocaleString()} - ${entry.status}</small>
+                            ${entry.lastError ? `<small class="sync-entry-error">${entry.lastError}</small>` : ''}
+                        </div>
+                        ${entry.status === 'pending' ? '' : `
+                            <div class="sync-entry-actions">
+                                ${entry.status === 'conflict' && entry.kind === 'update' && entry.remote ? `
+                                    <button type="button" class="btn btn-sm btn-primary" data-action="resolve" data-entry="${entry.id}">Resolve</button>
+                                ` : ''}
+                                <button type="button" class="btn btn-sm btn-primary" data-action="apply" data-entry="${entry.id}" data-status="${entry.status}">
+                                    ${entry.status === 'conflict' ? 'Overwrite Sheets' : 'Retry'}
+                                </button>
+                                <button type="button" class="btn btn-sm btn-secondary" data-action="discard" data-entry="${entry.id}">Discard</button>
+                            </div>
+                        `}
+                    </div>
+                `).join('')}
+            </div>
+            <div class="form-actions">
+                <button type="button" class="btn btn-primary" data-action="sync">
+                    <i class="fas fa-sync"></i> Sync Now
+                </button>
+            </div>
+        `);
+
+        modal.querySelectorAll('[data-action]').forEach(button => {
+            button.addEventListener('click', async () => {
+                const { action, entry, status } = button.dataset;
+                modal.remove();
+
+                if (action === 'apply') {
+                    // Conflicts are overwritten as-is; failures go through the checks again
+                    await this.retry(entry, { force: status === 'conflict' });
+                } else if (action === 'resolve') {
+                    await this.resolve(entry);
+                } else if (action === 'discard') {
+                    this.discard(entry);
+                } else {
+                    await this.replay();
+                }
+
+                if (action !== 'sync' || this.load().length > 0) this.showOutbox();
+            });
+        });
+
+        document.body.appendChild(modal);
+    }
+}
+
+// Add CSS for the pending-changes badge and outbox
+const syncQueueCSS = `
+.sync-badge {
+    display: flex;
+    align-items: center;
+    gap: 8px;
+    padding: 6px 12px;
+    border: none;
+    border-radius: 20px;
+    background: rgba(255,255,255,0.2);
+    color: white;
+    cursor: pointer;
+    font-size: 0.9rem;
+}
+
+.sync-badge.needs-attention {
+    background: #ffc107;
+    color: #212529;
+}
+
+.sync-badge-alert {
+    font-weight: 600;
+}
+
+.sync-entry {
+    display: flex;
+    justify-content: space-between;
+    align-items: center;
+    gap: 1rem;
+    padding: 0.8rem;
+    margin-bottom: 0.5rem;
+    background: #f8f9fa;
+    border-radius: 5px;
+    border-left: 3px solid #667eea;
+}
+
+.sync-entry small {
+    display: block;
+    color: #6c757d;
+}
+
+.sync-entry-conflict,
+.sync-entry-failed {
+    border-left-color: #dc3545;
+}
+
+.sync-entry .sync-entry-error {
+    color: #721c24;
+}
+
+.sync-entry-actions {
+    display: flex;
+    gap: 0.5rem;
+}
+`;
+
+const syncQueueStyle = document.createElement('style');
+syncQueueStyle.textContent = syncQueueCSS;
+document.head.appendChild(syncQueueStyle);
+
+// Initialize offline queue and route Sheets writes through it
+const syncQueue = new SyncQueue();
+syncQueue.attach(googleSheetsAPI);
+
+// Export for global access
+window.syncQueue = syncQueue;
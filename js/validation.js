@@ -3,47 +3,8 @@
 
 class ValidationSystem {
     constructor() {
-        this.rules = {
-            studentId: {
-                required: true,
-                pattern: /^[A-Z]{2}-\d{4}-\d{3}$/,
-                message: 'Student ID format: XX-YYYY-XXX (e.g., CS-2023-001)'
-            },
-            fullName: {
-                required: true,
-                minLength: 2,
-                maxLength: 50,
-                pattern: /^[a-zA-Z\s]+$/,
-                message: 'Name should contain only letters and spaces'
-            },
-            email: {
-                required: true,
-                pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
-                message: 'Please enter a valid email address'
-            },
-            phone: {
-                required: true,
-                pattern: /^[\+]?[1-9][\d]{9,14}$/,
-                message: 'Please enter a valid phone number'
-            },
-            cgpa: {
-                required: true,
-                min: 0,
-                max: 10,
-                step: 0.01,
-                message: 'CGPA must be between 0.00 and 10.00'
-            },
-            companyId: {
-                required: true,
-                pattern: /^COMP-\d{3}$/,
-                message: 'Company ID format: COMP-XXX (e.g., COMP-001)'
-            },
-            packageOffered: {
-                min: 0,
-                max: 100,
-                message: 'Package should be between 0 and 100 LPA'
-            }
-        };
+        // Field rules are shared with the API server (js/validationRules.js)
+        this.rules = validationRules.rules;
         
         this.initializeValidation();
     }
@@ -61,6 +22,9 @@ class ValidationSystem {
         const forms = document.querySelectorAll('form');
         
         forms.forEach(form => {
+            // Record forms are validated by the submission pipeline (formPipeline.js)
+            if (window.formPipeline && formPipeline.isRegistered(form)) return;
+            
             form.addEventListener('submit', (e) => {
                 e.preventDefault();
                 this.validateForm(form);
@@ -139,12 +103,10 @@ class ValidationSystem {
             // Show checking indicator
             this.showFieldLoading(field, true);
             
-            // Simulate API call to check uniqueness
-            // In real implementation, this would call Google Sheets API
-            const existingStudents = JSON.parse(localStorage.getItem('students') || '[]');
-            const exists = existingStudents.some(student => student.studentId === studentId);
-            
-            await this.delay(500); // Simulate network delay
+            // Check against the configured data store
+            const existingStudents = await dataStore.list('students');
+            const exists = existingStudents.some(student => student.studentId === studentId &&
+                student.studentId !== this.getEditingId(field.form));
             
             this.showFieldLoading(field, false);
             
@@ -182,11 +144,10 @@ class ValidationSystem {
         try {
             this.showFieldLoading(field, true);
             
-            // Simulate API call
-            const existingStudents = JSON.parse(localStorage.getItem('students') || '[]');
-            const exists = existingStudents.some(student => student.email === email);
-            
-            await this.delay(300);
+            // The student being edited may keep their own email
+            const existingStudents = await dataStore.list('students');
+            const exists = existingStudents.some(student => student.email === email &&
+                student.studentId !== this.getEditingId(field.form));
             
             this.showFieldLoading(field, false);
             
@@ -371,43 +332,13 @@ class ValidationSystem {
         
         if (!value) return true; // Skip other validations if field is empty and not required
         
-        // Pattern validation
-        if (rule.pattern && !rule.pattern.test(value)) {
-            this.showFieldError(field, rule.message);
-            return false;
-        }
-        
-        // Length validation
-        if (rule.minLength && value.length < rule.minLength) {
-            this.showFieldError(field, `Minimum ${rule.minLength} characters required`);
-            return false;
-        }
-        
-        if (rule.maxLength && value.length > rule.maxLength) {
-            this.showFieldError(field, `Maximum ${rule.maxLength} characters allowed`);
+        // Pattern, length and range checks
+        const message = validationRules.check(fieldName, value);
+        if (message) {
+            this.showFieldError(field, message);
             return false;
         }
         
-        // Numeric validation
-        if (rule.min !== undefined || rule.max !== undefined) {
-            const numValue = parseFloat(value);
-            
-            if (isNaN(numValue)) {
-                this.showFieldError(field, 'Please enter a valid number');
-                return false;
-            }
-            
-            if (rule.min !== undefined && numValue < rule.min) {
-                this.showFieldError(field, `Minimum value is ${rule.min}`);
-                return false;
-            }
-            
-            if (rule.max !== undefined && numValue > rule.max) {
-                this.showFieldError(field, `Maximum value is ${rule.max}`);
-                return false;
-            }
-        }
-        
         // Field passed validation
         this.showFieldSuccess(field);
         return true;
@@ -437,9 +368,7 @@ class ValidationSystem {
             isValid = this.validatePlacementForm(form) && isValid;
         }
         
-        if (isValid) {
-            this.submitForm(form);
-        } else {
+        if (!isValid) {
             this.showFormError(form, 'Please correct the errors above');
             this.focusFirstError(form);
         }
@@ -447,13 +376,35 @@ class ValidationSystem {
         return isValid;
     }
 
+    // Full check before a save - the form rules plus the async uniqueness checks
+    async validateSubmission(form) {
+        if (!this.validateForm(form)) return false;
+        
+        if (form.id === 'studentForm') {
+            const studentIdField = form.querySelector('#studentId');
+            const emailField = form.querySelector('#email');
+            const checks = await Promise.all([
+                studentIdField ? this.checkStudentIdUniqueness(studentIdField, studentIdField.value.trim()) : true,
+                emailField ? this.checkEmailUniqueness(emailField, emailField.value.trim()) : true
+            ]);
+            
+            if (checks.includes(false)) {
+                this.showFormError(form, 'Please correct the errors above');
+                this.focusFirstError(form);
+                return false;
+            }
+        }
+        
+        return true;
+    }
+
     // Student form specific validation
     validateStudentForm(form) {
         let isValid = true;
         
         // Check if resume is uploaded
         const resumeField = form.querySelector('#resume');
-        if (resumeField && resumeField.files.length === 0) {
+        if (resumeField && resumeField.files.length === 0 && !this.getEditingId(form)) {
             this.showFieldError(resumeField, 'Resume is required');
             isValid = false;
         }
@@ -537,6 +488,24 @@ class ValidationSystem {
             }
         }
         
+        // A new placement must meet the company's eligibility criteria
+        const studentField = form.querySelector('#studentSelect, #studentSelectNew');
+        const companyField = form.querySelector('#companySelect, #companySelectNew');
+        
+        if (studentField && companyField && !this.getEditingId(form) && typeof placementApp !== 'undefined') {
+            const student = placementApp.studentsData.find(s => s.studentId === studentField.value);
+            const company = placementApp.companiesData.find(c => c.companyId === companyField.value);
+            
+            if (student && company) {
+                const evaluation = eligibilityEngine.evaluate(student, company, { placements: placementApp.placementsData });
+                
+                if (!evaluation.eligible) {
+                    this.showFieldError(companyField, `Not eligible - ${eligibilityEngine.explain(evaluation)}`);
+                    isValid = false;
+                }
+            }
+        }
+        
         return isValid;
     }
 
@@ -693,122 +662,9 @@ class ValidationSystem {
         }
     }
 
-    // Submit form after validation
-    async submitForm(form) {
-        try {
-            const formData = new FormData(form);
-            const data = Object.fromEntries(formData.entries());
-            
-            // Show success message
-            this.showFormSuccess(form, 'Form submitted successfully!');
-            
-            // Handle different form types
-            if (form.id === 'studentForm') {
-                await this.handleStudentSubmission(data, form);
-            } else if (form.id === 'companyForm') {
-                await this.handleCompanySubmission(data, form);
-            } else if (form.id === 'placementForm') {
-                await this.handlePlacementSubmission(data, form);
-            }
-            
-        } catch (error) {
-            console.error('Error submitting form:', error);
-            this.showFormError(form, 'Failed to submit form. Please try again.');
-        }
-    }
-
-    // Handle student form submission
-    async handleStudentSubmission(data, form) {
-        try {
-            // Add to Google Sheets
-            await googleSheetsAPI.addStudent(data);
-            
-            // Save to local storage as backup
-            const students = JSON.parse(localStorage.getItem('students') || '[]');
-            students.push(data);
-            localStorage.setItem('students', JSON.stringify(students));
-            
-            // Auto-distribute to eligible companies
-            await googleSheetsAPI.autoDistributeToEligibleCompanies(data);
-            
-            // Reset form
-            this.resetForm(form);
-            
-            // Hide form
-            const formSection = document.getElementById('student-form');
-            if (formSection) {
-                formSection.style.display = 'none';
-            }
-            
-            // Refresh student table
-            this.refreshStudentTable();
-            
-        } catch (error) {
-            console.error('Error handling student submission:', error);
-            this.showFormError(form, 'Failed to save student data');
-        }
-    }
-
-    // Handle company form submission
-    async handleCompanySubmission(data, form) {
-        try {
-            // Add to Google Sheets
-            await googleSheetsAPI.addCompany(data);
-            
-            // Save to local storage as backup
-            const companies = JSON.parse(localStorage.getItem('companies') || '[]');
-            companies.push(data);
-            localStorage.setItem('companies', JSON.stringify(companies));
-            
-            // Reset form
-            this.resetForm(form);
-            
-            // Hide form
-            const formSection = document.getElementById('company-form');
-            if (formSection) {
-                formSection.style.display = 'none';
-            }
-            
-            // Refresh company table
-            this.refreshCompanyTable();
-            
-        } catch (error) {
-            console.error('Error handling company submission:', error);
-            this.showFormError(form, 'Failed to save company data');
-        }
-    }
-
-    // Handle placement form submission
-    async handlePlacementSubmission(data, form) {
-        try {
-            // Generate placement ID
-            data.placementId = this.generatePlacementId();
-            
-            // Save placement data
-            const placements = JSON.parse(localStorage.getItem('placements') || '[]');
-            placements.push(data);
-            localStorage.setItem('placements', JSON.stringify(placements));
-            
-            // Log activity
-            googleSheetsAPI.logActivity('placement_updated', data.placementId, 
-                `${data.studentId} applied to ${data.companyId}`);
-            
-            // Reset form
-            this.resetForm(form);
-            
-            // Hide form
-            const formSection = document.getElementById('placement-form');
-            if (formSection) {
-                formSection.style.display = 'none';
-            }
-            
-            // Refresh placement table
-            this.refreshPlacementTable();
-            
-        } catch (error) {
-            console.error('Error handling placement submission:', error);
-            this.showFormError(form, 'Failed to save placement data');
-        }
+    // ID of the record a form is editing, or null when it creates a new one
+    getEditingId(form) {
+        return form && form.dataset.mode === 'edit' ? form.dataset.recordId : null;
     }
 
     // Show form success message
@@ -864,28 +720,7 @@ class ValidationSystem {
 
     // Generate unique placement ID
     generatePlacementId() {
-        const placements = JSON.parse(localStorage.getItem('placements') || '[]');
-        const nextId = placements.length + 1;
-        return `PL-${String(nextId).padStart(3, '0')}`;
-    }
-
-    // Refresh data tables
-    refreshStudentTable() {
-        if (typeof loadStudents === 'function') {
-            loadStudents();
-        }
-    }
-
-    refreshCompanyTable() {
-        if (typeof loadCompanies === 'function') {
-            loadCompanies();
-        }
-    }
-
-    refreshPlacementTable() {
-        if (typeof loadPlacements === 'function') {
-            loadPlacements();
-        }
+        return placementApp.nextPlacementId(JSON.parse(localStorage.getItem('placements') || '[]'));
     }
 
     // Initialize form state
@@ -914,6 +749,9 @@ class ValidationSystem {
                         const dept = deptSelect.value;
                         const year = yearSelect.value;
                         
+                        // An existing student's ID is its row key - never regenerate it
+                        if (this.getEditingId(studentIdField.form)) return;
+                        
                         if (dept && year) {
                             const deptCode = this.getDepartmentCode(dept);
                             const students = JSON.parse(localStorage.getItem('students') || '[]');
@@ -0,0 +1,141 @@
+// Field Validation Rules for Student Data Management
+// Shared by the browser forms (js/validation.js) and the API server (server/apiServer.js)
+// so a record is held to the same rules wherever it is saved
+
+class ValidationRules {
+    constructor() {
+        // Status given to archived records instead of removing them
+        this.archivedStatus = 'Archived';
+
+        this.rules = {
+            studentId: {
+                required: true,
+                pattern: /^[A-Z]{2}-\d{4}-\d{3}$/,
+                message: 'Student ID format: XX-YYYY-XXX (e.g., CS-2023-001)'
+            },
+            fullName: {
+                required: true,
+                minLength: 2,
+                maxLength: 50,
+                pattern: /^[a-zA-Z\s]+$/,
+                message: 'Name should contain only letters and spaces'
+            },
+            email: {
+                required: true,
+                pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+                message: 'Please enter a valid email address'
+            },
+            phone: {
+                required: true,
+                pattern: /^[\+]?[1-9][\d]{9,14}$/,
+                message: 'Please enter a valid phone number'
+            },
+            cgpa: {
+                required: true,
+                min: 0,
+                max: 10,
+                step: 0.01,
+                message: 'CGPA must be between 0.00 and 10.00'
+            },
+            backlogs: {
+                pattern: /^\d+$/,
+                max: 50,
+                message: 'Backlogs must be a whole number'
+            },
+            maxBacklogs: {
+                pattern: /^\d+$/,
+                max: 50,
+                message: 'Backlogs allowed must be a whole number'
+            },
+            companyId: {
+                required: true,
+                pattern: /^COMP-\d{3}$/,
+                message: 'Company ID format: COMP-XXX (e.g., COMP-001)'
+            },
+            packageOffered: {
+                min: 0,
+                max: 100,
+                message: 'Package should be between 0 and 100 LPA'
+            }
+        };
+
+        // Fields each record type must carry - rules marked required only apply to these
+        this.requiredFields = {
+            students: ['studentId', 'fullName', 'email'],
+            companies: ['companyId', 'companyName'],
+            placements: ['studentId', 'companyId'],
+            activities: ['type', 'description']
+        };
+    }
+
+    // Check a non-empty value against a field's rule. Returns the error message, or null
+    check(fieldName, value) {
+        const rule = this.rules[fieldName];
+        const text = value === undefined || value === null ? '' : String(value).trim();
+
+        if (!rule || !text) return null;
+
+        if (rule.pattern && !rule.pattern.test(text)) {
+            return rule.message || `Invalid format${rule.example ? ` (e.g., ${rule.example})` : ''}`;
+        }
+
+        if (rule.minLength && text.length < rule.minLength) {
+            return `Minimum ${rule.minLength} characters required`;
+        }
+
+        if (rule.maxLength && text.length > rule.maxLength) {
+            return `Maximum ${rule.maxLength} characters allowed`;
+        }
+
+        if (rule.min !== undefined || rule.max !== undefined) {
+            const number = parseFloat(text);
+
+            if (isNaN(number)) {
+                return 'Please enter a valid number';
+            }
+
+            if (rule.min !== undefined && number < rule.min) {
+                return `Minimum value is ${rule.min}`;
+            }
+
+            if (rule.max !== undefined && number > rule.max) {
+                return `Maximum value is ${rule.max}`;
+            }
+        }
+
+        return null;
+    }
+
+    // Validate a whole record. Returns { field: message } - empty when valid.
+    // onlyFields limits the rule checks to fields being changed, so an update
+    // isn't rejected over an older value it doesn't touch
+    validateRecord(collection, record, { onlyFields = null } = {}) {
+        const errors = {};
+        const isEmpty = value => value === undefined || value === null || String(value).trim() === '';
+
+        (this.requiredFields[collection] || []).forEach(field => {
+            if (isEmpty(record[field])) {
+                errors[field] = `${field} is required`;
+            }
+        });
+
+        Object.keys(record).forEach(field => {
+            if (errors[field] || (onlyFields && !onlyFields.includes(field))) return;
+
+            const message = this.check(field, record[field]);
+            if (message) errors[field] = message;
+        });
+
+        return errors;
+    }
+}
+
+// Initialize shared rules
+const validationRules = new ValidationRules();
+
+// Export for the API server (Node) or for global access in the browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ValidationRules, validationRules };
+} else {
+    window.validationRules = validationRules;
+}
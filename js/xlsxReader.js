@@ -0,0 +1,373 @@
+// XLSX Reader for Bulk Student Uploads
+// Reads an Excel workbook (.xlsx - a zip of XML parts) in the browser, without any
+// library, into rows of cell text. Dates come out as YYYY-MM-DD and numbers as Excel
+// shows them, so a sheet reads the same as the CSV export of it. Legacy .xls files
+// are recognised and refused with a message saying how to convert them
+
+class XlsxReader {
+    constructor() {
+        // First bytes of the file, as hex
+        this.signatures = {
+            zip: '504b0304',
+            ole: 'd0cf11e0' // Excel 97-2003, and password-protected .xlsx
+        };
+
+        // Built-in number formats that display a date or time
+        this.dateFormatIds = [
+            14, 15, 16, 17, 18, 19, 20, 21, 22,
+            27, 28, 29, 30, 31, 32, 33, 34, 35, 36,
+            45, 46, 47,
+            50, 51, 52, 53, 54, 55, 56, 57, 58
+        ];
+    }
+
+    // Read a File or Blob. Returns { sheets: [{ name, hidden, rows }] }
+    async readFile(file) {
+        const buffer = await new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = (e) => resolve(e.target.result);
+            reader.onerror = (e) => reject(e);
+            reader.readAsArrayBuffer(file);
+        });
+
+        return this.read(buffer);
+    }
+
+    // Read a workbook from an ArrayBuffer
+    async read(buffer) {
+        const bytes = new Uint8Array(buffer);
+        const signature = Array.from(bytes.subarray(0, 4)).map(byte => byte.toString(16).padStart(2, '0')).join('');
+
+        if (signature === this.signatures.ole) {
+            throw this.unreadable('This is an Excel 97-2003 (.xls) or password-protected workbook, which can\'t be read here - open it in Excel and save it as .xlsx or CSV');
+        }
+
+        if (signature !== this.signatures.zip) {
+            throw this.unreadable('This file is not an Excel workbook - save it as .xlsx or CSV');
+        }
+
+        const entries = this.readZip(bytes);
+        const part = async (path) => entries.has(path) ? this.inflate(entries.get(path)) : '';
+
+        // The package says where the workbook is - almost always xl/workbook.xml
+        const rootRels = this.relationships(await part('_rels/.rels'), '');
+        const officeDocument = rootRels.find(rel => /\/officeDocument$/.test(rel.type));
+        const workbookPath = officeDocument ? officeDocument.target : 'xl/workbook.xml';
+        const workbookDir = workbookPath.replace(/[^/]*$/, '');
+
+        const workbookXml = await part(workbookPath);
+        if (!workbookXml) {
+            throw this.unreadable('This .xlsx file has no workbook in it - it may be damaged');
+        }
+
+        const rels = this.relationships(await part(`${workbookDir}_rels/${workbookPath.split('/').pop()}.rels`), workbookDir);
+        const target = type => {
+            const rel = rels.find(candidate => candidate.type.endsWith(`/${type}`));
+            return rel ? rel.target : null;
+        };
+
+        const sharedStrings = this.readSharedStrings(await part(target('sharedStrings')));
+        const dateStyles = this.readDateStyles(await part(target('styles')));
+        const workbookPr = this.elements(workbookXml, 'workbookPr')[0];
+        const date1904 = workbookPr ? /^(1|true)$/.test(this.attribute(workbookPr.attrs, 'date1904')) : false;
+
+        const sheets = [];
+
+        for (const sheet of this.elements(workbookXml, 'sheet')) {
+            const rel = rels.find(candidate => candidate.id === this.relationshipId(sheet.attrs));
+            if (!rel) continue;
+
+            const state = this.attribute(sheet.attrs, 'state');
+
+            sheets.push({
+                name: this.decode(this.attribute(sheet.attrs, 'name')),
+                hidden: state === 'hidden' || state === 'veryHidden',
+                rows: this.readRows(await part(rel.target), sharedStrings, dateStyles, date1904)
+            });
+        }
+
+        return { sheets };
+    }
+
+    // Choose the sheet to import. `name` picks one outright; otherwise the first
+    // visible sheet with a row that isHeader(row) accepts, then the first visible sheet with data
+    pickSheet(workbook, { name, isHeader } = {}) {
+        const same = (a, b) => String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+
+        if (name) {
+            const named = workbook.sheets.find(sheet => same(sheet.name, name));
+            if (!named) {
+                throw this.unreadable(`The workbook has no sheet called "${name}" (it has ${workbook.sheets.map(sheet => sheet.name).join(', ')})`);
+            }
+            return named;
+        }
+
+        const candidates = workbook.sheets.filter(sheet => !sheet.hidden &&
+            sheet.rows.some(row => row.some(cell => cell !== '')));
+
+        const withHeader = isHeader && candidates.find(sheet => sheet.rows.some(isHeader));
+
+        if (withHeader) return withHeader;
+        if (candidates.length > 0) return candidates[0];
+
+        throw this.unreadable('The workbook has no data in it');
+    }
+
+    // Zip central directory -> Map of path -> { method, data }
+    readZip(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const names = new TextDecoder('utf-8');
+
+        // End of central directory record - the last thing in the file, before an optional comment
+        let end = -1;
+        for (let offset = bytes.length - 22; offset >= Math.max(0, bytes.length - 65557); offset--) {
+            if (view.getUint32(offset, true) === 0x06054b50) {
+                end = offset;
+                break;
+            }
+        }
+
+        if (end === -1) {
+            throw this.unreadable('This .xlsx file is incomplete or damaged - try saving it again');
+        }
+
+        const count = view.getUint16(end + 10, true);
+        let offset = view.getUint32(end + 16, true);
+        const entries = new Map();
+
+        for (let i = 0; i < count; i++) {
+            if (view.getUint32(offset, true) !== 0x02014b50) {
+                throw this.unreadable('This .xlsx file is damaged - try saving it again');
+            }
+
+            const flags = view.getUint16(offset + 8, true);
+            const method = view.getUint16(offset + 10, true);
+            const compressedSize = view.getUint32(offset + 20, true);
+            const nameLength = view.getUint16(offset + 28, true);
+            const extraLength = view.getUint16(offset + 30, true);
+            const commentLength = view.getUint16(offset + 32, true);
+            const localOffset = view.getUint32(offset + 42, true);
+            const path = names.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+            if (flags & 0x1) {
+                throw this.unreadable('This workbook is encrypted - remove the password in Excel and upload it again');
+            }
+
+            // The local header repeats the name, and its extra field may differ in length
+            const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+
+            entries.set(path, { method, data: bytes.subarray(dataStart, dataStart + compressedSize) });
+            offset += 46 + nameLength + extraLength + commentLength;
+        }
+
+        return entries;
+    }
+
+    // One zip entry as text. Parts are either stored or deflated
+    async inflate({ method, data }) {
+        if (method === 0) {
+            return new TextDecoder('utf-8').decode(data);
+        }
+
+        if (method !== 8) {
+            throw this.unreadable(`This .xlsx file uses an unsupported compression method (${method})`);
+        }
+
+        if (typeof DecompressionStream === 'undefined') {
+            throw this.unreadable('This browser can\'t open .xlsx files - use a current browser or upload a CSV');
+        }
+
+        const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        return new Response(stream).text();
+    }
+
+    // A .rels part -> [{ id, type, target }], with targets resolved against `baseDir`
+    relationships(xml, baseDir) {
+        return this.elements(xml, 'Relationship').map(({ attrs }) => ({
+            id: this.attribute(attrs, 'Id'),
+            type: this.attribute(attrs, 'Type'),
+            target: this.resolvePath(baseDir, this.decode(this.attribute(attrs, 'Target')))
+        }));
+    }
+
+    resolvePath(baseDir, target) {
+        const parts = target.startsWith('/') ? [] : baseDir.split('/').filter(Boolean);
+
+        target.split('/').filter(Boolean).forEach(segment => {
+            if (segment === '..') parts.pop();
+            else if (segment !== '.') parts.push(segment);
+        });
+
+        return parts.join('/');
+    }
+
+    readSharedStrings(xml) {
+        return this.elements(xml, 'si').map(si => this.text(si.inner));
+    }
+
+    // Style index -> true when the cell format displays a date
+    readDateStyles(xml) {
+        const customFormats = new Map(this.elements(xml, 'numFmt').map(({ attrs }) => [
+            Number(this.attribute(attrs, 'numFmtId')),
+            this.decode(this.attribute(attrs, 'formatCode'))
+        ]));
+
+        const cellXfs = this.elements(xml, 'cellXfs')[0];
+        if (!cellXfs) return [];
+
+        return this.elements(cellXfs.inner, 'xf').map(({ attrs }) => {
+            const id = Number(this.attribute(attrs, 'numFmtId'));
+            return customFormats.has(id) ? this.isDateFormat(customFormats.get(id)) : this.dateFormatIds.includes(id);
+        });
+    }
+
+    // A custom format shows a date when it uses d, m, y, h or s outside quoted text,
+    // escapes and [Red]-style sections
+    isDateFormat(code) {
+        const bare = code.replace(/"[^"]*"/g, '').replace(/\\./g, '').replace(/\[[^\]]*\]/g, '').replace(/[_*]./g, '');
+        return !/^general$/i.test(bare.trim()) && /[dmyhs]/i.test(bare);
+    }
+
+    // Sheet XML -> rows of cell text. Row and column gaps are kept, so rows[4][2] is C5
+    readRows(xml, sharedStrings, dateStyles, date1904) {
+        const rows = [];
+
+        this.elements(xml, 'row').forEach(row => {
+            const number = parseInt(this.attribute(row.attrs, 'r'), 10);
+            const index = number > 0 ? number - 1 : rows.length;
+            const cells = [];
+
+            this.elements(row.inner, 'c').forEach(cell => {
+                const ref = this.attribute(cell.attrs, 'r');
+                const column = ref ? this.columnIndex(ref) : cells.length;
+                const value = this.cellValue(cell, sharedStrings, dateStyles, date1904);
+
+                while (cells.length < column) cells.push('');
+                cells[column] = value;
+            });
+
+            while (rows.length < index) rows.push([]);
+            rows[index] = cells;
+        });
+
+        return rows;
+    }
+
+    cellValue(cell, sharedStrings, dateStyles, date1904) {
+        const type = this.attribute(cell.attrs, 't') || 'n';
+        const v = this.elements(cell.inner, 'v')[0];
+        const raw = v ? this.decode(v.inner) : '';
+
+        switch (type) {
+            case 's':
+                return sharedStrings[parseInt(raw, 10)] || '';
+            case 'inlineStr': {
+                const is = this.elements(cell.inner, 'is')[0];
+                return is ? this.text(is.inner) : '';
+            }
+            case 'str':
+                return raw;
+            case 'b':
+                return raw === '1' ? 'TRUE' : raw === '0' ? 'FALSE' : '';
+            case 'e':
+                return ''; // #N/A, #REF! and friends carry no data
+            case 'd': {
+                const [day, time = ''] = raw.split('T');
+                return this.joinDateTime(day, time.replace(/(\.\d+)?(Z|[+-]\d\d:\d\d)?$/, ''));
+            }
+        }
+
+        if (raw === '') return '';
+
+        const style = parseInt(this.attribute(cell.attrs, 's'), 10) || 0;
+        return dateStyles[style] ? this.formatDate(Number(raw), date1904) : this.formatNumber(raw);
+    }
+
+    // Excel stores up to 17 significant digits (8.1999999999999993) but shows 15
+    formatNumber(raw) {
+        const number = Number(raw);
+        return isFinite(number) ? String(Number(number.toPrecision(15))) : raw;
+    }
+
+    // Excel date serial -> YYYY-MM-DD, with HH:MM[:SS] when the cell has a time
+    formatDate(serial, date1904) {
+        if (!isFinite(serial)) return '';
+
+        // The 1900 date system counts a 29 February 1900 that never was
+        const days = date1904 ? serial + 1462 : (serial < 60 ? serial + 1 : serial);
+        const date = new Date(Date.UTC(1899, 11, 30) + Math.round(days * 86400) * 1000);
+        const [day, time] = date.toISOString().split(/T|\./);
+
+        return this.joinDateTime(day, time);
+    }
+
+    // Midnight is left off, and so are zero seconds
+    joinDateTime(day, time) {
+        if (!time || time === '00:00:00') return day;
+        return `${day} ${time.endsWith(':00') ? time.slice(0, 5) : time}`;
+    }
+
+    // "AB12" -> 27
+    columnIndex(ref) {
+        const letters = ref.replace(/[^A-Z]/gi, '').toUpperCase();
+        return letters.split('').reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+    }
+
+    // The text of a shared or inline string - plain, or rich text split into runs.
+    // Phonetic guides (<rPh>) are not part of the value
+    text(xml) {
+        return this.elements(xml.replace(/<(\w+:)?rPh\b[\s\S]*?<\/(\w+:)?rPh>/g, ''), 't')
+            .map(t => this.decode(t.inner))
+            .join('');
+    }
+
+    // Every <tag> in the XML (any namespace prefix) as { attrs, inner }
+    elements(xml, tag) {
+        if (!xml) return [];
+
+        const pattern = new RegExp(`<(?:[\\w.-]+:)?${tag}(?=[\\s/>])([^>]*?)(?:/>|>([\\s\\S]*?)</(?:[\\w.-]+:)?${tag}>)`, 'g');
+        const found = [];
+        let match;
+
+        while ((match = pattern.exec(xml)) !== null) {
+            found.push({ attrs: match[1], inner: match[2] || '' });
+        }
+
+        return found;
+    }
+
+    attribute(attrs, name) {
+        const match = new RegExp(`(?:^|\\s)${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)')`).exec(attrs || '');
+        return match ? (match[1] !== undefined ? match[1] : match[2]) : '';
+    }
+
+    // A sheet's r:id - the namespace prefix isn't always "r"
+    relationshipId(attrs) {
+        const match = /(?:^|\s)[\w.-]+:id\s*=\s*(?:"([^"]*)"|'([^']*)')/.exec(attrs);
+        return match ? (match[1] !== undefined ? match[1] : match[2]) : '';
+    }
+
+    // XML entities, and the _xHHHH_ escapes Excel uses for control characters
+    decode(text) {
+        return String(text || '')
+            .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+            .replace(/&(lt|gt|quot|apos|amp|#\d+|#x[0-9a-f]+);/gi, (entity, name) => {
+                const named = { lt: '<', gt: '>', quot: '"', apos: '\'', amp: '&' }[name.toLowerCase()];
+                if (named) return named;
+                return String.fromCodePoint(name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10));
+            })
+            .replace(/_x([0-9A-F]{4})_/gi, (escape, hex) => String.fromCharCode(parseInt(hex, 16)));
+    }
+
+    unreadable(message) {
+        const error = new Error(message);
+        error.unreadable = true;
+        return error;
+    }
+}
+
+// Initialize XLSX reader
+const xlsxReader = new XlsxReader();
+
+// Export for global access
+window.xlsxReader = xlsxReader;
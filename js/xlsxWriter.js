@@ -0,0 +1,324 @@
+// XLSX Writer for Student, Company and Placement Exports
+// Builds an Excel workbook (.xlsx) in the browser, without any library. Columns are
+// typed, so CGPA and packages arrive as numbers and dates as dates, IDs and phone
+// numbers keep their leading zeros, and the header rows stay frozen while scrolling
+
+class XlsxWriter {
+    constructor() {
+        this.mimeType = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+        // Column type -> cellXfs index in styles.xml (see buildStyles)
+        this.styles = {
+            number: 0,
+            header: 1,
+            text: 2,
+            decimal: 3,
+            integer: 4,
+            date: 5,
+            percent: 6,
+            title: 7
+        };
+
+        this.crcTable = null;
+    }
+
+    // Build a workbook. Each sheet is { name, columns: [{ header, type }], rows, title };
+    // a row is an array of values in column order. type is text (the default), number,
+    // decimal (0.00), integer, percent (a fraction, shown as 85%) or date (YYYY-MM-DD or
+    // a Date). A value that doesn't fit its column's type is written as text.
+    // Returns a Blob
+    build(sheets) {
+        const names = [];
+        sheets.forEach((sheet, index) => names.push(this.sheetName(sheet.name, index, names)));
+
+        const files = [
+            ['[Content_Types].xml', this.buildContentTypes(sheets.length)],
+            ['_rels/.rels', this.xml(`
+                <Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+                    <Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>
+                </Relationships>`)],
+            ['xl/workbook.xml', this.xml(`
+                <workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+                    <sheets>
+                        ${names.map((name, index) => `<sheet name="${this.escape(name)}" sheetId="${index + 1}" r:id="rId${index + 1}"/>`).join('')}
+                    </sheets>
+                </workbook>`)],
+            ['xl/_rels/workbook.xml.rels', this.xml(`
+                <Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+                    ${names.map((name, index) => `<Relationship Id="rId${index + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${index + 1}.xml"/>`).join('')}
+                    <Relationship Id="rId${names.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+                </Relationships>`)],
+            ['xl/styles.xml', this.buildStyles()],
+            ...sheets.map((sheet, index) => [`xl/worksheets/sheet${index + 1}.xml`, this.buildSheet(sheet)])
+        ];
+
+        return new Blob([this.zip(files)], { type: this.mimeType });
+    }
+
+    buildContentTypes(sheetCount) {
+        const sheetOverrides = Array.from({ length: sheetCount }, (_, index) =>
+            `<Override PartName="/xl/worksheets/sheet${index + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`);
+
+        return this.xml(`
+            <Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+                <Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+                <Default Extension="xml" ContentType="application/xml"/>
+                <Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>
+                <Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>
+                ${sheetOverrides.join('')}
+            </Types>`);
+    }
+
+    // Cell formats, in the order of this.styles
+    buildStyles() {
+        return this.xml(`
+            <styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+                <numFmts count="1"><numFmt numFmtId="164" formatCode="yyyy-mm-dd"/></numFmts>
+                <fonts count="2">
+                    <font><sz val="11"/><name val="Calibri"/></font>
+                    <font><b/><sz val="11"/><name val="Calibri"/></font>
+                </fonts>
+                <fills count="3">
+                    <fill><patternFill patternType="none"/></fill>
+                    <fill><patternFill patternType="gray125"/></fill>
+                    <fill><patternFill patternType="solid"><fgColor rgb="FFE3E6FF"/></patternFill></fill>
+                </fills>
+                <borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>
+                <cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>
+                <cellXfs count="8">
+                    <xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>
+                    <xf numFmtId="0" fontId="1" fillId="2" borderId="0" xfId="0" applyFont="1" applyFill="1"/>
+                    <xf numFmtId="49" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+                    <xf numFmtId="2" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+                    <xf numFmtId="1" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+                    <xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+                    <xf numFmtId="9" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+                    <xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>
+                </cellXfs>
+                <cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>
+            </styleSheet>`);
+    }
+
+    // One worksheet. An optional title row goes above the header; both stay frozen
+    buildSheet({ columns, rows, title }) {
+        const lines = [];
+
+        if (title) {
+            lines.push(this.buildRow(lines.length + 1, [this.stringCell(`A${lines.length + 1}`, title, this.styles.title)]));
+        }
+
+        const frozenRows = lines.length + 1;
+        lines.push(this.buildRow(frozenRows, columns.map((column, index) =>
+            this.stringCell(this.cellRef(index, frozenRows), column.header, this.styles.header))));
+
+        rows.forEach(row => {
+            const number = lines.length + 1;
+            lines.push(this.buildRow(number, columns.map((column, index) =>
+                this.cell(this.cellRef(index, number), row[index], column.type))));
+        });
+
+        const widths = columns.map((column, index) => {
+            const longest = rows.slice(0, 200).reduce((max, row) => Math.max(max, this.displayLength(row[index])), 0);
+            return Math.min(50, Math.max(8, String(column.header).length, longest) + 2);
+        });
+
+        return this.xml(`
+            <worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+                <sheetViews>
+                    <sheetView workbookViewId="0">
+                        <pane ySplit="${frozenRows}" topLeftCell="A${frozenRows + 1}" activePane="bottomLeft" state="frozen"/>
+                    </sheetView>
+                </sheetViews>
+                <cols>
+                    ${widths.map((width, index) => `<col min="${index + 1}" max="${index + 1}" width="${width}" customWidth="1"/>`).join('')}
+                </cols>
+                <sheetData>${lines.join('')}</sheetData>
+            </worksheet>`);
+    }
+
+    buildRow(number, cells) {
+        return `<row r="${number}">${cells.join('')}</row>`;
+    }
+
+    // A typed cell, or '' for an empty value
+    cell(ref, value, type = 'text') {
+        if (value === undefined || value === null || value === '') return '';
+
+        if (type === 'date') {
+            const serial = this.dateSerial(value);
+            if (serial !== null) return `<c r="${ref}" s="${this.styles.date}"><v>${serial}</v></c>`;
+
+        } else if (type !== 'text' && this.styles[type] !== undefined) {
+            const number = typeof value === 'number' ? value : String(value).trim();
+            if (typeof number === 'number' ? isFinite(number) : /^-?\d+(\.\d+)?$/.test(number)) {
+                return `<c r="${ref}" s="${this.styles[type]}"><v>${Number(number)}</v></c>`;
+            }
+        }
+
+        // "TBD" in a package column stays readable as text
+        return this.stringCell(ref, Array.isArray(value) ? value.join(', ') : value, this.styles.text);
+    }
+
+    stringCell(ref, value, style) {
+        return `<c r="${ref}" t="inlineStr" s="${style}"><is><t xml:space="preserve">${this.escape(value)}</t></is></c>`;
+    }
+
+    // YYYY-MM-DD (optionally with a time) or a Date -> Excel date serial, or null
+    dateSerial(value) {
+        let time;
+
+        if (value instanceof Date) {
+            time = Date.UTC(value.getFullYear(), value.getMonth(), value.getDate(),
+                value.getHours(), value.getMinutes(), value.getSeconds());
+        } else {
+            const match = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?/.exec(String(value).trim());
+            if (!match) return null;
+
+            const [, year, month, day, hours = 0, minutes = 0, seconds = 0] = match.map(part => part === undefined ? undefined : Number(part));
+            time = Date.UTC(year, month - 1, day, hours, minutes, seconds);
+        }
+
+        if (isNaN(time)) return null;
+
+        // Days since 30 December 1899 - the 1900 date system, including its phantom 29 February
+        return Math.round((time - Date.UTC(1899, 11, 30)) / 1000) / 86400;
+    }
+
+    // Column index and row number -> "B7"
+    cellRef(index, rowNumber) {
+        let letters = '';
+        for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+            letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+        }
+        return `${letters}${rowNumber}`;
+    }
+
+    displayLength(value) {
+        if (value === undefined || value === null) return 0;
+        return (Array.isArray(value) ? value.join(', ') : String(value)).length;
+    }
+
+    // Excel sheet names: at most 31 characters, none of : \ / ? * [ ], unique in any case
+    sheetName(name, index, taken) {
+        const base = String(name || '').replace(/[:\\/?*[\]]/g, ' ').replace(/\s+/g, ' ').trim().slice(0, 31) || `Sheet${index + 1}`;
+        let candidate = base;
+
+        for (let copy = 2; taken.some(existing => existing.toLowerCase() === candidate.toLowerCase()); copy++) {
+            const suffix = ` (${copy})`;
+            candidate = base.slice(0, 31 - suffix.length) + suffix;
+        }
+
+        return candidate;
+    }
+
+    xml(body) {
+        // Only the template's own line breaks and indents go - cell text has none (see escape)
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' + body.trim().replace(/>\s*\n\s*</g, '><');
+    }
+
+    // XML text, minus the control characters XML can't carry. Line breaks are
+    // written as character references
+    escape(value) {
+        return String(value)
+            .replace(/[\x00-\x08\x0b\x0c\x0e-\x1f]/g, '')
+            .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;')
+            .replace(/\r/g, '&#13;').replace(/\n/g, '&#10;');
+    }
+
+    // Zip the parts without compression - [[path, text]] -> Uint8Array
+    zip(files) {
+        const encoder = new TextEncoder();
+        const now = new Date();
+        const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+        const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+        const locals = [];
+        const centrals = [];
+        let offset = 0;
+
+        files.forEach(([path, text]) => {
+            const name = encoder.encode(path);
+            const data = encoder.encode(text);
+            const crc = this.crc32(data);
+
+            const local = new Uint8Array(30 + name.length + data.length);
+            const localView = new DataView(local.buffer);
+            localView.setUint32(0, 0x04034b50, true);
+            localView.setUint16(4, 20, true);          // Version needed
+            localView.setUint16(6, 0x0800, true);      // UTF-8 names
+            localView.setUint16(8, 0, true);           // Stored
+            localView.setUint16(10, dosTime, true);
+            localView.setUint16(12, dosDate, true);
+            localView.setUint32(14, crc, true);
+            localView.setUint32(18, data.length, true);
+            localView.setUint32(22, data.length, true);
+            localView.setUint16(26, name.length, true);
+            local.set(name, 30);
+            local.set(data, 30 + name.length);
+
+            const central = new Uint8Array(46 + name.length);
+            const centralView = new DataView(central.buffer);
+            centralView.setUint32(0, 0x02014b50, true);
+            centralView.setUint16(4, 20, true);        // Version made by
+            centralView.setUint16(6, 20, true);
+            centralView.setUint16(8, 0x0800, true);
+            centralView.setUint16(10, 0, true);
+            centralView.setUint16(12, dosTime, true);
+            centralView.setUint16(14, dosDate, true);
+            centralView.setUint32(16, crc, true);
+            centralView.setUint32(20, data.length, true);
+            centralView.setUint32(24, data.length, true);
+            centralView.setUint16(28, name.length, true);
+            centralView.setUint32(42, offset, true);
+            central.set(name, 46);
+
+            locals.push(local);
+            centrals.push(central);
+            offset += local.length;
+        });
+
+        const centralSize = centrals.reduce((sum, central) => sum + central.length, 0);
+        const end = new Uint8Array(22);
+        const endView = new DataView(end.buffer);
+        endView.setUint32(0, 0x06054b50, true);
+        endView.setUint16(8, files.length, true);
+        endView.setUint16(10, files.length, true);
+        endView.setUint32(12, centralSize, true);
+        endView.setUint32(16, offset, true);
+
+        const parts = [...locals, ...centrals, end];
+        const archive = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+        let position = 0;
+        parts.forEach(part => {
+            archive.set(part, position);
+            position += part.length;
+        });
+
+        return archive;
+    }
+
+    crc32(bytes) {
+        if (!this.crcTable) {
+            this.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                }
+                this.crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xffffffff;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = this.crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+}
+
+// Initialize XLSX writer
+const xlsxWriter = new XlsxWriter();
+
+// Export for global access
+window.xlsxWriter = xlsxWriter;
@@ -0,0 +1,446 @@
+// REST API Service for Students, Companies and Placements
+// A small JSON API over a file-backed store, validated with the same rules as
+// the browser forms (js/validationRules.js). Google Sheets becomes an optional
+// sync target behind it rather than the place every browser writes to.
+//
+//   node server/apiServer.js
+//
+// Then set config.dataSources.primary = 'restApi' (dataSources.restApi.baseUrl points here).
+//
+// Endpoints (collection is students, companies, placements or activities):
+//   GET    /api/health
+//   GET    /api/:collection          ?q=search&sort=-cgpa&page=1&pageSize=20&department=Computer Science&cgpa.min=7
+//   GET    /api/:collection/:id
+//   POST   /api/:collection
+//   PUT    /api/:collection/:id      (PATCH is accepted too - both merge into the stored record)
+//   DELETE /api/:collection/:id      ?archive=true keeps the record with status Archived
+// Activities are append-only: list and create.
+//
+// Updates and deletes that send the lastModified they last saw (in the body or an
+// If-Match header) are rejected with 409 if the record has changed since.
+//
+// Environment:
+//   PORT (4030), API_DATA_DIR (server/data/api)
+//   SHEETS_SPREADSHEET_ID, SHEETS_BASE_URL, SHEETS_ACCESS_TOKEN, SHEETS_API_KEY - see server/sheetsSync.js
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { validationRules } = require('../js/validationRules');
+const { createSheetsSync } = require('./sheetsSync');
+const { sheetLayout } = require('./sheetLayout');
+
+// Collections served under /api - mirrors the collections in js/dataStore.js
+const collections = {
+    students: { idField: 'studentId', unique: ['email'], archivable: true },
+    companies: { idField: 'companyId', archivable: true },
+    placements: { idField: 'placementId', idPrefix: 'PL-', references: { studentId: 'students', companyId: 'companies' } },
+    activities: { appendOnly: true, newestFirst: true, limit: 500 }
+};
+
+// Fields each collection keeps - the columns of its sheet. Anything else a client
+// sends is dropped, as the Sheets sync would never write it
+const collectionFields = Object.values(sheetLayout).reduce((fields, { source, columns }) => {
+    fields[source] = columns.map(([field]) => field);
+    return fields;
+}, {});
+
+const defaultPageSize = 20;
+const maxPageSize = 100;
+const maxBodySize = 1024 * 1024;
+
+// Query parameters that are not field filters
+const reservedParams = ['q', 'sort', 'page', 'pageSize', 'archive'];
+
+function apiError(status, message, details = {}) {
+    const error = new Error(message);
+    error.status = status;
+    error.details = details;
+    return error;
+}
+
+// Case-insensitive comparison of a stored value (string, number or list) with a filter value
+function matchesFilter(value, wanted) {
+    const options = wanted.split(',').map(option => option.trim().toLowerCase());
+    const values = Array.isArray(value) ? value : String(value === undefined || value === null ? '' : value).split(/,\s*/);
+    return values.some(item => options.includes(String(item).trim().toLowerCase()));
+}
+
+function matchesSearch(record, query) {
+    const needle = query.toLowerCase();
+    return Object.values(record).some(value =>
+        (Array.isArray(value) ? value.join(', ') : String(value === null ? '' : value)).toLowerCase().includes(needle));
+}
+
+function compareValues(a, b) {
+    const numberA = parseFloat(a);
+    const numberB = parseFloat(b);
+
+    if (!isNaN(numberA) && !isNaN(numberB) && String(numberA) === String(a).trim() && String(numberB) === String(b).trim()) {
+        return numberA - numberB;
+    }
+
+    return String(a === undefined || a === null ? '' : a).localeCompare(String(b === undefined || b === null ? '' : b));
+}
+
+// The fields of a request body that the collection keeps
+function knownFields(collection, body) {
+    return Object.fromEntries(Object.entries(body).filter(([field]) => collectionFields[collection].includes(field)));
+}
+
+function createApiServer(options = {}) {
+    const dataDir = options.dataDir || path.join(__dirname, 'data', 'api');
+    const samplePath = options.samplePath || path.join(__dirname, '..', 'sample_data.json');
+    const sheets = options.sheets || null; // A sync target from createSheetsSync, or null
+
+    const store = {};
+
+    // Storage - one JSON file per collection, seeded from sample_data.json
+
+    function filePath(collection) {
+        return path.join(dataDir, `${collection}.json`);
+    }
+
+    function load() {
+        let sample = null;
+
+        Object.keys(collections).forEach(collection => {
+            const file = filePath(collection);
+
+            if (fs.existsSync(file)) {
+                store[collection] = JSON.parse(fs.readFileSync(file, 'utf8'));
+                return;
+            }
+
+            sample = sample || JSON.parse(fs.readFileSync(samplePath, 'utf8'));
+            store[collection] = (sample[collection] || []).slice();
+            save(collection);
+        });
+    }
+
+    // Write via a temp file so a crash never leaves half a collection behind
+    function save(collection) {
+        fs.mkdirSync(dataDir, { recursive: true });
+        const file = filePath(collection);
+        fs.writeFileSync(`${file}.tmp`, JSON.stringify(store[collection], null, 2));
+        fs.renameSync(`${file}.tmp`, file);
+    }
+
+    function commit(collection) {
+        const definition = collections[collection];
+        if (definition.limit && store[collection].length > definition.limit) {
+            store[collection].splice(definition.limit);
+        }
+
+        save(collection);
+        if (sheets) sheets.schedule(collection, store[collection]);
+    }
+
+    function find(collection, id) {
+        const idField = collections[collection].idField;
+        const index = store[collection].findIndex(record => String(record[idField]) === id);
+        if (index === -1) throw apiError(404, `No ${collection} record with ID ${id}`);
+        return index;
+    }
+
+    // Next sequential ID for collections that generate their own (PL-001, PL-002, ...)
+    function nextId(collection) {
+        const { idField, idPrefix } = collections[collection];
+        const highest = store[collection].reduce((max, record) => {
+            const number = parseInt(String(record[idField] || '').slice(idPrefix.length), 10);
+            return isNaN(number) ? max : Math.max(max, number);
+        }, 0);
+
+        return `${idPrefix}${String(highest + 1).padStart(3, '0')}`;
+    }
+
+    // Field rules, unique fields and references to other collections
+    function validate(collection, record, { changedFields = null, currentIndex = -1 } = {}) {
+        const definition = collections[collection];
+        const errors = validationRules.validateRecord(collection, record, { onlyFields: changedFields });
+
+        (definition.unique || []).forEach(field => {
+            if (errors[field] || !record[field]) return;
+
+            const taken = store[collection].some((existing, index) => index !== currentIndex &&
+                String(existing[field]).toLowerCase() === String(record[field]).toLowerCase());
+            if (taken) errors[field] = `${field} ${record[field]} is already in use`;
+        });
+
+        Object.entries(definition.references || {}).forEach(([field, target]) => {
+            if (errors[field] || !record[field] || (changedFields && !changedFields.includes(field))) return;
+
+            const targetIdField = collections[target].idField;
+            if (!store[target].some(existing => existing[targetIdField] === record[field])) {
+                errors[field] = `No ${target} record with ID ${record[field]}`;
+            }
+        });
+
+        if (Object.keys(errors).length > 0) {
+            throw apiError(400, 'Validation failed', { fields: errors });
+        }
+    }
+
+    // Optimistic concurrency - the client's lastModified must match the stored one
+    function checkVersion(collection, record, expected) {
+        if (!expected || !record.lastModified || expected === record.lastModified) return;
+
+        throw apiError(409, `${collection} record ${record[collections[collection].idField]} was changed by someone else`,
+            { current: record });
+    }
+
+    // Handlers
+
+    function list(collection, params) {
+        let records = store[collection];
+
+        params.forEach((value, key) => {
+            if (reservedParams.includes(key)) return;
+
+            const range = /^(.+)\.(min|max)$/.exec(key);
+            if (range) {
+                const limit = parseFloat(value);
+                if (isNaN(limit)) throw apiError(400, `${key} must be a number`);
+
+                records = records.filter(record => {
+                    const number = parseFloat(record[range[1]]);
+                    return !isNaN(number) && (range[2] === 'min' ? number >= limit : number <= limit);
+                });
+            } else {
+                records = records.filter(record => matchesFilter(record[key], value));
+            }
+        });
+
+        if (params.get('q')) {
+            records = records.filter(record => matchesSearch(record, params.get('q')));
+        }
+
+        if (params.get('sort')) {
+            const descending = params.get('sort').startsWith('-');
+            const field = params.get('sort').replace(/^-/, '');
+            records = records.slice().sort((a, b) => compareValues(a[field], b[field]) * (descending ? -1 : 1));
+        }
+
+        const pageSize = Math.min(Math.max(parseInt(params.get('pageSize'), 10) || defaultPageSize, 1), maxPageSize);
+        const total = records.length;
+        const totalPages = Math.max(Math.ceil(total / pageSize), 1);
+        const page = Math.max(parseInt(params.get('page'), 10) || 1, 1);
+
+        return {
+            data: records.slice((page - 1) * pageSize, page * pageSize),
+            page,
+            pageSize,
+            total,
+            totalPages
+        };
+    }
+
+    function create(collection, body) {
+        const definition = collections[collection];
+        const now = new Date().toISOString();
+        const record = knownFields(collection, body);
+
+        if (definition.appendOnly) {
+            record.timestamp = record.timestamp || now;
+            record.user = record.user || 'API';
+            validate(collection, record);
+
+            store[collection].unshift(record);
+            commit(collection);
+            return record;
+        }
+
+        if (definition.idPrefix && !record[definition.idField]) {
+            record[definition.idField] = nextId(collection);
+        }
+
+        validate(collection, record);
+
+        if (store[collection].some(existing => existing[definition.idField] === record[definition.idField])) {
+            throw apiError(409, `${collection} record ${record[definition.idField]} already exists`);
+        }
+
+        if (definition.archivable) {
+            if (!record.dateAdded) record.dateAdded = now.split('T')[0];
+            if (!record.status) record.status = 'Active'; // As the portal's bulk import does
+        }
+        record.lastModified = now;
+
+        store[collection].push(record);
+        commit(collection);
+        return record;
+    }
+
+    function update(collection, id, body, expectedVersion) {
+        const { idField } = collections[collection];
+        const index = find(collection, id);
+        const current = store[collection][index];
+
+        checkVersion(collection, current, expectedVersion || body.lastModified);
+
+        if (body[idField] !== undefined && String(body[idField]) !== id) {
+            throw apiError(400, `${idField} cannot be changed`, { fields: { [idField]: `${idField} cannot be changed` } });
+        }
+
+        const changes = knownFields(collection, body);
+        delete changes.lastModified;
+
+        // Only values that actually change are checked, so resending a whole record
+        // isn't rejected over an older value that predates the rules
+        const changedFields = Object.keys(changes).filter(field => JSON.stringify(changes[field]) !== JSON.stringify(current[field]));
+        const record = { ...current, ...changes, [idField]: current[idField] };
+        validate(collection, record, { changedFields, currentIndex: index });
+
+        record.lastModified = new Date().toISOString();
+        store[collection][index] = record;
+        commit(collection);
+        return record;
+    }
+
+    function remove(collection, id, archive, expectedVersion) {
+        const definition = collections[collection];
+        const index = find(collection, id);
+
+        checkVersion(collection, store[collection][index], expectedVersion);
+
+        if (archive) {
+            if (!definition.archivable) throw apiError(400, `${collection} records cannot be archived`);
+
+            store[collection][index] = {
+                ...store[collection][index],
+                status: validationRules.archivedStatus,
+                lastModified: new Date().toISOString()
+            };
+            commit(collection);
+            return store[collection][index];
+        }
+
+        store[collection].splice(index, 1);
+        commit(collection);
+        return null;
+    }
+
+    // HTTP plumbing
+
+    function readBody(req) {
+        return new Promise((resolve, reject) => {
+            let body = '';
+            req.on('data', chunk => {
+                body += chunk;
+                if (body.length > maxBodySize) reject(apiError(413, 'Request body is too large'));
+            });
+            req.on('end', () => {
+                if (!body) return resolve({});
+                try {
+                    const parsed = JSON.parse(body);
+                    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+                        return reject(apiError(400, 'Request body must be a JSON object'));
+                    }
+                    resolve(parsed);
+                } catch (error) {
+                    reject(apiError(400, 'Request body is not valid JSON'));
+                }
+            });
+            req.on('error', reject);
+        });
+    }
+
+    function sendJson(res, status, body) {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+    }
+
+    function sendError(res, status, message, details = {}) {
+        sendJson(res, status, { error: { code: status, message, ...details } });
+    }
+
+    async function route(req, res, url) {
+        if (url.pathname === '/api/health' && req.method === 'GET') {
+            return sendJson(res, 200, {
+                status: 'ok',
+                counts: Object.fromEntries(Object.keys(collections).map(collection => [collection, store[collection].length])),
+                sheets: sheets ? sheets.getStatus() : null
+            });
+        }
+
+        const match = /^\/api\/([a-z]+)(?:\/([^/]+))?\/?$/.exec(url.pathname);
+        if (!match || !collections[match[1]]) {
+            return sendError(res, 404, `Not found: ${url.pathname}`);
+        }
+
+        const collection = match[1];
+        const id = match[2] ? decodeURIComponent(match[2]) : null;
+        const definition = collections[collection];
+        const expectedVersion = req.headers['if-match'] ? req.headers['if-match'].replace(/^"|"$/g, '') : null;
+
+        if (!id && req.method === 'GET') return sendJson(res, 200, list(collection, url.searchParams));
+        if (!id && req.method === 'POST') return sendJson(res, 201, create(collection, await readBody(req)));
+
+        if (id && !definition.appendOnly) {
+            if (req.method === 'GET') return sendJson(res, 200, store[collection][find(collection, id)]);
+
+            if (req.method === 'PUT' || req.method === 'PATCH') {
+                return sendJson(res, 200, update(collection, id, await readBody(req), expectedVersion));
+            }
+
+            if (req.method === 'DELETE') {
+                const archived = remove(collection, id, url.searchParams.get('archive') === 'true', expectedVersion);
+                if (archived) return sendJson(res, 200, archived);
+
+                res.writeHead(204);
+                return res.end();
+            }
+        }
+
+        sendError(res, 405, `${req.method} is not supported on ${url.pathname}`);
+    }
+
+    load();
+
+    const server = http.createServer(async (req, res) => {
+        // The portal is served from another origin (file:// or a static server)
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type, If-Match');
+        res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204);
+            return res.end();
+        }
+
+        try {
+            await route(req, res, new URL(req.url, 'http://localhost'));
+        } catch (error) {
+            if (!error.status) console.error('API server error:', error);
+            sendError(res, error.status || 500, error.status ? error.message : 'Internal server error', error.details);
+        }
+    });
+
+    server.store = store;
+    return server;
+}
+
+if (require.main === module) {
+    const port = Number(process.env.PORT) || 4030;
+    const sheets = process.env.SHEETS_SPREADSHEET_ID ? createSheetsSync({
+        baseUrl: process.env.SHEETS_BASE_URL,
+        spreadsheetId: process.env.SHEETS_SPREADSHEET_ID,
+        accessToken: process.env.SHEETS_ACCESS_TOKEN,
+        apiKey: process.env.SHEETS_API_KEY
+    }) : null;
+
+    const server = createApiServer({ dataDir: process.env.API_DATA_DIR, sheets });
+
+    server.listen(port, () => {
+        console.log(`Placement API listening on http://localhost:${port}/api` +
+            (sheets ? ` (syncing to spreadsheet ${process.env.SHEETS_SPREADSHEET_ID})` : ''));
+    });
+
+    // Write anything still queued for Sheets before exiting
+    process.on('SIGINT', async () => {
+        if (sheets) await sheets.flush();
+        process.exit(0);
+    });
+}
+
+module.exports = { createApiServer };
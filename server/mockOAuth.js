@@ -0,0 +1,210 @@
+// Mock OAuth 2.0 Server for Local Testing
+// Stands in for Google's authorization, token and userinfo endpoints so the
+// sign-in flow in js/auth.js can be exercised without a Google Cloud project.
+//
+//   node server/mockOAuth.js
+//
+// Then point config.googleSheets.oauth at it:
+//   clientId: 'mock-client', authorizationEndpoint: 'http://localhost:4010/authorize',
+//   tokenEndpoint: 'http://localhost:4010/token', userInfoEndpoint: 'http://localhost:4010/userinfo'
+//
+// Environment: PORT (4010), MOCK_OAUTH_EMAIL, MOCK_OAUTH_NAME,
+// MOCK_OAUTH_TOKEN_TTL (seconds, 3600 - lower it to exercise refresh)
+
+const http = require('http');
+const crypto = require('crypto');
+
+function createMockOAuthServer(options = {}) {
+    const user = {
+        sub: 'mock-user-1',
+        email: options.email || 'coordinator@example.edu',
+        name: options.name || 'Placement Coordinator'
+    };
+    const tokenTtl = options.tokenTtl || 3600;
+
+    // Issued codes and tokens, in memory only
+    const codes = new Map();
+    const accessTokens = new Map();
+    const refreshTokens = new Map();
+
+    const randomToken = () => crypto.randomBytes(24).toString('base64url');
+
+    function issueAccessToken(clientId, scope) {
+        const accessToken = randomToken();
+        accessTokens.set(accessToken, { clientId, scope, expiresAt: Date.now() + tokenTtl * 1000 });
+        return accessToken;
+    }
+
+    // PKCE check (RFC 7636) - S256 or plain
+    function verifyChallenge(grant, verifier) {
+        if (!grant.codeChallenge) return true;
+        if (!verifier) return false;
+
+        const expected = grant.codeChallengeMethod === 'S256' ?
+            crypto.createHash('sha256').update(verifier).digest('base64url') : verifier;
+        return expected === grant.codeChallenge;
+    }
+
+    function sendJson(res, status, body) {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+    }
+
+    function readBody(req) {
+        return new Promise((resolve, reject) => {
+            let body = '';
+            req.on('data', chunk => body += chunk);
+            req.on('end', () => resolve(body));
+            req.on('error', reject);
+        });
+    }
+
+    // Auto-approves: the consent "screen" redirects straight back with a code
+    function authorize(url, res) {
+        const params = url.searchParams;
+        const redirectUri = params.get('redirect_uri');
+
+        if (params.get('response_type') !== 'code' || !params.get('client_id') || !redirectUri) {
+            return sendJson(res, 400, { error: 'invalid_request' });
+        }
+
+        const code = randomToken();
+        codes.set(code, {
+            clientId: params.get('client_id'),
+            redirectUri,
+            scope: params.get('scope') || '',
+            codeChallenge: params.get('code_challenge'),
+            codeChallengeMethod: params.get('code_challenge_method') || 'plain',
+            expiresAt: Date.now() + 60000
+        });
+
+        const location = new URL(redirectUri);
+        location.searchParams.set('code', code);
+        if (params.get('state')) location.searchParams.set('state', params.get('state'));
+
+        res.writeHead(302, { Location: location.toString() });
+        res.end();
+    }
+
+    async function token(req, res) {
+        const params = new URLSearchParams(await readBody(req));
+        const clientId = params.get('client_id');
+
+        if (params.get('grant_type') === 'authorization_code') {
+            const grant = codes.get(params.get('code'));
+            codes.delete(params.get('code')); // Codes are single use
+
+            if (!grant || grant.expiresAt < Date.now() || grant.clientId !== clientId ||
+                grant.redirectUri !== params.get('redirect_uri')) {
+                return sendJson(res, 400, { error: 'invalid_grant', error_description: 'Unknown, expired or mismatched code' });
+            }
+
+            if (!verifyChallenge(grant, params.get('code_verifier'))) {
+                return sendJson(res, 400, { error: 'invalid_grant', error_description: 'PKCE verification failed' });
+            }
+
+            const refreshToken = randomToken();
+            refreshTokens.set(refreshToken, { clientId, scope: grant.scope });
+
+            return sendJson(res, 200, {
+                access_token: issueAccessToken(clientId, grant.scope),
+                refresh_token: refreshToken,
+                expires_in: tokenTtl,
+                scope: grant.scope,
+                token_type: 'Bearer'
+            });
+        }
+
+        if (params.get('grant_type') === 'refresh_token') {
+            const grant = refreshTokens.get(params.get('refresh_token'));
+
+            if (!grant || grant.clientId !== clientId) {
+                return sendJson(res, 400, { error: 'invalid_grant', error_description: 'Token has been expired or revoked' });
+            }
+
+            return sendJson(res, 200, {
+                access_token: issueAccessToken(clientId, grant.scope),
+                expires_in: tokenTtl,
+                scope: grant.scope,
+                token_type: 'Bearer'
+            });
+        }
+
+        sendJson(res, 400, { error: 'unsupported_grant_type' });
+    }
+
+    // Token details for a Bearer header, or null when missing, unknown or expired
+    function lookupToken(authorization) {
+        const match = /^Bearer (.+)$/.exec(authorization || '');
+        const details = match && accessTokens.get(match[1]);
+        return details && details.expiresAt > Date.now() ? details : null;
+    }
+
+    const server = http.createServer(async (req, res) => {
+        // The portal calls the token and userinfo endpoints from the browser
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+        res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204);
+            return res.end();
+        }
+
+        const url = new URL(req.url, 'http://localhost');
+
+        try {
+            if (req.method === 'GET' && url.pathname === '/authorize') return authorize(url, res);
+            if (req.method === 'POST' && url.pathname === '/token') return await token(req, res);
+
+            if (req.method === 'GET' && url.pathname === '/userinfo') {
+                if (!lookupToken(req.headers.authorization)) return sendJson(res, 401, { error: 'invalid_token' });
+                return sendJson(res, 200, user);
+            }
+
+            // Same shape as Google's tokeninfo - lets the mock Sheets server check tokens
+            if (req.method === 'GET' && url.pathname === '/tokeninfo') {
+                const details = lookupToken(`Bearer ${url.searchParams.get('access_token')}`);
+                if (!details) return sendJson(res, 400, { error: 'invalid_token' });
+
+                return sendJson(res, 200, {
+                    aud: details.clientId,
+                    scope: details.scope,
+                    email: user.email,
+                    expires_in: Math.round((details.expiresAt - Date.now()) / 1000)
+                });
+            }
+
+            if (req.method === 'POST' && url.pathname === '/revoke') {
+                const params = new URLSearchParams(await readBody(req));
+                accessTokens.delete(params.get('token'));
+                refreshTokens.delete(params.get('token'));
+                return sendJson(res, 200, {});
+            }
+
+            sendJson(res, 404, { error: 'not_found' });
+
+        } catch (error) {
+            console.error('Mock OAuth server error:', error);
+            sendJson(res, 500, { error: 'server_error' });
+        }
+    });
+
+    server.lookupToken = lookupToken;
+    return server;
+}
+
+if (require.main === module) {
+    const port = Number(process.env.PORT) || 4010;
+    const server = createMockOAuthServer({
+        email: process.env.MOCK_OAUTH_EMAIL,
+        name: process.env.MOCK_OAUTH_NAME,
+        tokenTtl: Number(process.env.MOCK_OAUTH_TOKEN_TTL) || undefined
+    });
+
+    server.listen(port, () => {
+        console.log(`Mock OAuth server listening on http://localhost:${port}`);
+    });
+}
+
+module.exports = { createMockOAuthServer };
@@ -0,0 +1,462 @@
+// Mock Google Sheets Server for Development and Testing
+// Implements the part of the Sheets v4 REST API that js/api.js uses, backed by
+// JSON files seeded from sample_data.json, with injectable latency and 429s.
+//
+//   node server/mockSheetsServer.js
+//
+// Then set config.googleSheets.useMockServer = true (mockBaseUrl points here).
+//
+// Environment:
+//   PORT (4020), MOCK_SHEETS_DATA_DIR (server/data)
+//   MOCK_SHEETS_LATENCY      - delay per request in ms, or a "min-max" range
+//   MOCK_SHEETS_429_RATE     - probability (0-1) of answering 429
+//   MOCK_SHEETS_429_EVERY    - answer every Nth request with 429
+//   MOCK_SHEETS_QUOTA        - requests allowed per minute before 429s (Google's is 60 per user)
+//   MOCK_SHEETS_RETRY_AFTER  - Retry-After seconds sent with 429s
+//   MOCK_OAUTH_URL           - when set, writes need a Bearer token valid at MOCK_OAUTH_URL/tokeninfo
+//
+// Faults can also be changed while running: POST /__mock/faults with the same
+// settings as JSON ({ latency, rate429, every429, quota, retryAfter, failNext }),
+// and POST /__mock/reset reseeds every spreadsheet.
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { sheetLayout } = require('./sheetLayout');
+
+// A1 notation ("Students!A2:C9", "'Company X'!A:Z", "Students!1:1", "Students")
+function parseRange(range) {
+    const match = /^(?:'((?:[^']|'')+)'|([^!]+))(?:!(.*))?$/.exec(range);
+    if (!match) throw badRequest(`Unable to parse range: ${range}`);
+
+    const title = match[1] !== undefined ? match[1].replace(/''/g, "'") : match[2];
+    const cells = /^([A-Z]*)(\d*)(?::([A-Z]*)(\d*))?$/i.exec(match[3] || '');
+    if (!cells) throw badRequest(`Unable to parse range: ${range}`);
+
+    const column = letters => letters ? letters.toUpperCase().split('')
+        .reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1 : null;
+    const row = digits => digits ? Number(digits) - 1 : null;
+
+    const startColumn = column(cells[1]);
+    const startRow = row(cells[2]);
+    const singleCell = cells[3] === undefined;
+
+    return {
+        title,
+        startColumn: startColumn === null ? 0 : startColumn,
+        startRow: startRow === null ? 0 : startRow,
+        endColumn: singleCell ? (cells[1] ? startColumn : null) : column(cells[3]),
+        endRow: singleCell ? (cells[2] ? startRow : null) : row(cells[4])
+    };
+}
+
+function columnLetter(index) {
+    let letter = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        letter = String.fromCharCode(65 + (n - 1) % 26) + letter;
+    }
+    return letter;
+}
+
+function quoteTitle(title) {
+    return /^[A-Za-z0-9_]+$/.test(title) ? title : `'${title.replace(/'/g, "''")}'`;
+}
+
+// Sheets returns cells as formatted strings and leaves out trailing empty cells and rows
+function renderRows(rows) {
+    const rendered = rows.map(row => {
+        const cells = row.map(cell => cell === null || cell === undefined ? '' : String(cell));
+        while (cells.length > 0 && cells[cells.length - 1] === '') cells.pop();
+        return cells;
+    });
+    while (rendered.length > 0 && rendered[rendered.length - 1].length === 0) rendered.pop();
+    return rendered;
+}
+
+function apiError(status, message, reason) {
+    const error = new Error(message);
+    error.status = status;
+    error.reason = reason;
+    return error;
+}
+
+function badRequest(message) {
+    return apiError(400, message, 'INVALID_ARGUMENT');
+}
+
+function createMockSheetsServer(options = {}) {
+    const dataDir = options.dataDir || path.join(__dirname, 'data');
+    const samplePath = options.samplePath || path.join(__dirname, '..', 'sample_data.json');
+    const oauthUrl = options.oauthUrl || null;
+
+    const faults = {
+        latency: options.latency || 0,
+        rate429: options.rate429 || 0,
+        every429: options.every429 || 0,
+        quota: options.quota || 0,
+        retryAfter: options.retryAfter || null,
+        failNext: [] // [{ status, count }] answered before anything else
+    };
+
+    const spreadsheets = new Map();
+    const recentRequests = [];
+    let requestCount = 0;
+
+    // Spreadsheet storage - one JSON file per spreadsheet ID
+
+    function filePath(spreadsheetId) {
+        return path.join(dataDir, `${spreadsheetId.replace(/[^A-Za-z0-9_-]/g, '_')}.json`);
+    }
+
+    function seed() {
+        const sample = JSON.parse(fs.readFileSync(samplePath, 'utf8'));
+        const sheets = Object.entries(sheetLayout).map(([title, definition], index) => ({
+            sheetId: index,
+            title,
+            rows: [
+                definition.columns.map(([, header]) => header),
+                ...(sample[definition.source] || []).map(record => definition.columns.map(([field]) => {
+                    const value = record[field];
+                    return Array.isArray(value) ? value.join(', ') : (value === undefined ? '' : value);
+                }))
+            ]
+        }));
+
+        return { nextSheetId: sheets.length, sheets };
+    }
+
+    function load(spreadsheetId) {
+        if (spreadsheets.has(spreadsheetId)) return spreadsheets.get(spreadsheetId);
+
+        const file = filePath(spreadsheetId);
+        const spreadsheet = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : seed();
+
+        spreadsheets.set(spreadsheetId, spreadsheet);
+        if (!fs.existsSync(file)) save(spreadsheetId);
+        return spreadsheet;
+    }
+
+    // Write via a temp file so a crash never leaves half a spreadsheet behind
+    function save(spreadsheetId) {
+        fs.mkdirSync(dataDir, { recursive: true });
+        const file = filePath(spreadsheetId);
+        fs.writeFileSync(`${file}.tmp`, JSON.stringify(spreadsheets.get(spreadsheetId), null, 2));
+        fs.renameSync(`${file}.tmp`, file);
+    }
+
+    function reset() {
+        Array.from(spreadsheets.keys()).forEach(spreadsheetId => {
+            spreadsheets.set(spreadsheetId, seed());
+            save(spreadsheetId);
+        });
+    }
+
+    function findSheet(spreadsheet, title) {
+        const sheet = spreadsheet.sheets.find(candidate => candidate.title === title);
+        if (!sheet) throw badRequest(`Unable to parse range: ${title}`);
+        return sheet;
+    }
+
+    // Values endpoints
+
+    function readValues(spreadsheet, range) {
+        const parsed = parseRange(range);
+        const sheet = findSheet(spreadsheet, parsed.title);
+        const endRow = parsed.endRow === null ? sheet.rows.length - 1 : parsed.endRow;
+
+        const rows = sheet.rows.slice(parsed.startRow, endRow + 1).map(row =>
+            row.slice(parsed.startColumn, parsed.endColumn === null ? undefined : parsed.endColumn + 1));
+
+        const values = renderRows(rows);
+        return { range, majorDimension: 'ROWS', ...(values.length > 0 ? { values } : {}) };
+    }
+
+    // null cells leave the existing value alone, as in the real API
+    function writeValues(spreadsheet, range, values) {
+        const parsed = parseRange(range);
+        const sheet = findSheet(spreadsheet, parsed.title);
+
+        values.forEach((rowValues, rowOffset) => {
+            const rowIndex = parsed.startRow + rowOffset;
+            while (sheet.rows.length <= rowIndex) sheet.rows.push([]);
+
+            const row = sheet.rows[rowIndex];
+            rowValues.forEach((value, columnOffset) => {
+                if (value === null) return;
+                const columnIndex = parsed.startColumn + columnOffset;
+                while (row.length < columnIndex) row.push('');
+                row[columnIndex] = value;
+            });
+        });
+
+        const width = Math.max(0, ...values.map(row => row.length));
+        return {
+            updatedRange: `${quoteTitle(sheet.title)}!${columnLetter(parsed.startColumn)}${parsed.startRow + 1}:` +
+                `${columnLetter(parsed.startColumn + Math.max(width, 1) - 1)}${parsed.startRow + values.length}`,
+            updatedRows: values.length,
+            updatedColumns: width,
+            updatedCells: values.reduce((total, row) => total + row.filter(value => value !== null).length, 0)
+        };
+    }
+
+    // Rows go after the last non-empty row of the sheet
+    function appendValues(spreadsheet, range, values) {
+        const parsed = parseRange(range);
+        const sheet = findSheet(spreadsheet, parsed.title);
+        const tableEnd = renderRows(sheet.rows).length;
+
+        const rowsToWrite = values.map(row => row.map(value => value === null ? '' : value));
+        const startRange = `${quoteTitle(sheet.title)}!${columnLetter(parsed.startColumn)}${tableEnd + 1}`;
+        const updates = writeValues(spreadsheet, startRange, rowsToWrite);
+
+        return { spreadsheetId: spreadsheet.id, tableRange: range, updates };
+    }
+
+    // Spreadsheet-level batchUpdate (addSheet, addProtectedRange, deleteDimension)
+
+    function batchUpdate(spreadsheet, requests) {
+        const replies = requests.map(request => {
+            if (request.addSheet) {
+                const title = request.addSheet.properties.title;
+                if (spreadsheet.sheets.some(sheet => sheet.title === title)) {
+                    throw badRequest(`Invalid requests[0].addSheet: A sheet with the name "${title}" already exists.`);
+                }
+
+                const properties = {
+                    sheetId: spreadsheet.nextSheetId++,
+                    title,
+                    index: spreadsheet.sheets.length,
+                    gridProperties: { rowCount: 1000, columnCount: 26, ...(request.addSheet.properties.gridProperties || {}) }
+                };
+                spreadsheet.sheets.push({ sheetId: properties.sheetId, title, gridProperties: properties.gridProperties, rows: [] });
+                return { addSheet: { properties } };
+            }
+
+            if (request.addProtectedRange) {
+                const protectedRange = request.addProtectedRange.protectedRange;
+                const sheet = spreadsheet.sheets.find(candidate => candidate.sheetId === protectedRange.range.sheetId);
+                if (!sheet) throw badRequest(`No grid with id: ${protectedRange.range.sheetId}`);
+
+                const protectedRangeId = spreadsheet.nextProtectedRangeId || 1;
+                spreadsheet.nextProtectedRangeId = protectedRangeId + 1;
+
+                const stored = { protectedRangeId, ...protectedRange };
+                sheet.protectedRanges = [...(sheet.protectedRanges || []), stored];
+                return { addProtectedRange: { protectedRange: stored } };
+            }
+
+            if (request.deleteDimension) {
+                const { sheetId, dimension, startIndex, endIndex } = request.deleteDimension.range;
+                const sheet = spreadsheet.sheets.find(candidate => candidate.sheetId === sheetId);
+                if (!sheet) throw badRequest(`No grid with id: ${sheetId}`);
+                if (dimension !== 'ROWS') throw badRequest('Only ROWS deleteDimension is supported by the mock server');
+
+                sheet.rows.splice(startIndex, endIndex - startIndex);
+                return {};
+            }
+
+            throw badRequest(`Unsupported request: ${Object.keys(request).join(', ')}`);
+        });
+
+        return { spreadsheetId: spreadsheet.id, replies };
+    }
+
+    function properties(spreadsheet) {
+        return {
+            spreadsheetId: spreadsheet.id,
+            sheets: spreadsheet.sheets.map((sheet, index) => ({
+                properties: { sheetId: sheet.sheetId, title: sheet.title, index, gridProperties: sheet.gridProperties },
+                protectedRanges: sheet.protectedRanges || []
+            }))
+        };
+    }
+
+    // Fault injection
+
+    async function injectFaults() {
+        requestCount++;
+
+        const latency = typeof faults.latency === 'string' && faults.latency.includes('-') ?
+            faults.latency.split('-').map(Number) : [Number(faults.latency) || 0, Number(faults.latency) || 0];
+        const wait = latency[0] + Math.random() * (latency[1] - latency[0]);
+        if (wait > 0) await new Promise(resolve => setTimeout(resolve, wait));
+
+        const now = Date.now();
+        recentRequests.push(now);
+        while (recentRequests.length > 0 && recentRequests[0] <= now - 60000) recentRequests.shift();
+
+        if (faults.failNext.length > 0) {
+            const failure = faults.failNext[0];
+            if (--failure.count <= 0) faults.failNext.shift();
+            return failure.status;
+        }
+
+        if ((faults.every429 && requestCount % faults.every429 === 0) ||
+            (faults.rate429 && Math.random() < faults.rate429) ||
+            (faults.quota && recentRequests.length > faults.quota)) {
+            return 429;
+        }
+
+        return null;
+    }
+
+    // Writes need a token the mock OAuth server issued (when one is configured)
+    async function checkAuthorization(req) {
+        if (!oauthUrl || req.method === 'GET') return;
+
+        const match = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+        if (!match) {
+            throw apiError(401, 'Request is missing required authentication credential.', 'UNAUTHENTICATED');
+        }
+
+        const response = await fetch(`${oauthUrl}/tokeninfo?access_token=${encodeURIComponent(match[1])}`);
+        if (!response.ok) {
+            throw apiError(401, 'Request had invalid authentication credentials.', 'UNAUTHENTICATED');
+        }
+    }
+
+    // Routing
+
+    function readBody(req) {
+        return new Promise((resolve, reject) => {
+            let body = '';
+            req.on('data', chunk => body += chunk);
+            req.on('end', () => {
+                try {
+                    resolve(body ? JSON.parse(body) : {});
+                } catch (error) {
+                    reject(badRequest('Invalid JSON payload received.'));
+                }
+            });
+            req.on('error', reject);
+        });
+    }
+
+    function sendJson(res, status, body, headers = {}) {
+        res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+        res.end(JSON.stringify(body));
+    }
+
+    // Same error envelope as Google APIs
+    function sendError(res, status, message, reason) {
+        const headers = status === 429 && faults.retryAfter ? { 'Retry-After': String(faults.retryAfter) } : {};
+        sendJson(res, status, { error: { code: status, message, status: reason || http.STATUS_CODES[status] } }, headers);
+    }
+
+    async function handleControl(req, res, pathname) {
+        if (pathname === '/__mock/faults' && req.method === 'POST') {
+            const body = await readBody(req);
+            Object.assign(faults, body, { failNext: body.failNext || [] });
+            return sendJson(res, 200, { ...faults, requestCount });
+        }
+
+        if (pathname === '/__mock/reset' && req.method === 'POST') {
+            reset();
+            Object.assign(faults, { latency: 0, rate429: 0, every429: 0, quota: 0, failNext: [] });
+            return sendJson(res, 200, { reset: true });
+        }
+
+        if (pathname === '/__mock/faults' && req.method === 'GET') {
+            return sendJson(res, 200, { ...faults, requestCount });
+        }
+
+        sendError(res, 404, 'Unknown mock control endpoint');
+    }
+
+    async function handleSheets(req, res, url) {
+        const match = /^\/v4\/spreadsheets\/([^/:]+)(?::(batchUpdate))?(?:\/values(?::(batchUpdate)|\/(.+?)(?::(append))?))?$/
+            .exec(url.pathname);
+        if (!match) return sendError(res, 404, `Not found: ${url.pathname}`, 'NOT_FOUND');
+
+        const [, spreadsheetId, spreadsheetBatch, valuesBatch, encodedRange, append] = match;
+        const range = encodedRange ? decodeURIComponent(encodedRange) : null;
+
+        const status = await injectFaults();
+        if (status) {
+            return sendError(res, status, status === 429 ?
+                "Quota exceeded for quota metric 'Requests' and limit 'Requests per minute per user'" :
+                'Injected failure', status === 429 ? 'RESOURCE_EXHAUSTED' : null);
+        }
+
+        await checkAuthorization(req);
+
+        const spreadsheet = load(spreadsheetId);
+        spreadsheet.id = spreadsheetId;
+
+        let result;
+        let changed = true;
+
+        if (spreadsheetBatch && req.method === 'POST') {
+            result = batchUpdate(spreadsheet, (await readBody(req)).requests || []);
+        } else if (valuesBatch && req.method === 'POST') {
+            const body = await readBody(req);
+            const responses = (body.data || []).map(entry => ({ spreadsheetId, ...writeValues(spreadsheet, entry.range, entry.values || []) }));
+            result = {
+                spreadsheetId,
+                totalUpdatedRows: responses.reduce((total, response) => total + response.updatedRows, 0),
+                totalUpdatedCells: responses.reduce((total, response) => total + response.updatedCells, 0),
+                responses
+            };
+        } else if (range && append && req.method === 'POST') {
+            result = appendValues(spreadsheet, range, (await readBody(req)).values || []);
+        } else if (range && req.method === 'PUT') {
+            result = { spreadsheetId, ...writeValues(spreadsheet, range, (await readBody(req)).values || []) };
+        } else if (range && req.method === 'GET') {
+            result = readValues(spreadsheet, range);
+            changed = false;
+        } else if (!range && !spreadsheetBatch && !valuesBatch && req.method === 'GET') {
+            result = properties(spreadsheet);
+            changed = false;
+        } else {
+            return sendError(res, 405, `${req.method} is not supported on ${url.pathname}`);
+        }
+
+        if (changed) save(spreadsheetId);
+        sendJson(res, 200, result);
+    }
+
+    const server = http.createServer(async (req, res) => {
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+        res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, OPTIONS');
+        res.setHeader('Access-Control-Expose-Headers', 'Retry-After');
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204);
+            return res.end();
+        }
+
+        const url = new URL(req.url, 'http://localhost');
+
+        try {
+            if (url.pathname.startsWith('/__mock/')) return await handleControl(req, res, url.pathname);
+            await handleSheets(req, res, url);
+        } catch (error) {
+            if (!error.status) console.error('Mock Sheets server error:', error);
+            sendError(res, error.status || 500, error.message, error.reason);
+        }
+    });
+
+    server.faults = faults;
+    server.reset = reset;
+    return server;
+}
+
+if (require.main === module) {
+    const port = Number(process.env.PORT) || 4020;
+    const server = createMockSheetsServer({
+        dataDir: process.env.MOCK_SHEETS_DATA_DIR,
+        latency: process.env.MOCK_SHEETS_LATENCY,
+        rate429: Number(process.env.MOCK_SHEETS_429_RATE) || 0,
+        every429: Number(process.env.MOCK_SHEETS_429_EVERY) || 0,
+        quota: Number(process.env.MOCK_SHEETS_QUOTA) || 0,
+        retryAfter: Number(process.env.MOCK_SHEETS_RETRY_AFTER) || null,
+        oauthUrl: process.env.MOCK_OAUTH_URL
+    });
+
+    server.listen(port, () => {
+        console.log(`Mock Google Sheets server listening on http://localhost:${port}/v4/spreadsheets`);
+    });
+}
+
+module.exports = { createMockSheetsServer, parseRange };
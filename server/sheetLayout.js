@@ -0,0 +1,45 @@
+// Google Sheets Column Layout
+// Shared by the mock Sheets server (seeding) and the API server's Sheets sync
+
+// Sheet layout - the header row of each sheet and the record field behind each column.
+// Mirrors sheetSchemas in js/api.js
+const sheetLayout = {
+    Students: {
+        source: 'students',
+        columns: [
+            ['studentId', 'Student ID'], ['fullName', 'Full Name'], ['email', 'Email'], ['phone', 'Phone'],
+            ['department', 'Department'], ['year', 'Year'], ['cgpa', 'CGPA'], ['backlogs', 'Backlogs'],
+            ['skills', 'Skills'], ['status', 'Status'], ['dateAdded', 'Date Added'], ['lastModified', 'Last Modified']
+        ]
+    },
+    Companies: {
+        source: 'companies',
+        columns: [
+            ['companyId', 'Company ID'], ['companyName', 'Company Name'], ['industry', 'Industry'],
+            ['location', 'Location'], ['hrName', 'HR Name'], ['hrEmail', 'HR Email'], ['hrPhone', 'HR Phone'],
+            ['website', 'Website'], ['packageOffered', 'Package'], ['positions', 'Positions'],
+            ['eligibleDepartments', 'Eligible Departments'], ['minCgpa', 'Min CGPA'],
+            ['eligibleYears', 'Eligible Years'], ['maxBacklogs', 'Max Backlogs'],
+            ['requiredSkills', 'Required Skills'], ['placedPolicy', 'Placed Students'],
+            ['jobDescription', 'Job Description'], ['requirements', 'Requirements'], ['status', 'Status'],
+            ['dateAdded', 'Date Added'], ['lastModified', 'Last Modified']
+        ]
+    },
+    Placements: {
+        source: 'placements',
+        columns: [
+            ['placementId', 'Placement ID'], ['studentId', 'Student ID'], ['companyId', 'Company ID'],
+            ['position', 'Position'], ['applicationDate', 'Application Date'], ['status', 'Status'],
+            ['packageOffered', 'Package'], ['interviewDate', 'Interview Date'], ['notes', 'Notes'],
+            ['lastModified', 'Last Modified']
+        ]
+    },
+    Activities: {
+        source: 'activities',
+        columns: [
+            ['type', 'Type'], ['id', 'ID'], ['description', 'Description'], ['timestamp', 'Timestamp'], ['user', 'User']
+        ]
+    }
+};
+
+module.exports = { sheetLayout };
@@ -0,0 +1,174 @@
+// Google Sheets Sync Target for the API Server
+// Copies each collection to its sheet after the API changes it. Writes are
+// debounced per collection and rewrite the whole sheet, so a burst of API
+// writes costs one Sheets request and the sheet always matches the store.
+// Rows follow the sheet's own header row, so columns coordinators added or
+// moved keep their place and their contents.
+//
+// Environment (read by server/apiServer.js):
+//   SHEETS_SPREADSHEET_ID  - enables the sync
+//   SHEETS_BASE_URL        - https://sheets.googleapis.com/v4/spreadsheets, or the mock server
+//   SHEETS_ACCESS_TOKEN    - OAuth access token with the spreadsheets scope
+//   SHEETS_API_KEY         - API key (only enough for the mock server - Google needs OAuth for writes)
+
+const { sheetLayout } = require('./sheetLayout');
+
+function createSheetsSync(options = {}) {
+    const baseUrl = (options.baseUrl || 'https://sheets.googleapis.com/v4/spreadsheets').replace(/\/$/, '');
+    const spreadsheetId = options.spreadsheetId;
+    const debounce = options.debounce !== undefined ? options.debounce : 1000;
+    const retryDelay = options.retryDelay || 5000;
+    const maxRetryDelay = options.maxRetryDelay || 300000;
+
+    const pending = new Map(); // collection -> latest records waiting to be written
+    const timers = new Map();
+    const writing = new Map(); // collection -> write in flight
+    const failures = new Map(); // collection -> consecutive failed writes
+    const rowCounts = new Map(); // sheet title -> rows the sheet had after the last write
+    const status = { lastSync: null, lastError: null };
+
+    const sheets = Object.entries(sheetLayout).reduce((bySource, [title, definition]) => {
+        bySource[definition.source] = { title, columns: definition.columns };
+        return bySource;
+    }, {});
+
+    function url(range, query = '') {
+        const key = options.apiKey ? `${query ? '&' : '?'}key=${encodeURIComponent(options.apiKey)}` : '';
+        return `${baseUrl}/${spreadsheetId}/values/${encodeURIComponent(range)}${query}${key}`;
+    }
+
+    async function request(target, init = {}) {
+        const headers = { 'Content-Type': 'application/json', ...(init.headers || {}) };
+        if (options.accessToken) headers.Authorization = `Bearer ${options.accessToken}`;
+
+        const response = await fetch(target, { ...init, headers });
+        if (!response.ok) {
+            const body = await response.json().catch(() => ({}));
+            throw new Error(`Sheets responded ${response.status}: ${(body.error && body.error.message) || response.statusText}`);
+        }
+        return response.json();
+    }
+
+    function normalizeHeader(header) {
+        return String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+    }
+
+    // The sheet's header row as it is now, plus any layout columns it lacks
+    async function currentHeader(sheet) {
+        const data = await request(url(`${sheet.title}!1:1`));
+        const header = (data.values && data.values[0]) || [];
+        const present = new Set(header.map(normalizeHeader));
+
+        return [...header, ...sheet.columns.map(([, label]) => label).filter(label => !present.has(normalizeHeader(label)))];
+    }
+
+    function cellValue(value) {
+        if (Array.isArray(value)) return value.join(', ');
+        return value === undefined || value === null ? '' : value;
+    }
+
+    // Rows the sheet holds now - read once, then tracked from our own writes
+    async function currentRowCount(title) {
+        if (!rowCounts.has(title)) {
+            const data = await request(url(`${title}!A:A`));
+            rowCounts.set(title, (data.values || []).length);
+        }
+        return rowCounts.get(title);
+    }
+
+    // Rewrite the sheet: header row, one row per record, then blank rows over
+    // whatever the previous write left below (a deleted record's old row).
+    // Columns the layout doesn't know are sent as null, which Sheets leaves untouched
+    async function writeSheet(collection, records) {
+        const sheet = sheets[collection];
+        const header = await currentHeader(sheet);
+        const fields = header.map(label => {
+            const column = sheet.columns.find(([, name]) => normalizeHeader(name) === normalizeHeader(label));
+            return column ? column[0] : null;
+        });
+        const toRow = record => fields.map(field => field ? cellValue(record[field]) : null);
+        const rows = [header, ...records.map(toRow)];
+
+        const previous = await currentRowCount(sheet.title);
+        while (rows.length < previous) {
+            rows.push(toRow({}));
+        }
+
+        await request(url(`${sheet.title}!A1`, '?valueInputOption=RAW'), {
+            method: 'PUT',
+            body: JSON.stringify({ range: `${sheet.title}!A1`, majorDimension: 'ROWS', values: rows })
+        });
+
+        rowCounts.set(sheet.title, records.length + 1);
+    }
+
+    // One write per sheet at a time - a later write waits for the one in flight,
+    // so it sees the row count that write left behind
+    function flushCollection(collection) {
+        timers.delete(collection);
+
+        const run = (writing.get(collection) || Promise.resolve()).then(() => writePending(collection));
+        writing.set(collection, run);
+        run.finally(() => {
+            if (writing.get(collection) === run) writing.delete(collection);
+        });
+
+        return run;
+    }
+
+    async function writePending(collection) {
+        const records = pending.get(collection);
+        if (!records) return;
+        pending.delete(collection);
+
+        try {
+            await writeSheet(collection, records);
+            failures.delete(collection);
+            status.lastSync = new Date().toISOString();
+            status.lastError = null;
+        } catch (error) {
+            // Keep the newest copy and try again later, unless a newer write already queued one
+            if (!pending.has(collection)) pending.set(collection, records);
+            rowCounts.delete(sheets[collection].title);
+
+            const attempt = (failures.get(collection) || 0) + 1;
+            failures.set(collection, attempt);
+            status.lastError = `${collection}: ${error.message}`;
+
+            const wait = Math.min(retryDelay * Math.pow(2, attempt - 1), maxRetryDelay);
+            console.warn(`Sheets sync of ${collection} failed (${error.message}) - retrying in ${wait}ms`);
+            schedule(collection, pending.get(collection), wait);
+        }
+    }
+
+    // Queue a collection's full record list to be written after the debounce
+    function schedule(collection, records, wait = debounce) {
+        if (!sheets[collection]) return;
+
+        pending.set(collection, records.slice()); // The store keeps changing the array it passed in
+        if (timers.has(collection)) clearTimeout(timers.get(collection));
+
+        const timer = setTimeout(() => flushCollection(collection), wait);
+        if (timer.unref) timer.unref();
+        timers.set(collection, timer);
+    }
+
+    // Write everything queued now (used on shutdown and by tests)
+    async function flush() {
+        const collections = Array.from(pending.keys());
+        collections.forEach(collection => {
+            clearTimeout(timers.get(collection));
+            timers.delete(collection);
+        });
+
+        await Promise.all(collections.map(flushCollection));
+    }
+
+    function getStatus() {
+        return { spreadsheetId, pending: Array.from(pending.keys()), ...status };
+    }
+
+    return { schedule, flush, getStatus };
+}
+
+module.exports = { createSheetsSync };
@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createApiServer } = require('../server/apiServer');
+const { tempDir, listen, request } = require('./helpers');
+
+const newStudent = {
+    studentId: 'CS-2023-900',
+    fullName: 'Asha Verma',
+    email: 'asha.verma@college.edu',
+    department: 'Computer Science',
+    cgpa: 8.1
+};
+
+async function startApi(t) {
+    return `${await listen(t, createApiServer({ dataDir: tempDir(t) }))}/api`;
+}
+
+test('a created student is stored as Active and gets a lastModified', async (t) => {
+    const api = await startApi(t);
+    const { status, body } = await request(`${api}/students`, { method: 'POST', body: newStudent });
+
+    assert.strictEqual(status, 201);
+    assert.strictEqual(body.status, 'Active');
+    assert.ok(body.lastModified);
+    assert.strictEqual((await request(`${api}/students/CS-2023-900`)).body.fullName, 'Asha Verma');
+});
+
+test('invalid fields are rejected with 400 and a message per field', async (t) => {
+    const api = await startApi(t);
+    const { status, body } = await request(`${api}/students`, {
+        method: 'POST',
+        body: { ...newStudent, email: 'not-an-email', fullName: undefined }
+    });
+
+    assert.strictEqual(status, 400);
+    assert.strictEqual(body.error.message, 'Validation failed');
+    assert.deepStrictEqual(Object.keys(body.error.fields).sort(), ['email', 'fullName']);
+});
+
+test('an email already in use is a validation error, whatever its case', async (t) => {
+    const api = await startApi(t);
+    const { status, body } = await request(`${api}/students`, {
+        method: 'POST',
+        body: { ...newStudent, email: 'John.Doe@college.edu' }
+    });
+
+    assert.strictEqual(status, 400);
+    assert.match(body.error.fields.email, /already in use/);
+});
+
+test('a placement must name a student and company that exist', async (t) => {
+    const api = await startApi(t);
+    const { status, body } = await request(`${api}/placements`, {
+        method: 'POST',
+        body: { studentId: 'CS-2023-999', companyId: 'COMP-001', status: 'Applied' }
+    });
+
+    assert.strictEqual(status, 400);
+    assert.deepStrictEqual(Object.keys(body.error.fields), ['studentId']);
+});
+
+test('the ID field cannot be changed by an update', async (t) => {
+    const api = await startApi(t);
+    const { status, body } = await request(`${api}/students/CS-2023-001`, {
+        method: 'PUT',
+        body: { studentId: 'CS-2023-002' }
+    });
+
+    assert.strictEqual(status, 400);
+    assert.ok(body.error.fields.studentId);
+});
+
+test('creating a record with an existing ID is a 409', async (t) => {
+    const api = await startApi(t);
+    const { status, body } = await request(`${api}/students`, {
+        method: 'POST',
+        body: { ...newStudent, studentId: 'CS-2023-001' }
+    });
+
+    assert.strictEqual(status, 409);
+    assert.match(body.error.message, /already exists/);
+});
+
+test('an update or delete made against an old lastModified is a 409 with the current record', async (t) => {
+    const api = await startApi(t);
+    const saved = await request(`${api}/students/CS-2023-001`, { method: 'PUT', body: { fullName: 'John Adam Doe' } });
+    const stale = '2000-01-01T00:00:00.000Z';
+
+    const update = await request(`${api}/students/CS-2023-001`, { method: 'PUT', body: { fullName: 'Johnny', lastModified: stale } });
+    assert.strictEqual(update.status, 409);
+    assert.strictEqual(update.body.error.current.fullName, 'John Adam Doe');
+
+    const remove = await request(`${api}/students/CS-2023-001`, { method: 'DELETE', headers: { 'If-Match': `"${stale}"` } });
+    assert.strictEqual(remove.status, 409);
+
+    const current = await request(`${api}/students/CS-2023-001`, {
+        method: 'PUT',
+        body: { fullName: 'Johnny', lastModified: saved.body.lastModified }
+    });
+    assert.strictEqual(current.status, 200);
+    assert.strictEqual(current.body.fullName, 'Johnny');
+});
+
+test('a body that is not a JSON object is a 400', async (t) => {
+    const api = await startApi(t);
+    const response = await fetch(`${api}/students`, { method: 'POST', body: '[1, 2]' });
+
+    assert.strictEqual(response.status, 400);
+    assert.strictEqual((await response.json()).error.message, 'Request body must be a JSON object');
+});
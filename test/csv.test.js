@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers');
+
+const { csvCodec } = loadScripts('js/csv.js');
+
+test('fields are quoted only when they hold the delimiter, a quote, a line break or edge spaces', () => {
+    assert.strictEqual(csvCodec.stringify([
+        ['plain', 'a,b', 'say "hi"', 'two\nlines', ' padded', null, 8.5]
+    ]), 'plain,"a,b","say ""hi""","two\nlines"," padded",,8.5');
+});
+
+test('rows are joined with CRLF and parse back to the same values', () => {
+    const rows = [['Name', 'Skills'], ['O\'Brien, Pat', 'Java\r\nSQL'], ['"Quoted"', '']];
+    const text = csvCodec.stringify(rows);
+
+    assert.strictEqual(text.split('\r\n').length, 4); // One line break is inside a field
+    assert.deepEqual(csvCodec.parse(text), rows);
+});
+
+test('CRLF, LF and lone CR all end a row, and blank lines are skipped', () => {
+    assert.deepEqual(csvCodec.parse('a,b\r\nc,d\ne,f\rg,h\r\n\r\n'), [['a', 'b'], ['c', 'd'], ['e', 'f'], ['g', 'h']]);
+});
+
+test('a byte order mark is dropped from the first field', () => {
+    assert.deepEqual(csvCodec.parse('\uFEFFStudent ID,Name\r\nCS-2023-001,John'), [['Student ID', 'Name'], ['CS-2023-001', 'John']]);
+});
+
+test('text after a closing quote and quotes inside unquoted fields are kept as written', () => {
+    assert.deepEqual(csvCodec.parse('"a"b,c"d\n'), [['ab', 'c"d']]);
+});
+
+test('the delimiter is the one found most often in the header row, outside quotes', () => {
+    assert.strictEqual(csvCodec.detectDelimiter('Student ID;Name;CGPA\n1,2;x;8,5'), ';');
+    assert.strictEqual(csvCodec.detectDelimiter('Student ID\tName\tCGPA'), '\t');
+    assert.strictEqual(csvCodec.detectDelimiter('"Doe; John",Email\n'), ',');
+    assert.strictEqual(csvCodec.detectDelimiter('Name'), ','); // A tie goes to the configured one
+    assert.deepEqual(csvCodec.parse('a;b\n1,5;2'), [['a', 'b'], ['1,5', '2']]);
+});
+
+test('the parser records the line each row starts on, counting blank lines and quoted line breaks', () => {
+    const parser = csvCodec.createParser(',');
+    const rows = [
+        ...parser.push('id,notes\r\n1,"first\r\nsecond"\r\n\r\n2,'),
+        ...parser.push('x\n3,"split'),
+        ...parser.push(' quote"'),
+        ...parser.end()
+    ];
+
+    assert.deepEqual(rows, [['id', 'notes'], ['1', 'first\r\nsecond'], ['2', 'x'], ['3', 'split quote']]);
+    assert.deepEqual(parser.lines, [1, 2, 5, 6]);
+});
+
+test('parseFile detects the encoding and delimiter and returns line numbers', async () => {
+    // "José" saved by Excel on Windows - é is 0xE9 in Windows-1252 and not valid UTF-8
+    const bytes = new Uint8Array([...Buffer.from('Name;City\r\nJos'), 0xe9, ...Buffer.from(';Pune\r\n\r\nAnu;Delhi\r\n')]);
+    let progress = 0;
+
+    const result = await csvCodec.parseFile(new Blob([bytes]), { onProgress: bytesRead => { progress = bytesRead; } });
+
+    assert.strictEqual(result.encoding, 'windows-1252');
+    assert.strictEqual(result.delimiter, ';');
+    assert.deepEqual(result.rows, [['Name', 'City'], ['José', 'Pune'], ['Anu', 'Delhi']]);
+    assert.deepEqual(result.lines, [1, 2, 4]);
+    assert.strictEqual(progress, bytes.length);
+});
+
+test('parseFile reads UTF-8 with a byte order mark', async () => {
+    const result = await csvCodec.parseFile(new Blob(['\uFEFFName,City\nZoë,Chennai\n']));
+
+    assert.strictEqual(result.encoding, 'utf-8');
+    assert.deepEqual(result.rows, [['Name', 'City'], ['Zoë', 'Chennai']]);
+});
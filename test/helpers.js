@@ -0,0 +1,65 @@
+// Shared Helpers for the Test Suite
+// The browser scripts in js/ are plain scripts that put their singletons on window,
+// so they are run in a vm context that stands in for one. Servers listen on a free
+// port and keep their data in a temporary directory; both go when the test ends.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const vm = require('vm');
+
+const root = path.join(__dirname, '..');
+
+// Run js/ scripts in order in a fresh context and return it - their globals
+// (csvCodec, xlsxReader, ...) are properties of it. Values created inside it have
+// the context's own Array and Object, so compare them with assert.deepEqual
+function loadScripts(...files) {
+    const context = {
+        console,
+        setTimeout,
+        clearTimeout,
+        fetch,
+        AbortController,
+        Blob,
+        Response,
+        TextDecoder,
+        TextEncoder,
+        DecompressionStream,
+        navigator: { onLine: true }
+    };
+    context.window = context;
+    vm.createContext(context);
+
+    files.forEach(file => {
+        vm.runInContext(fs.readFileSync(path.join(root, file), 'utf8'), context, { filename: file });
+    });
+
+    return context;
+}
+
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'placement-portal-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+// Resolves with the server's base URL
+async function listen(t, server) {
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => new Promise(resolve => server.close(resolve)));
+    return `http://127.0.0.1:${server.address().port}`;
+}
+
+// fetch, resolving with { status, headers, body } where body is the parsed JSON (or null)
+async function request(url, { method = 'GET', body, headers = {} } = {}) {
+    const response = await fetch(url, {
+        method,
+        headers: body !== undefined ? { 'Content-Type': 'application/json', ...headers } : headers,
+        body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+    const text = await response.text();
+
+    return { status: response.status, headers: response.headers, body: text ? JSON.parse(text) : null };
+}
+
+module.exports = { root, loadScripts, tempDir, listen, request };
@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createMockSheetsServer, parseRange } = require('../server/mockSheetsServer');
+const { loadScripts, tempDir, listen, request } = require('./helpers');
+
+async function startMock(t, options = {}) {
+    const dataDir = tempDir(t);
+    const server = createMockSheetsServer({ dataDir, ...options });
+    const baseUrl = await listen(t, server);
+    return { server, dataDir, spreadsheet: `${baseUrl}/v4/spreadsheets/test-sheet`, baseUrl };
+}
+
+test('parseRange reads A1 notation, quoted titles and whole rows', () => {
+    assert.deepStrictEqual(parseRange('Students!A2:C9'),
+        { title: 'Students', startColumn: 0, startRow: 1, endColumn: 2, endRow: 8 });
+    assert.deepStrictEqual(parseRange("'O''Brien & Co'!A:Z"),
+        { title: "O'Brien & Co", startColumn: 0, startRow: 0, endColumn: 25, endRow: null });
+    assert.deepStrictEqual(parseRange('Students!1:1'),
+        { title: 'Students', startColumn: 0, startRow: 0, endColumn: null, endRow: 0 });
+});
+
+test('a new spreadsheet is seeded from sample_data.json', async (t) => {
+    const { spreadsheet } = await startMock(t);
+    const { status, body } = await request(`${spreadsheet}/values/${encodeURIComponent('Students!A1:C2')}`);
+
+    assert.strictEqual(status, 200);
+    assert.deepStrictEqual(body.values, [['Student ID', 'Full Name', 'Email'], ['CS-2023-001', 'John Doe', 'john.doe@college.edu']]);
+});
+
+test('appended rows go after the last row, and PUT with null cells leaves them alone', async (t) => {
+    const { spreadsheet } = await startMock(t);
+    const before = await request(`${spreadsheet}/values/Students`);
+
+    const appended = await request(`${spreadsheet}/values/${encodeURIComponent('Students!A:C')}:append`, {
+        method: 'POST',
+        body: { values: [['CS-2023-900', 'New Student', 'new@college.edu']] }
+    });
+    assert.strictEqual(appended.body.updates.updatedRange, `Students!A${before.body.values.length + 1}:C${before.body.values.length + 1}`);
+
+    await request(`${spreadsheet}/values/${encodeURIComponent(`Students!A${before.body.values.length + 1}`)}`, {
+        method: 'PUT',
+        body: { values: [[null, 'Renamed']] }
+    });
+
+    const after = await request(`${spreadsheet}/values/Students`);
+    assert.deepStrictEqual(after.body.values.at(-1).slice(0, 3), ['CS-2023-900', 'Renamed', 'new@college.edu']);
+});
+
+test('a range naming a missing tab gets the 400 Google sends', async (t) => {
+    const { spreadsheet } = await startMock(t);
+    const { status, body } = await request(`${spreadsheet}/values/${encodeURIComponent('Company_COMP-999!1:1')}`);
+
+    assert.strictEqual(status, 400);
+    assert.strictEqual(body.error.status, 'INVALID_ARGUMENT');
+    assert.match(body.error.message, /^Unable to parse range/);
+});
+
+test('addSheet creates a tab once and refuses a duplicate name', async (t) => {
+    const { spreadsheet } = await startMock(t);
+    const addSheet = { requests: [{ addSheet: { properties: { title: 'Company_COMP-001' } } }] };
+
+    const created = await request(`${spreadsheet}:batchUpdate`, { method: 'POST', body: addSheet });
+    assert.strictEqual(created.status, 200);
+    assert.strictEqual(created.body.replies[0].addSheet.properties.title, 'Company_COMP-001');
+
+    const duplicate = await request(`${spreadsheet}:batchUpdate`, { method: 'POST', body: addSheet });
+    assert.strictEqual(duplicate.status, 400);
+    assert.match(duplicate.body.error.message, /already exists/);
+});
+
+test('injected failures are answered in order, with Retry-After on 429s', async (t) => {
+    const { spreadsheet, baseUrl } = await startMock(t);
+
+    await request(`${baseUrl}/__mock/faults`, {
+        method: 'POST',
+        body: { retryAfter: 2, failNext: [{ status: 429, count: 1 }, { status: 503, count: 1 }] }
+    });
+
+    const quota = await request(`${spreadsheet}/values/Students`);
+    assert.strictEqual(quota.status, 429);
+    assert.strictEqual(quota.body.error.status, 'RESOURCE_EXHAUSTED');
+    assert.strictEqual(quota.headers.get('Retry-After'), '2');
+
+    assert.strictEqual((await request(`${spreadsheet}/values/Students`)).status, 503);
+    assert.strictEqual((await request(`${spreadsheet}/values/Students`)).status, 200);
+});
+
+test('reset reseeds the data and clears faults', async (t) => {
+    const { spreadsheet, baseUrl } = await startMock(t, { every429: 1000 });
+
+    await request(`${spreadsheet}/values/${encodeURIComponent('Students!B2')}`, { method: 'PUT', body: { values: [['Changed']] } });
+    await request(`${baseUrl}/__mock/reset`, { method: 'POST' });
+
+    const { body } = await request(`${spreadsheet}/values/${encodeURIComponent('Students!B2')}`);
+    assert.deepStrictEqual(body.values, [['John Doe']]);
+    assert.strictEqual((await request(`${baseUrl}/__mock/faults`)).body.every429, 0);
+});
+
+test('writes are kept in the data directory for the next server', async (t) => {
+    const first = await startMock(t);
+    await request(`${first.spreadsheet}/values/${encodeURIComponent('Students!B2')}`, { method: 'PUT', body: { values: [['Saved']] } });
+
+    const second = createMockSheetsServer({ dataDir: first.dataDir });
+    const spreadsheet = `${await listen(t, second)}/v4/spreadsheets/test-sheet`;
+
+    const { body } = await request(`${spreadsheet}/values/${encodeURIComponent('Students!B2')}`);
+    assert.deepStrictEqual(body.values, [['Saved']]);
+});
+
+test("the portal's HTTP client retries through injected 503s", async (t) => {
+    const { spreadsheet, baseUrl } = await startMock(t);
+    const { HttpClient } = loadScripts('js/httpClient.js');
+    const client = new HttpClient({ retryDelay: 10 });
+    t.mock.method(console, 'log', () => {}); // Retry messages
+
+    await request(`${baseUrl}/__mock/faults`, { method: 'POST', body: { failNext: [{ status: 503, count: 2 }] } });
+
+    const response = await client.request(`${spreadsheet}/values/Students`);
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual((await request(`${baseUrl}/__mock/faults`)).body.requestCount, 3);
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers');
+
+const { xlsxReader, xlsxWriter } = loadScripts('js/xlsxReader.js', 'js/xlsxWriter.js');
+
+test('formatDate reads 1900 date system serials, skipping the 29 February 1900 Excel counts', () => {
+    assert.strictEqual(xlsxReader.formatDate(1, false), '1900-01-01');
+    assert.strictEqual(xlsxReader.formatDate(59, false), '1900-02-28');
+    assert.strictEqual(xlsxReader.formatDate(61, false), '1900-03-01');
+    assert.strictEqual(xlsxReader.formatDate(45000, false), '2023-03-15');
+});
+
+test('formatDate reads 1904 date system serials', () => {
+    assert.strictEqual(xlsxReader.formatDate(0, true), '1904-01-01');
+    assert.strictEqual(xlsxReader.formatDate(43538, true), '2023-03-15');
+});
+
+test('formatDate adds the time only when there is one, and seconds only when not zero', () => {
+    assert.strictEqual(xlsxReader.formatDate(45000.5, false), '2023-03-15 12:00');
+    assert.strictEqual(xlsxReader.formatDate(45000.5 + 1 / 86400, false), '2023-03-15 12:00:01');
+    assert.strictEqual(xlsxReader.formatDate(NaN, false), '');
+});
+
+test('readRows keeps row and column gaps and reads every cell type', () => {
+    const xml = `
+        <worksheet><sheetData>
+            <row r="1"><c r="A1" t="s"><v>0</v></c><c r="C1" t="inlineStr"><is><r><t>Rich </t></r><r><t>text</t></r></is></c></row>
+            <row r="3">
+                <c r="A3"><v>8.1999999999999993</v></c>
+                <c r="B3" s="1"><v>45000</v></c>
+                <c r="C3" t="b"><v>1</v></c>
+                <c r="D3" t="e"><v>#N/A</v></c>
+                <c r="E3" t="str"><v>A &amp; B</v></c>
+                <c r="F3" t="d"><v>2023-03-15T09:30:00Z</v></c>
+            </row>
+        </sheetData></worksheet>`;
+
+    const rows = xlsxReader.readRows(xml, ['CS-2023-001'], { 1: true }, false);
+
+    assert.deepEqual(rows, [
+        ['CS-2023-001', '', 'Rich text'],
+        [],
+        ['8.2', '2023-03-15', 'TRUE', '', 'A & B', '2023-03-15 09:30']
+    ]);
+});
+
+test('a workbook written by the Excel export reads back as the same text', async () => {
+    const blob = xlsxWriter.build([{
+        name: 'Students',
+        columns: [
+            { header: 'Student ID', type: 'text' },
+            { header: 'CGPA', type: 'decimal' },
+            { header: 'Date Added', type: 'date' }
+        ],
+        rows: [['007', 8.5, '2023-07-15']]
+    }]);
+
+    const workbook = await xlsxReader.read(await blob.arrayBuffer());
+
+    assert.strictEqual(workbook.sheets[0].name, 'Students');
+    assert.deepEqual(workbook.sheets[0].rows, [['Student ID', 'CGPA', 'Date Added'], ['007', '8.5', '2023-07-15']]);
+});
+
+test('legacy .xls files and other files are refused as unreadable', async () => {
+    const xls = new Uint8Array([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]);
+
+    await assert.rejects(xlsxReader.read(xls.buffer), error => error.unreadable && /Excel 97-2003/.test(error.message));
+    await assert.rejects(xlsxReader.read(new TextEncoder().encode('a,b,c').buffer), error => error.unreadable);
+});